@@ -0,0 +1,148 @@
+/**
+ * Authentication Middleware
+ * Verifies JWTs issued by /api/auth/login for REST routes and Socket.IO
+ *
+ * Authentication is only enforced when MongoDB is configured, since that is
+ * the only way users can log in. Without it the server runs in demo mode and
+ * trusts the IDs sent by clients (req.user / socket.data.user stay null).
+ */
+
+const jwt = require('jsonwebtoken');
+const { Student, Teacher } = require('../models/User');
+
+// JWT secret (should be in .env)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+
+/**
+ * True when requests must carry a valid token
+ */
+function isAuthEnabled() {
+  return Boolean(process.env.MONGODB_URI);
+}
+
+/**
+ * Verify a token and load the user it belongs to
+ * Returns { userId, role, email, name } or throws if the token is invalid
+ */
+async function authenticate(token) {
+  if (!token) {
+    throw new Error('No token provided');
+  }
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const Model = decoded.role === 'student' ? Student : Teacher;
+  const user = await Model.findById(decoded.userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return {
+    userId: String(user._id),
+    role: decoded.role,
+    email: user.email,
+    name: user.name
+  };
+}
+
+/**
+ * Express middleware: require a valid Bearer token
+ * Optionally restrict to the given roles, e.g. requireAuth('teacher')
+ */
+function requireAuth(...roles) {
+  return async (req, res, next) => {
+    req.user = null;
+    if (!isAuthEnabled()) {
+      return next();
+    }
+
+    let user;
+    try {
+      const token = req.headers.authorization?.split(' ')[1];
+      user = await authenticate(token);
+    } catch (error) {
+      return res.status(401).json({ message: 'Authentication required', error: error.message });
+    }
+
+    if (roles.length > 0 && !roles.includes(user.role)) {
+      return res.status(403).json({ message: `This action requires role: ${roles.join(' or ')}` });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Socket.IO handshake middleware: io.use(socketAuth)
+ * Reads the token from `auth.token` (preferred) or the Authorization header
+ */
+async function socketAuth(socket, next) {
+  socket.data.user = null;
+  if (!isAuthEnabled()) {
+    return next();
+  }
+
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token = auth.token || headers.authorization?.split(' ')[1];
+    socket.data.user = await authenticate(token);
+    next();
+  } catch (error) {
+    console.warn(`⚠️  Socket ${socket.id} rejected: ${error.message}`);
+    next(new Error('Authentication required'));
+  }
+}
+
+// Events only the given roles may emit
+// (drawing, clearing and paging are checked per channel against the pen holders)
+const EVENT_ROLES = {
+  'student:join': ['student'],
+  'student:leave': ['student'],
+  'frame:send': ['student'],
+  'teacher:join': ['teacher'],
+  'teacher:leave': ['teacher'],
+  'whiteboard:grantPen': ['teacher'],
+  'whiteboard:revokePen': ['teacher'],
+  'whiteboard:removeStroke': ['teacher'],
+  'agenda:advance': ['teacher'],
+  'host:transfer': ['teacher'],
+  'question:ask': ['student'],
+  'question:upvote': ['student'],
+  'question:answer': ['teacher'],
+  'question:pin': ['teacher'],
+  'poll:create': ['teacher'],
+  'poll:answer': ['student'],
+  'poll:close': ['teacher']
+};
+
+/**
+ * Per-socket packet middleware: socket.use(socketRoleGuard(socket))
+ * Drops events the authenticated user's role isn't allowed to emit
+ */
+function socketRoleGuard(socket) {
+  return ([eventName], next) => {
+    const user = socket.data.user;
+    const allowedRoles = EVENT_ROLES[eventName];
+
+    if (!user || !allowedRoles || allowedRoles.includes(user.role)) {
+      return next();
+    }
+
+    console.warn(`⚠️  Blocked ${eventName} from ${user.role} ${user.userId}`);
+    socket.emit('auth:error', {
+      error: 'Not allowed',
+      event: eventName
+    });
+  };
+}
+
+module.exports = {
+  JWT_SECRET,
+  isAuthEnabled,
+  authenticate,
+  requireAuth,
+  socketAuth,
+  EVENT_ROLES,
+  socketRoleGuard
+};
@@ -0,0 +1,75 @@
+/**
+ * Session Access Checks
+ * Shared by routers that read or change a class session or its contents
+ * Each responds and returns false if the request isn't allowed; otherwise
+ * it returns the session. Without authentication (demo mode) everything
+ * is allowed.
+ */
+
+const sessionStore = require('../services/sessionStore');
+
+async function loadSession(req, res) {
+  const session = await sessionStore.getSession(req.params.channelName);
+  if (!session) {
+    res.status(404).json({ message: 'Session not found' });
+    return false;
+  }
+  return session;
+}
+
+/**
+ * Any of the session's teaching staff (owner, co-teacher or TA) may do this
+ * (see its students, analytics, reports, attendance and polls)
+ */
+async function checkStaff(req, res) {
+  const session = await loadSession(req, res);
+  if (!session) return false;
+  if (req.user && !sessionStore.staffRole(session, req.user.userId)) {
+    res.status(403).json({ message: "Only the session's teaching staff can see this" });
+    return false;
+  }
+  return session;
+}
+
+/**
+ * Only the owning teacher may do this (e.g. manage the teaching staff)
+ */
+async function checkOwner(req, res) {
+  const session = await loadSession(req, res);
+  if (!session) return false;
+  if (req.user && session.teacherId !== req.user.userId) {
+    res.status(403).json({ message: 'Only the session owner can do this' });
+    return false;
+  }
+  return session;
+}
+
+/**
+ * The owner or a co-teacher may do this (topics, agenda, stage);
+ * teaching assistants may not
+ */
+async function checkLead(req, res) {
+  const session = await loadSession(req, res);
+  if (!session) return false;
+  if (req.user && !sessionStore.canLead(session, req.user.userId)) {
+    res.status(403).json({ message: 'Only the session owner or a co-teacher can do this' });
+    return false;
+  }
+  return session;
+}
+
+/**
+ * The current host or the owner may do this (start/end the class, hand
+ * over hosting)
+ */
+async function checkHost(req, res) {
+  const session = await loadSession(req, res);
+  if (!session) return false;
+  if (req.user && ![session.hostId, session.teacherId].includes(req.user.userId)) {
+    res.status(403).json({ message: 'Only the host or the session owner can do this' });
+    return false;
+  }
+  return session;
+}
+
+module.exports = { checkStaff, checkOwner, checkLead, checkHost };
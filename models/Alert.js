@@ -0,0 +1,61 @@
+/**
+ * Engagement Alert Model
+ * Alerts raised for teachers while a class is running
+ */
+
+const mongoose = require('mongoose');
+
+// Engagement Alert Schema
+const alertSchema = new mongoose.Schema({
+  alertId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channelName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  studentId: {
+    type: String,
+    default: null
+  },
+  studentName: {
+    type: String,
+    default: null
+  },
+  topicName: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  raisedAt: {
+    type: Date,
+    required: true
+  },
+  clearedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const Alert = mongoose.model('Alert', alertSchema, 'engagement_alerts');
+
+module.exports = { Alert };
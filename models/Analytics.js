@@ -0,0 +1,81 @@
+/**
+ * Analytics Models
+ * Engagement samples from the ML service and topic segments per channel
+ */
+
+const mongoose = require('mongoose');
+
+// Engagement Sample Schema - one document per processed frame
+const engagementSampleSchema = new mongoose.Schema({
+  channelName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  engagement: {
+    type: String,
+    required: true
+  },
+  confidence: {
+    type: Number
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+});
+
+engagementSampleSchema.index({ channelName: 1, timestamp: 1 });
+engagementSampleSchema.index({ studentId: 1, timestamp: 1 });
+
+// Topic Segment Schema - a named span of the lecture, optionally inside a parent topic
+const topicSegmentSchema = new mongoose.Schema({
+  channelName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Older segments have no topicId and are addressed by _id instead
+  topicId: {
+    type: String,
+    index: true
+  },
+  parentId: {
+    type: String,
+    default: null
+  },
+  // Set when the topic was started from the session's agenda
+  agendaItemId: {
+    type: String,
+    default: null
+  },
+  topicName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startTime: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endTime: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const EngagementSample = mongoose.model('EngagementSample', engagementSampleSchema, 'engagement_samples');
+const TopicSegment = mongoose.model('TopicSegment', topicSegmentSchema, 'topic_segments');
+
+module.exports = { EngagementSample, TopicSegment };
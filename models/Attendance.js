@@ -0,0 +1,57 @@
+/**
+ * Attendance Model
+ * When each student was present in a session, built from join/leave events
+ */
+
+const mongoose = require('mongoose');
+
+// Attendance Interval Schema - one continuous stretch of presence
+const intervalSchema = new mongoose.Schema({
+  joinedAt: {
+    type: Date,
+    required: true
+  },
+  leftAt: {
+    type: Date,
+    default: null
+  },
+  leftReason: {
+    type: String,
+    enum: ['leave', 'disconnect', 'session_ended', null],
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// Attendance Record Schema - one per student per session
+const attendanceRecordSchema = new mongoose.Schema({
+  channelName: {
+    type: String,
+    required: true
+  },
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  intervals: {
+    type: [intervalSchema],
+    default: []
+  },
+  // Time the camera was sending frames (ms)
+  cameraActiveMs: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+attendanceRecordSchema.index({ channelName: 1, studentId: 1 }, { unique: true });
+
+const AttendanceRecord = mongoose.model('AttendanceRecord', attendanceRecordSchema, 'attendance_records');
+
+module.exports = { AttendanceRecord };
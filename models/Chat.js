@@ -0,0 +1,101 @@
+/**
+ * Chat Models
+ * In-class chat messages (the session transcript) and the Q&A queue
+ */
+
+const mongoose = require('mongoose');
+
+// Chat Message Schema - public to the channel, or private between a student and the teachers
+const chatMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channelName: {
+    type: String,
+    required: true
+  },
+  senderId: {
+    type: String,
+    required: true
+  },
+  senderName: {
+    type: String
+  },
+  senderRole: {
+    type: String,
+    enum: ['student', 'teacher'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public'
+  },
+  // Private messages: the student the conversation is with
+  studentId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    required: true
+  }
+});
+
+chatMessageSchema.index({ channelName: 1, sentAt: 1 });
+
+// Question Schema - a student question other students can upvote
+const questionSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channelName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  upvoterIds: {
+    type: [String],
+    default: []
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  askedAt: {
+    type: Date,
+    required: true
+  },
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  answeredBy: {
+    type: String,
+    default: null
+  }
+});
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema, 'chat_messages');
+const Question = mongoose.model('Question', questionSchema, 'questions');
+
+module.exports = { ChatMessage, Question };
@@ -0,0 +1,110 @@
+/**
+ * Poll Model
+ * Live polls and quizzes run during a class, with every student's answer
+ */
+
+const mongoose = require('mongoose');
+
+// Poll Answer Schema - a student's latest answer
+const pollAnswerSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true
+  },
+  studentName: {
+    type: String
+  },
+  // Index into options (multiple choice)
+  choice: {
+    type: Number,
+    default: null
+  },
+  // Numeric answer
+  value: {
+    type: Number,
+    default: null
+  },
+  answeredAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// Poll Schema - a poll (opinions) or quiz (has a correct answer)
+const pollSchema = new mongoose.Schema({
+  pollId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channelName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: String
+  },
+  kind: {
+    type: String,
+    enum: ['poll', 'quiz'],
+    default: 'poll'
+  },
+  format: {
+    type: String,
+    enum: ['choice', 'numeric'],
+    required: true
+  },
+  question: {
+    type: String,
+    required: true
+  },
+  options: {
+    type: [String],
+    default: []
+  },
+  // Quizzes: the right option, or the right number give or take tolerance
+  correctOption: {
+    type: Number,
+    default: null
+  },
+  correctValue: {
+    type: Number,
+    default: null
+  },
+  tolerance: {
+    type: Number,
+    default: 0
+  },
+  // Answers are never shown per student, and are left out of the report's correlation
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+  openedAt: {
+    type: Date,
+    required: true
+  },
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  answers: {
+    type: [pollAnswerSchema],
+    default: []
+  }
+});
+
+const Poll = mongoose.model('Poll', pollSchema, 'polls');
+
+module.exports = { Poll };
@@ -0,0 +1,119 @@
+/**
+ * Class Session Model
+ * A scheduled or live lecture, identified by its Agora channel name
+ */
+
+const mongoose = require('mongoose');
+
+const SESSION_STATUSES = ['scheduled', 'live', 'ended'];
+
+// Co-teachers share the owner's controls; teaching assistants only see
+// engagement updates and alerts
+const STAFF_ROLES = ['co_teacher', 'ta'];
+
+// Staff Member Schema - another teacher allowed into the session
+const staffMemberSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// Agenda Item Schema - one planned topic of the lesson
+const agendaItemSchema = new mongoose.Schema({
+  itemId: {
+    type: String,
+    required: true
+  },
+  topicName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  plannedMinutes: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+// Class Session Schema
+const sessionSchema = new mongoose.Schema({
+  channelName: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  course: {
+    type: String,
+    trim: true
+  },
+  teacherId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  staff: {
+    type: [staffMemberSchema],
+    default: []
+  },
+  // Teacher currently leading the class; the owner unless handed over
+  hostId: {
+    type: String,
+    default: null
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: SESSION_STATUSES,
+    default: 'scheduled',
+    index: true
+  },
+  // When locked, students only receive subscriber (view-only) Agora tokens
+  stageLocked: {
+    type: Boolean,
+    default: false
+  },
+  // Planned topics, in order
+  agenda: {
+    type: [agendaItemSchema],
+    default: []
+  },
+  // Move to the next agenda item when the current one's time is up
+  autoAdvance: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const ClassSession = mongoose.model('ClassSession', sessionSchema, 'class_sessions');
+
+module.exports = { ClassSession, SESSION_STATUSES, STAFF_ROLES };
@@ -0,0 +1,40 @@
+/**
+ * Whiteboard Model
+ * Page list and stroke history for a channel's whiteboard
+ */
+
+const mongoose = require('mongoose');
+
+// Whiteboard Page Schema - strokes are stored as sent by the client
+const pageSchema = new mongoose.Schema({
+  strokes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, {
+  _id: false
+});
+
+// Whiteboard Schema
+const whiteboardSchema = new mongoose.Schema({
+  channelName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pages: {
+    type: [pageSchema],
+    default: () => [{ strokes: [] }]
+  },
+  currentPage: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const Whiteboard = mongoose.model('Whiteboard', whiteboardSchema, 'whiteboards');
+
+module.exports = { Whiteboard };
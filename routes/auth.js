@@ -7,9 +7,7 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const { Student, Teacher } = require('../models/User');
-
-// JWT secret (should be in .env)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const { JWT_SECRET } = require('../middleware/auth');
 
 /**
  * POST /api/auth/signup
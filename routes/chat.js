@@ -0,0 +1,86 @@
+/**
+ * Chat Routes
+ * The chat transcript and Q&A queue of a class session, during or after
+ * class. Messages and questions themselves are sent over Socket.IO.
+ */
+
+const express = require('express');
+const router = express.Router();
+const chatStore = require('../services/chatStore');
+const sessionStore = require('../services/sessionStore');
+const { toCsv, isoTime } = require('../services/csv');
+const { requireAuth } = require('../middleware/auth');
+
+// Teachers (and demo mode) get the whole transcript; students their share of it
+function viewerFor(req) {
+  return req.user ? { id: req.user.userId, role: req.user.role } : null;
+}
+
+/**
+ * GET /api/chat/:channelName
+ * Chat transcript in the order it was sent. Students only get public
+ * messages and their own private conversation with the teachers.
+ * ?format=csv downloads it for a spreadsheet
+ */
+router.get('/:channelName', requireAuth(), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'format must be json or csv' });
+    }
+
+    const session = await sessionStore.getSession(channelName);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const messages = await chatStore.getMessages(channelName, viewerFor(req));
+
+    if (format === 'csv') {
+      res.attachment(`${channelName}-chat.csv`);
+      return res.type('text/csv').send(toCsv(
+        ['sentAt', 'senderId', 'senderName', 'senderRole', 'visibility', 'studentId', 'text'],
+        messages.map(m => [isoTime(m.sentAt), m.senderId, m.senderName, m.senderRole, m.visibility, m.studentId, m.text])
+      ));
+    }
+
+    res.json({ channelName, messages });
+  } catch (error) {
+    console.error('❌ Error fetching chat:', error);
+    res.status(500).json({ message: 'Failed to fetch chat', error: error.message });
+  }
+});
+
+/**
+ * GET /api/chat/:channelName/questions
+ * The Q&A queue: pinned first, then open questions by upvotes, then
+ * answered ones
+ */
+router.get('/:channelName/questions', requireAuth(), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+
+    const session = await sessionStore.getSession(channelName);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const questions = await chatStore.getQuestions(channelName);
+    res.json({
+      channelName,
+      questions,
+      summary: {
+        total: questions.length,
+        open: questions.filter(q => !q.answered).length,
+        answered: questions.filter(q => q.answered).length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching questions:', error);
+    res.status(500).json({ message: 'Failed to fetch questions', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Course Routes
+ * Course-level view of student engagement across sessions
+ */
+
+const express = require('express');
+const router = express.Router();
+const studentHistory = require('../services/studentHistory');
+const sessionStore = require('../services/sessionStore');
+const { resolveScoringOptions } = require('../services/engagementScoring');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * GET /api/courses/:course/history
+ * Every student in the course with their per-session history and trend,
+ * least engaged first. Only for teachers on the staff of one of its sessions
+ */
+router.get('/:course/history', requireAuth('teacher'), async (req, res) => {
+  try {
+    let scoring;
+    try {
+      scoring = resolveScoringOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (req.user) {
+      const sessions = await sessionStore.listSessions({ course: req.params.course });
+      if (!sessions.some(session => sessionStore.staffRole(session, req.user.userId))) {
+        return res.status(403).json({ message: 'Only teachers of this course can see its history' });
+      }
+    }
+
+    const history = await studentHistory.getCourseHistory(req.params.course, scoring);
+    res.json({ ...history, scoring });
+  } catch (error) {
+    console.error('❌ Error fetching course history:', error);
+    res.status(500).json({ message: 'Failed to fetch course history', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Poll Routes
+ * Results of a class session's polls and quizzes, during or after class.
+ * Polls are opened, answered and closed over Socket.IO.
+ */
+
+const express = require('express');
+const router = express.Router();
+const pollStore = require('../services/pollStore');
+const { requireAuth } = require('../middleware/auth');
+const { checkStaff } = require('../middleware/sessionAccess');
+
+/**
+ * GET /api/polls/:channelName
+ * Every poll in the order it was opened, with results and (except for
+ * anonymous polls) each student's answer
+ */
+router.get('/:channelName', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    if (!(await checkStaff(req, res))) return;
+
+    const polls = await pollStore.getPolls(channelName);
+    res.json({ channelName, polls: polls.map(poll => pollStore.teacherView(poll)) });
+  } catch (error) {
+    console.error('❌ Error fetching polls:', error);
+    res.status(500).json({ message: 'Failed to fetch polls', error: error.message });
+  }
+});
+
+/**
+ * GET /api/polls/:channelName/:pollId
+ * One poll with its results
+ */
+router.get('/:channelName/:pollId', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName, pollId } = req.params;
+    if (!(await checkStaff(req, res))) return;
+
+    const poll = await pollStore.getPoll(channelName, pollId);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    res.json({ poll: pollStore.teacherView(poll) });
+  } catch (error) {
+    console.error('❌ Error fetching poll:', error);
+    res.status(500).json({ message: 'Failed to fetch poll', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+/**
+ * Class Session Routes
+ * Create, start, end and list class sessions, plan their agenda, manage
+ * their teaching staff and host, and fetch their attendance
+ */
+
+const express = require('express');
+const router = express.Router();
+const sessionStore = require('../services/sessionStore');
+const topicStore = require('../services/topicStore');
+const whiteboardStore = require('../services/whiteboardStore');
+const attendanceStore = require('../services/attendanceStore');
+const presenceStore = require('../services/presenceStore');
+const { normalizeAgenda } = require('../services/agendaRunner');
+const { toCsv, isoTime } = require('../services/csv');
+const { requireAuth } = require('../middleware/auth');
+const { checkStaff, checkOwner, checkLead, checkHost } = require('../middleware/sessionAccess');
+
+/**
+ * POST /api/sessions
+ * Schedule a new class session
+ */
+router.post('/', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName, title, course, scheduledAt } = req.body;
+    // Authenticated teachers always own the sessions they create
+    const teacherId = req.user ? req.user.userId : req.body.teacherId;
+
+    if (!title || !teacherId) {
+      return res.status(400).json({ message: 'Title and teacher ID are required' });
+    }
+
+    if (scheduledAt && isNaN(new Date(scheduledAt).getTime())) {
+      return res.status(400).json({ message: 'scheduledAt must be a valid date' });
+    }
+
+    const session = await sessionStore.createSession({ channelName, title, course, teacherId, scheduledAt });
+    if (!session) {
+      return res.status(409).json({ message: 'A session with this channel name already exists' });
+    }
+
+    console.log(`🗓️  Session scheduled: ${session.title} (${session.channelName})`);
+    res.status(201).json({ session });
+  } catch (error) {
+    console.error('❌ Error creating session:', error);
+    res.status(500).json({ message: 'Failed to create session', error: error.message });
+  }
+});
+
+/**
+ * GET /api/sessions
+ * List sessions, optionally filtered by teacherId, status and course
+ */
+router.get('/', requireAuth(), async (req, res) => {
+  try {
+    const { teacherId, status, course } = req.query;
+    const sessions = await sessionStore.listSessions({ teacherId, status, course });
+    res.json({ sessions });
+  } catch (error) {
+    console.error('❌ Error listing sessions:', error);
+    res.status(500).json({ message: 'Failed to list sessions', error: error.message });
+  }
+});
+
+/**
+ * GET /api/sessions/:channelName
+ * Get a single session
+ */
+router.get('/:channelName', requireAuth(), async (req, res) => {
+  try {
+    const session = await sessionStore.getSession(req.params.channelName);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Error fetching session:', error);
+    res.status(500).json({ message: 'Failed to fetch session', error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:channelName/start
+ * Move a scheduled session to live
+ */
+router.post('/:channelName/start', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    if (!(await checkHost(req, res))) return;
+
+    const { session, error } = await sessionStore.startSession(channelName);
+    if (error) {
+      return res.status(error === 'Session not found' ? 404 : 409).json({ message: error });
+    }
+
+    console.log(`▶️  Session started: ${session.title} (${channelName})`);
+    req.app.get('io').to(`channel:${channelName}`).emit('session:started', { session });
+
+    // A timed agenda starts with its first item
+    if (session.autoAdvance && session.agenda.length > 0) {
+      await req.app.get('agendaRunner').advance(channelName);
+    }
+
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Error starting session:', error);
+    res.status(500).json({ message: 'Failed to start session', error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:channelName/end
+ * End a session and close any open topic
+ */
+router.post('/:channelName/end', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    if (!(await checkHost(req, res))) return;
+
+    const { session, error } = await sessionStore.endSession(channelName);
+    if (error) {
+      return res.status(error === 'Session not found' ? 404 : 409).json({ message: error });
+    }
+
+    req.app.get('agendaRunner').cancel(channelName);
+    await topicStore.endAllTopics(channelName, session.endedAt);
+    await req.app.get('alertEngine').resetChannel(channelName);
+    await whiteboardStore.flush(channelName);
+    await attendanceStore.closeChannel(channelName, session.endedAt);
+
+    console.log(`⏹️  Session ended: ${session.title} (${channelName})`);
+    req.app.get('io').to(`channel:${channelName}`).emit('session:ended', { session });
+
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Error ending session:', error);
+    res.status(500).json({ message: 'Failed to end session', error: error.message });
+  }
+});
+
+/**
+ * GET /api/sessions/:channelName/attendance
+ * Who attended, when they joined and left, reconnect gaps, minutes present
+ * and minutes their camera was on. ?format=csv downloads it for a spreadsheet
+ */
+router.get('/:channelName/attendance', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'format must be json or csv' });
+    }
+
+    const session = await checkStaff(req, res);
+    if (!session) return;
+
+    const attendance = await attendanceStore.getAttendance(channelName);
+
+    if (format === 'csv') {
+      const rows = attendance.map(a => [
+        a.studentId,
+        a.studentName,
+        isoTime(a.firstJoinedAt),
+        a.present ? '' : isoTime(a.lastLeftAt),
+        a.minutesPresent,
+        a.cameraActiveMinutes,
+        a.reconnects,
+        Math.round(a.gaps.reduce((sum, g) => sum + g.durationMs, 0) / 6000) / 10,
+        a.intervals.map(i => `${isoTime(i.joinedAt)}/${isoTime(i.leftAt)}`).join(' ')
+      ]);
+      res.attachment(`${channelName}-attendance.csv`);
+      return res.type('text/csv').send(toCsv([
+        'studentId', 'studentName', 'firstJoinedAt', 'lastLeftAt', 'minutesPresent',
+        'cameraActiveMinutes', 'reconnects', 'minutesAway', 'intervals'
+      ], rows));
+    }
+
+    res.json({
+      channelName,
+      session,
+      attendance,
+      summary: {
+        students: attendance.length,
+        presentNow: attendance.filter(a => a.present).length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching attendance:', error);
+    res.status(500).json({ message: 'Failed to fetch attendance', error: error.message });
+  }
+});
+
+/**
+ * PUT /api/sessions/:channelName/agenda
+ * Plan the lesson: replace the agenda of a scheduled or live session
+ * Body: { items: [{ itemId?, topicName, plannedMinutes }], autoAdvance? }
+ * Keep an item's itemId when editing so topics already run stay linked to it
+ */
+router.put('/:channelName/agenda', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const { items, autoAdvance = false } = req.body;
+
+    if (typeof autoAdvance !== 'boolean') {
+      return res.status(400).json({ message: 'autoAdvance must be true or false' });
+    }
+    const { agenda, error } = normalizeAgenda(items);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await checkLead(req, res);
+    if (!existing) return;
+    if (existing.status === 'ended') {
+      return res.status(409).json({ message: 'Session has already ended' });
+    }
+
+    const session = await sessionStore.setAgenda(channelName, agenda, autoAdvance);
+    const agendaRunner = req.app.get('agendaRunner');
+    await agendaRunner.schedule(channelName);
+    const progress = await agendaRunner.getProgress(channelName);
+
+    console.log(`📋 Agenda set for ${channelName}: ${agenda.length} item(s)${autoAdvance ? ', timed' : ''}`);
+    req.app.get('io').to(`channel:${channelName}`).emit('agenda:updated', {
+      channelName,
+      progress,
+      timestamp: Date.now()
+    });
+
+    res.json({ session, progress });
+  } catch (error) {
+    console.error('❌ Error setting agenda:', error);
+    res.status(500).json({ message: 'Failed to set agenda', error: error.message });
+  }
+});
+
+/**
+ * GET /api/sessions/:channelName/agenda
+ * The agenda with planned vs actual times so far and the running item
+ */
+router.get('/:channelName/agenda', requireAuth(), async (req, res) => {
+  try {
+    const progress = await req.app.get('agendaRunner').getProgress(req.params.channelName);
+    if (!progress) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ channelName: req.params.channelName, progress });
+  } catch (error) {
+    console.error('❌ Error fetching agenda:', error);
+    res.status(500).json({ message: 'Failed to fetch agenda', error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:channelName/agenda/advance
+ * Start the next agenda item (or the one given), ending the current one;
+ * after the last item this ends the running agenda topic
+ * Body: { itemId? }
+ */
+router.post('/:channelName/agenda/advance', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    if (!(await checkLead(req, res))) return;
+
+    const result = await req.app.get('agendaRunner').advance(channelName, { itemId: req.body.itemId || null });
+    if (result.error) {
+      return res.status(result.error === 'Agenda item not found' ? 404 : 409).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error advancing agenda:', error);
+    res.status(500).json({ message: 'Failed to advance agenda', error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:channelName/stage
+ * Lock or unlock the stage; while locked, students get view-only tokens
+ * Body: { locked: boolean }
+ */
+router.post('/:channelName/stage', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const { locked } = req.body;
+
+    if (typeof locked !== 'boolean') {
+      return res.status(400).json({ message: 'locked must be true or false' });
+    }
+    if (!(await checkLead(req, res))) return;
+
+    const session = await sessionStore.setStageLocked(channelName, locked);
+
+    console.log(`🎙️  Stage ${locked ? 'locked' : 'unlocked'} in ${channelName}`);
+    // Clients should fetch a new token so their publish rights match
+    req.app.get('io').to(`channel:${channelName}`).emit('stage:locked', {
+      channelName,
+      locked,
+      timestamp: Date.now()
+    });
+
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Error updating stage lock:', error);
+    res.status(500).json({ message: 'Failed to update stage lock', error: error.message });
+  }
+});
+
+/**
+ * PUT /api/sessions/:channelName/staff/:userId
+ * Add another teacher to the session, or change their role
+ * Body: { role: 'co_teacher' | 'ta' }
+ */
+router.put('/:channelName/staff/:userId', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName, userId } = req.params;
+    const { role } = req.body;
+
+    if (!sessionStore.STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${sessionStore.STAFF_ROLES.join(', ')}` });
+    }
+    const existing = await checkOwner(req, res);
+    if (!existing) return;
+    if (existing.teacherId === userId) {
+      return res.status(400).json({ message: 'The session owner is not part of the staff list' });
+    }
+
+    const staff = existing.staff.filter(member => member.userId !== userId).concat({ userId, role });
+    const session = await updateStaff(req, existing, staff);
+
+    console.log(`🧑‍🏫 ${userId} is now ${role} in ${channelName}`);
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Error updating staff:', error);
+    res.status(500).json({ message: 'Failed to update staff', error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:channelName/staff/:userId
+ * Remove a co-teacher or teaching assistant from the session
+ */
+router.delete('/:channelName/staff/:userId', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName, userId } = req.params;
+    const existing = await checkOwner(req, res);
+    if (!existing) return;
+
+    if (!existing.staff.some(member => member.userId === userId)) {
+      return res.status(404).json({ message: 'Not on this session\'s staff' });
+    }
+
+    const session = await updateStaff(req, existing, existing.staff.filter(member => member.userId !== userId));
+
+    console.log(`🧑‍🏫 ${userId} removed from the staff of ${channelName}`);
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Error updating staff:', error);
+    res.status(500).json({ message: 'Failed to update staff', error: error.message });
+  }
+});
+
+/**
+ * Save a new staff list and tell the channel's teachers; a connected teacher
+ * gets their new role straight away, and a host who can no longer lead
+ * hands back to the owner
+ */
+async function updateStaff(req, existing, staff) {
+  const { channelName } = existing;
+  let session = await sessionStore.setStaff(channelName, staff);
+
+  await Promise.all(existing.staff.concat(staff).map(async ({ userId }) => {
+    const teacher = await presenceStore.teachers.get(userId);
+    if (teacher && teacher.channelName === channelName) {
+      await presenceStore.teachers.update(userId, { channelRole: sessionStore.staffRole(session, userId) });
+    }
+  }));
+
+  if (!sessionStore.canLead(session, session.hostId)) {
+    session = await req.app.get('changeHost')(channelName, session.teacherId, 'staff_changed');
+  }
+
+  req.app.get('io').to(`teachers:${channelName}`).emit('staff:updated', {
+    channelName,
+    staff: session.staff,
+    hostId: session.hostId,
+    timestamp: Date.now()
+  });
+  return session;
+}
+
+/**
+ * POST /api/sessions/:channelName/host
+ * Hand the lead of the class to the owner or a co-teacher
+ * Body: { teacherId }
+ */
+router.post('/:channelName/host', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const teacherId = req.body.teacherId ? String(req.body.teacherId) : null;
+
+    const existing = await checkHost(req, res);
+    if (!existing) return;
+    if (!sessionStore.canLead(existing, teacherId)) {
+      return res.status(400).json({ message: 'The host must be the session owner or a co-teacher' });
+    }
+
+    const session = await req.app.get('changeHost')(channelName, teacherId, 'transfer');
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Error changing host:', error);
+    res.status(500).json({ message: 'Failed to change host', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Student Routes
+ * Engagement history for a student across all of their sessions
+ */
+
+const express = require('express');
+const router = express.Router();
+const studentHistory = require('../services/studentHistory');
+const { resolveScoringOptions } = require('../services/engagementScoring');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * GET /api/students/:studentId/history
+ * Per-session engagement score, attendance minutes and the trend across
+ * sessions (accepts the same scoring options as the report)
+ * Students may only see their own history
+ */
+router.get('/:studentId/history', requireAuth('teacher', 'student'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (req.user && req.user.role === 'student' && req.user.userId !== studentId) {
+      return res.status(403).json({ message: 'Students can only view their own history' });
+    }
+
+    let scoring;
+    try {
+      scoring = resolveScoringOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const history = await studentHistory.getStudentHistory(studentId, scoring);
+    if (!history) {
+      return res.status(404).json({ message: 'No history found for this student' });
+    }
+
+    res.json({ ...history, scoring });
+  } catch (error) {
+    console.error('❌ Error fetching student history:', error);
+    res.status(500).json({ message: 'Failed to fetch student history', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+/**
+ * Topic Routes
+ * Start, end, edit and delete the topics (and subtopics) of a class session.
+ * Every change is broadcast to the channel as `topic:changed` so students
+ * can see what is being covered.
+ */
+
+const express = require('express');
+const router = express.Router();
+const topicStore = require('../services/topicStore');
+const { requireAuth } = require('../middleware/auth');
+const { checkLead } = require('../middleware/sessionAccess');
+
+// Store errors that mean the topic doesn't exist; anything else is bad input
+const NOT_FOUND_ERRORS = ['Topic not found', 'Parent topic not found'];
+
+function errorStatus(error) {
+  return NOT_FOUND_ERRORS.includes(error) ? 404 : 400;
+}
+
+// Accepts epoch milliseconds or an ISO date; null clears; undefined leaves as is
+function toTimestamp(value) {
+  if (value === undefined || value === null) return value;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? NaN : time;
+}
+
+// Broadcast topic:changed and update alert windows (see announceTopic in server.js)
+function announce(req, channelName, action, topic, options) {
+  return req.app.get('announceTopic')(channelName, action, topic, options);
+}
+
+/**
+ * POST /api/topics/:channelName
+ * Start a topic; whatever was running at the same level ends now
+ * Body: { topicName, parentId? } - parentId starts a subtopic
+ */
+router.post('/:channelName', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const { topicName, parentId } = req.body;
+
+    const session = await checkLead(req, res);
+    if (!session) return;
+    if (session.status === 'ended') {
+      return res.status(409).json({ error: 'Session has already ended' });
+    }
+
+    const { topic, closed, error } = await topicStore.startTopic(channelName, { topicName, parentId });
+    if (error) {
+      return res.status(errorStatus(error)).json({ error });
+    }
+
+    console.log(`📚 ${topic.parentId ? 'Subtopic' : 'Topic'} started in ${channelName}: ${topic.topicName}`);
+    await announce(req, channelName, 'started', topic);
+
+    res.json({ success: true, topic, closed });
+  } catch (error) {
+    console.error('❌ Error starting topic:', error);
+    res.status(500).json({ error: 'Failed to start topic' });
+  }
+});
+
+/**
+ * PUT /api/topics/:channelName/end
+ * End a topic and its subtopics
+ * Body: { topicId? } - defaults to the running top-level topic
+ */
+router.put('/:channelName/end', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    if (!(await checkLead(req, res))) return;
+
+    const { topic, closed, error } = await topicStore.endTopic(channelName, req.body.topicId || null);
+    if (error) {
+      return res.status(errorStatus(error)).json({ error });
+    }
+
+    if (topic) {
+      console.log(`📚 Topic ended in ${channelName}: ${topic.topicName}`);
+      await announce(req, channelName, 'ended', topic);
+    }
+
+    res.json({ success: true, topic, closed });
+  } catch (error) {
+    console.error('❌ Error ending topic:', error);
+    res.status(500).json({ error: 'Failed to end topic' });
+  }
+});
+
+/**
+ * GET /api/topics/:channelName
+ * All topics in start order (subtopics carry a parentId) and what is running now
+ */
+router.get('/:channelName', requireAuth(), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const [topics, current] = await Promise.all([
+      topicStore.getTopics(channelName),
+      topicStore.getCurrentTopics(channelName)
+    ]);
+    res.json({ topics, current });
+  } catch (error) {
+    console.error('❌ Error fetching topics:', error);
+    res.status(500).json({ error: 'Failed to fetch topics' });
+  }
+});
+
+/**
+ * PATCH /api/topics/:channelName/:topicId
+ * Rename a topic or correct its times
+ * Body: { topicName?, startTime?, endTime? } - times in ms or ISO dates;
+ * endTime null reopens the topic
+ */
+router.patch('/:channelName/:topicId', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName, topicId } = req.params;
+    const changes = {
+      topicName: req.body.topicName,
+      startTime: toTimestamp(req.body.startTime),
+      endTime: toTimestamp(req.body.endTime)
+    };
+
+    if (changes.startTime === null || Number.isNaN(changes.startTime) || Number.isNaN(changes.endTime)) {
+      return res.status(400).json({ error: 'startTime and endTime must be timestamps in ms or ISO dates' });
+    }
+    if (!(await checkLead(req, res))) return;
+
+    const before = await topicStore.getCurrentTopics(channelName);
+    const { topic, error } = await topicStore.updateTopic(channelName, topicId, changes);
+    if (error) {
+      return res.status(errorStatus(error)).json({ error });
+    }
+
+    const after = await topicStore.getCurrentTopics(channelName);
+    const runningId = current => (current.subtopic || current.topic || {}).topicId;
+
+    console.log(`📚 Topic updated in ${channelName}: ${topic.topicName}`);
+    await announce(req, channelName, 'updated', topic, { topicChanged: runningId(before) !== runningId(after) });
+
+    res.json({ success: true, topic });
+  } catch (error) {
+    console.error('❌ Error updating topic:', error);
+    res.status(500).json({ error: 'Failed to update topic' });
+  }
+});
+
+/**
+ * DELETE /api/topics/:channelName/:topicId
+ * Delete a topic and its subtopics
+ */
+router.delete('/:channelName/:topicId', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName, topicId } = req.params;
+    if (!(await checkLead(req, res))) return;
+
+    const { deleted, error } = await topicStore.deleteTopic(channelName, topicId);
+    if (error) {
+      return res.status(errorStatus(error)).json({ error });
+    }
+
+    const topic = deleted.find(t => t.topicId === topicId);
+    console.log(`📚 Topic deleted in ${channelName}: ${topic.topicName}`);
+    await announce(req, channelName, 'deleted', topic, { topicChanged: deleted.some(t => !t.endTime) });
+
+    res.json({ success: true, deleted: deleted.map(t => t.topicId) });
+  } catch (error) {
+    console.error('❌ Error deleting topic:', error);
+    res.status(500).json({ error: 'Failed to delete topic' });
+  }
+});
+
+module.exports = router;
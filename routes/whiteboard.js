@@ -0,0 +1,79 @@
+/**
+ * Whiteboard Routes
+ * Retrieve or export a channel's whiteboard during or after class
+ */
+
+const express = require('express');
+const router = express.Router();
+const whiteboardStore = require('../services/whiteboardStore');
+const sessionStore = require('../services/sessionStore');
+const { requireAuth } = require('../middleware/auth');
+const { renderSvg, renderPdf, DEFAULT_WIDTH, DEFAULT_HEIGHT } = require('../services/whiteboardExport');
+
+const EXPORT_FORMATS = ['svg', 'pdf'];
+
+// Page size for exports, bounded so a request can't ask for a huge canvas
+function pageDimension(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 100), 4000) : fallback;
+}
+
+/**
+ * GET /api/whiteboard/:channelName
+ * All pages and strokes for a session's whiteboard
+ */
+router.get('/:channelName', requireAuth(), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+
+    const session = await sessionStore.getSession(channelName);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const whiteboard = await whiteboardStore.getSnapshot(channelName);
+    res.json({ whiteboard });
+  } catch (error) {
+    console.error('❌ Error fetching whiteboard:', error);
+    res.status(500).json({ message: 'Failed to fetch whiteboard', error: error.message });
+  }
+});
+
+/**
+ * GET /api/whiteboard/:channelName/export?format=svg|pdf&width=&height=
+ * Download every page of the whiteboard, rendered on the server
+ * (SVG stacks pages vertically; PDF has one page per board page)
+ */
+router.get('/:channelName/export', requireAuth(), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    const format = String(req.query.format || 'pdf').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const session = await sessionStore.getSession(channelName);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const snapshot = await whiteboardStore.getSnapshot(channelName);
+    const size = {
+      width: pageDimension(req.query.width, DEFAULT_WIDTH),
+      height: pageDimension(req.query.height, DEFAULT_HEIGHT)
+    };
+
+    res.attachment(`${channelName}-whiteboard.${format}`);
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(renderSvg(snapshot, size));
+    } else {
+      res.type('application/pdf').send(await renderPdf(snapshot, size));
+    }
+  } catch (error) {
+    console.error('❌ Error exporting whiteboard:', error);
+    res.status(500).json({ message: 'Failed to export whiteboard', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -10,13 +10,38 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const cors = require('cors');
-const axios = require('axios');
-const { RtcTokenBuilder, RtcRole } = require('agora-access-token');
 const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const analyticsStore = require('./services/analyticsStore');
+const sessionStore = require('./services/sessionStore');
+const alertStore = require('./services/alertStore');
+const whiteboardStore = require('./services/whiteboardStore');
+const attendanceStore = require('./services/attendanceStore');
+const topicStore = require('./services/topicStore');
+const chatStore = require('./services/chatStore');
+const pollStore = require('./services/pollStore');
+const activeSessions = require('./services/presenceStore');
+const { getStorage, setStorage, createRedisStorage } = require('./services/storage');
+const { connectRedis, disconnectRedis } = require('./services/redis');
+const { createAlertEngine } = require('./services/alertEngine');
+const { createAgendaRunner } = require('./services/agendaRunner');
+const { buildReport } = require('./services/reportBuilder');
+const { resolveScoringOptions } = require('./services/engagementScoring');
+const { CSV_TABLES, renderCsv: renderReportCsv, renderPdf: renderReportPdf } = require('./services/reportExport');
+const agoraTokens = require('./services/agoraTokens');
+const tokenTracker = require('./services/tokenTracker');
+const { createHttpPredictor, createStubPredictor } = require('./services/ml/predictors');
+const { createInferenceQueue } = require('./services/ml/inferenceQueue');
+const { createCircuitBreaker, withCircuitBreaker, STATES: BREAKER_STATES } = require('./services/ml/circuitBreaker');
+const { createEngagementSmoother } = require('./services/ml/smoothing');
+const { MAX_FRAME_BYTES, normalizeFrame, createFrameRateLimiter } = require('./services/ml/frames');
+const { requireAuth, socketAuth, socketRoleGuard } = require('./middleware/auth');
+const { checkStaff } = require('./middleware/sessionAccess');
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -57,9 +82,17 @@ const io = socketIO(server, {
     },
     methods: ['GET', 'POST'],
     credentials: true
-  }
+  },
+  // Room for one frame (base64 legacy frames are ~33% larger) plus metadata
+  maxHttpBufferSize: Math.ceil(MAX_FRAME_BYTES * 1.4) + 64 * 1024
 });
 
+// Make Socket.IO available to route modules (req.app.get('io'))
+app.set('io', io);
+
+// Verify the JWT from /api/auth/login during the socket handshake
+io.use(socketAuth);
+
 // Middleware
 app.use(cors({
   origin: (origin, callback) => {
@@ -115,8 +148,9 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: '50mb' })); // Increased limit for base64 images
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Frames arrive over the socket, so REST bodies stay small
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Configuration from environment variables
 const CONFIG = {
@@ -124,7 +158,38 @@ const CONFIG = {
   AGORA_APP_CERTIFICATE: process.env.AGORA_APP_CERTIFICATE,
   PORT: parseInt(process.env.PORT, 10) || 3000, // Parse as integer with radix
   ML_SERVICE_URL: process.env.ML_SERVICE_URL || 'http://localhost:8000',
-  MONGODB_URI: process.env.MONGODB_URI
+  ML_PREDICTOR: process.env.ML_PREDICTOR || 'http', // 'http' (Python service) or 'stub' (local, for tests)
+  ML_TIMEOUT_MS: parseInt(process.env.ML_TIMEOUT_MS, 10) || 10000,
+  ML_FRAME_TRANSPORT: process.env.ML_FRAME_TRANSPORT || 'multipart', // 'multipart' or 'json' (legacy base64)
+  ML_BATCH_SIZE: parseInt(process.env.ML_BATCH_SIZE, 10) || 8,
+  ML_BATCH_WINDOW_MS: parseInt(process.env.ML_BATCH_WINDOW_MS, 10) || 50,
+  ML_MAX_CONCURRENCY: parseInt(process.env.ML_MAX_CONCURRENCY, 10) || 2,
+  ML_MAX_QUEUE: parseInt(process.env.ML_MAX_QUEUE, 10) || 200,
+  ML_BREAKER_THRESHOLD: parseInt(process.env.ML_BREAKER_THRESHOLD, 10) || 5,
+  ML_BREAKER_RESET_MS: parseInt(process.env.ML_BREAKER_RESET_MS, 10) || 15000,
+  ENGAGEMENT_SMOOTHING: process.env.ENGAGEMENT_SMOOTHING || 'majority', // 'majority', 'decay' or 'none'
+  ENGAGEMENT_SMOOTHING_WINDOW: parseInt(process.env.ENGAGEMENT_SMOOTHING_WINDOW, 10) || 5,
+  ENGAGEMENT_SMOOTHING_HALF_LIFE_MS: parseInt(process.env.ENGAGEMENT_SMOOTHING_HALF_LIFE_MS, 10) || 3000,
+  ENGAGEMENT_MIN_CONFIDENCE: process.env.ENGAGEMENT_MIN_CONFIDENCE !== undefined
+    ? parseFloat(process.env.ENGAGEMENT_MIN_CONFIDENCE)
+    : 0.4,
+  // Alert thresholds may be set to 0, so only a missing variable falls back
+  ALERT_INATTENTIVE_SECONDS: process.env.ALERT_INATTENTIVE_SECONDS !== undefined
+    ? parseInt(process.env.ALERT_INATTENTIVE_SECONDS, 10)
+    : 30,
+  ALERT_CLASS_ENGAGED_MIN: process.env.ALERT_CLASS_ENGAGED_MIN !== undefined
+    ? parseFloat(process.env.ALERT_CLASS_ENGAGED_MIN)
+    : 0.5,
+  ALERT_CONFUSED_SHARE_MAX: process.env.ALERT_CONFUSED_SHARE_MAX !== undefined
+    ? parseFloat(process.env.ALERT_CONFUSED_SHARE_MAX)
+    : 0.3,
+  // How long a disconnected student keeps their place (0 removes them at once)
+  RECONNECT_GRACE_MS: process.env.RECONNECT_GRACE_MS !== undefined
+    ? parseInt(process.env.RECONNECT_GRACE_MS, 10)
+    : 15000,
+  MONGODB_URI: process.env.MONGODB_URI,
+  REDIS_URL: process.env.REDIS_URL,
+  REDIS_KEY_PREFIX: process.env.REDIS_KEY_PREFIX || 'engagement:'
 };
 
 // Connect to MongoDB (optional - server will work without it)
@@ -144,6 +209,13 @@ if (CONFIG.MONGODB_URI) {
   // Monitor connection events
   mongoose.connection.on('connected', () => {
     console.log('🔗 MongoDB connection established');
+    analyticsStore.flushBuffered()
+      .then(moved => {
+        if (moved > 0) console.log(`📊 Saved ${moved} engagement samples buffered while MongoDB was unavailable`);
+      })
+      .catch(err => {
+        console.warn('⚠️  Could not save buffered engagement samples:', err.message);
+      });
   });
   
   mongoose.connection.on('error', (err) => {
@@ -156,6 +228,8 @@ if (CONFIG.MONGODB_URI) {
 } else {
   console.log('ℹ️  No MONGODB_URI provided - authentication endpoints disabled');
   console.log('ℹ️  Add MONGODB_URI to .env to enable user authentication');
+  console.log(`ℹ️  Analytics and topics will be kept in ${CONFIG.REDIS_URL ? 'Redis' : 'memory'} only`);
+  console.log('ℹ️  Demo mode: socket and API requests are not authenticated');
 }
 
 // Log startup configuration
@@ -164,20 +238,158 @@ console.log('  - PORT:', CONFIG.PORT, '(type:', typeof CONFIG.PORT, ')');
 console.log('  - process.env.PORT:', process.env.PORT);
 console.log('  - NODE_ENV:', process.env.NODE_ENV || 'development');
 console.log('  - ML_SERVICE_URL:', CONFIG.ML_SERVICE_URL);
+console.log('  - ML_PREDICTOR:', CONFIG.ML_PREDICTOR, `(batch ${CONFIG.ML_BATCH_SIZE}, concurrency ${CONFIG.ML_MAX_CONCURRENCY})`);
+console.log('  - REDIS_URL:', CONFIG.REDIS_URL ? 'set (shared state across instances)' : 'not set (single instance)');
+console.log('  - ENGAGEMENT_SMOOTHING:', CONFIG.ENGAGEMENT_SMOOTHING, `(min confidence ${CONFIG.ENGAGEMENT_MIN_CONFIDENCE})`);
 console.log('  - Available env vars:', Object.keys(process.env).filter(k => k.includes('PORT')).join(', '));
 
-// In-memory storage for active sessions
-// In production, use Redis or a database
-const activeSessions = {
-  students: new Map(), // studentId -> { socketId, channelName, emotion, timestamp }
-  teachers: new Map()  // teacherId -> { socketId, channelName }
-};
+// ML inference queue: batches frames, keeps only the latest per student and
+// caps concurrent requests so a full class can't flood the ML service
+const predictor = CONFIG.ML_PREDICTOR === 'stub'
+  ? createStubPredictor({ latencyMs: parseInt(process.env.ML_STUB_LATENCY_MS, 10) || 0 })
+  : createHttpPredictor({
+    baseUrl: CONFIG.ML_SERVICE_URL,
+    timeout: CONFIG.ML_TIMEOUT_MS,
+    transport: CONFIG.ML_FRAME_TRANSPORT
+  });
+
+/**
+ * Shape of the ml:status event sent to teacher dashboards
+ */
+function mlStatusPayload(status) {
+  return {
+    available: status.available,
+    state: status.state,
+    message: status.available
+      ? 'Engagement detection is available'
+      : 'Engagement detection unavailable',
+    timestamp: Date.now()
+  };
+}
+
+// Circuit breaker around the ML service: stops sending frames after repeated
+// failures and tells teachers engagement detection is unavailable
+let mlAvailable = true;
+const mlBreaker = createCircuitBreaker({
+  failureThreshold: CONFIG.ML_BREAKER_THRESHOLD,
+  resetTimeoutMs: CONFIG.ML_BREAKER_RESET_MS,
+  onStateChange: (status) => {
+    if (status.state === BREAKER_STATES.HALF_OPEN) {
+      console.log('🔍 Probing ML service...');
+      return;
+    }
+
+    // A failed probe re-opens the breaker; teachers only need to hear about changes
+    if (status.available === mlAvailable) return;
+    mlAvailable = status.available;
+
+    if (status.available) {
+      console.log('✅ ML service recovered, engagement detection resumed');
+    } else {
+      console.error(`❌ ML service unavailable after ${status.consecutiveFailures} failures (${status.lastError}), pausing requests`);
+    }
+
+    // Notify teachers in every channel that has one
+    activeSessions.teachers.list().then(teachers => {
+      new Set(teachers.map(t => t.channelName)).forEach(channelName => {
+        io.to(`teachers:${channelName}`).emit('ml:status', mlStatusPayload(status));
+      });
+    }).catch(err => {
+      console.warn('⚠️  Could not notify teachers of ML status:', err.message);
+    });
+  }
+});
+
+const inferenceQueue = createInferenceQueue({
+  predictor: withCircuitBreaker(predictor, mlBreaker),
+  maxBatchSize: CONFIG.ML_BATCH_SIZE,
+  batchWindowMs: CONFIG.ML_BATCH_WINDOW_MS,
+  maxConcurrency: CONFIG.ML_MAX_CONCURRENCY,
+  maxQueueSize: CONFIG.ML_MAX_QUEUE
+});
+
+// Per-student frame rate limit, applied before frames reach the queue
+const frameRateLimiter = createFrameRateLimiter();
+
+// Per-student smoothing so the dashboard doesn't flicker on every raw frame
+const engagementSmoother = createEngagementSmoother({
+  method: CONFIG.ENGAGEMENT_SMOOTHING,
+  windowSize: CONFIG.ENGAGEMENT_SMOOTHING_WINDOW,
+  halfLifeMs: CONFIG.ENGAGEMENT_SMOOTHING_HALF_LIFE_MS,
+  minConfidence: CONFIG.ENGAGEMENT_MIN_CONFIDENCE
+});
+
+// Alert rules evaluated on every smoothed sample; alerts go to the channel's
+// teachers and are persisted for the session report
+const alertEngine = createAlertEngine({
+  rules: {
+    inattentiveSeconds: CONFIG.ALERT_INATTENTIVE_SECONDS,
+    classEngagedMin: CONFIG.ALERT_CLASS_ENGAGED_MIN,
+    confusionShareMax: CONFIG.ALERT_CONFUSED_SHARE_MAX
+  },
+  onRaise: (alert) => {
+    console.log(`🚨 Alert raised in ${alert.channelName}: ${alert.message}`);
+    io.to(`teachers:${alert.channelName}`).emit('alert:raised', alert);
+    alertStore.saveAlert(alert).catch(err => {
+      console.warn('⚠️  Could not save alert:', err.message);
+    });
+  },
+  onClear: (alert) => {
+    console.log(`✅ Alert cleared in ${alert.channelName}: ${alert.type}${alert.studentId ? ` (${alert.studentId})` : ''}`);
+    io.to(`teachers:${alert.channelName}`).emit('alert:cleared', {
+      id: alert.id,
+      channelName: alert.channelName,
+      type: alert.type,
+      studentId: alert.studentId,
+      clearedAt: alert.clearedAt
+    });
+    alertStore.clearAlert(alert.channelName, alert.id, alert.clearedAt).catch(err => {
+      console.warn('⚠️  Could not save cleared alert:', err.message);
+    });
+  }
+});
+app.set('alertEngine', alertEngine);
+
+/**
+ * Tell everyone in the channel which topic changed and what is running now,
+ * and restart class-wide alert windows when the running topic changes
+ */
+async function announceTopic(channelName, action, topic, { topicChanged = true } = {}) {
+  const current = await topicStore.getCurrentTopics(channelName);
+  const running = current.subtopic || current.topic;
+
+  if (topicChanged) {
+    await alertEngine.setTopic(channelName, running ? running.topicName : null);
+  }
+
+  io.to(`channel:${channelName}`).emit('topic:changed', {
+    channelName,
+    action,
+    topic,
+    current,
+    timestamp: Date.now()
+  });
+}
+app.set('announceTopic', announceTopic);
 
-// Analytics storage: channelName -> [{ timestamp, studentId, engagement, emotion }]
-const analyticsData = new Map();
+// Lesson agendas: timed or manual moves from one planned topic to the next
+const agendaRunner = createAgendaRunner({
+  onAdvance: async (channelName, { topic, finished }) => {
+    if (topic) {
+      await announceTopic(channelName, finished ? 'ended' : 'started', topic);
+    }
+    io.to(`channel:${channelName}`).emit('agenda:updated', {
+      channelName,
+      progress: await agendaRunner.getProgress(channelName),
+      timestamp: Date.now()
+    });
+  }
+});
+app.set('agendaRunner', agendaRunner);
 
-// Topic tracking: channelName -> [{ topicName, startTime, endTime }]
-const topicTracking = new Map();
+// Analytics samples and topics are persisted via services/analyticsStore and
+// services/topicStore (MongoDB when connected, otherwise shared storage:
+// Redis when REDIS_URL is set, in-memory if not)
 
 // Visitor tracking (will be persisted to MongoDB if available)
 let visitorCount = 1000; // Starting count
@@ -269,11 +481,52 @@ if (CONFIG.MONGODB_URI) {
   });
 }
 
+// Class session routes (MongoDB when available, shared storage otherwise)
+app.use('/api/sessions', require('./routes/sessions'));
+
+// Whiteboard retrieval routes
+app.use('/api/whiteboard', require('./routes/whiteboard'));
+
+// Lecture topics and subtopics
+app.use('/api/topics', require('./routes/topics'));
+
+// Chat transcript and Q&A queue
+app.use('/api/chat', require('./routes/chat'));
+
+// Live polls and quizzes
+app.use('/api/polls', require('./routes/polls'));
+
+// Engagement history across sessions, per student and per course
+app.use('/api/students', require('./routes/students'));
+app.use('/api/courses', require('./routes/courses'));
+
 /**
  * Health check endpoint
  */
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+app.get('/health', async (req, res) => {
+  const breaker = mlBreaker.getStatus();
+  const [students, teachers] = await Promise.all([
+    activeSessions.students.count(),
+    activeSessions.teachers.count()
+  ]).catch(() => [null, null]);
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development',
+    connections: {
+      students,
+      teachers
+    },
+    storage: getStorage().backend,
+    ml: {
+      available: breaker.available,
+      circuit: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      lastError: breaker.lastError,
+      nextProbeAt: breaker.nextProbeAt
+    }
+  });
 });
 
 /**
@@ -308,44 +561,57 @@ app.get('/api/visitors', async (req, res) => {
   }
 });
 
+/**
+ * Resolve who a token is for: the authenticated user, or in demo mode the
+ * role/userId query params (falling back to a random UID as before)
+ */
+function resolveTokenIdentity(req) {
+  if (req.user) {
+    return { role: req.user.role, uid: agoraTokens.deriveUid(req.user.userId), account: req.user.userId };
+  }
+  const { role = 'student', userId } = req.query;
+  const uid = userId ? agoraTokens.deriveUid(userId) : Math.floor(Math.random() * 100000) + 1;
+  return { role, uid, account: userId || String(uid) };
+}
+
 /**
  * Generate Agora RTC token for video calls
- * Query params: channel (required), role (optional: student/teacher)
+ * Query params: channel (required), role (demo mode only: student/teacher), userId (demo mode only)
+ * Students get a subscriber-only token while the teacher has the stage locked
  */
-app.get('/api/token', (req, res) => {
+app.get('/api/token', requireAuth(), async (req, res) => {
   try {
-    const { channel, role = 'student' } = req.query;
+    const { channel } = req.query;
     
     if (!channel) {
       return res.status(400).json({ error: 'Channel name is required' });
     }
 
-    // Generate unique UID for this user
-    const uid = Math.floor(Math.random() * 100000);
-    
-    // Set token expiration (1 hour)
-    const rtcRole = RtcRole.PUBLISHER;
-    const expireTime = 3600;
-    const currentTime = Math.floor(Date.now() / 1000);
-    const privilegeExpireTime = currentTime + expireTime;
-
-    // Build Agora token
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      CONFIG.AGORA_APP_ID,
-      CONFIG.AGORA_APP_CERTIFICATE,
-      channel,
-      uid,
-      rtcRole,
-      privilegeExpireTime
-    );
+    const { role, uid } = resolveTokenIdentity(req);
+    if (!['student', 'teacher'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be student or teacher' });
+    }
+
+    // Only issue tokens for sessions that exist and haven't ended
+    const session = await sessionStore.getSession(channel);
+    if (!sessionStore.isJoinable(session)) {
+      return res.status(404).json({ error: 'No active session for this channel' });
+    }
 
-    console.log(`✅ Token generated for ${role} in channel: ${channel}`);
+    const rtcRole = agoraTokens.resolveRtcRole(role, session.stageLocked);
+    const { token, expiresAt } = agoraTokens.buildRtcToken({ channelName: channel, uid, rtcRole });
+    await tokenTracker.recordIssued(channel, uid, { role, expiresAt });
+
+    const canPublish = rtcRole === agoraTokens.RtcRole.PUBLISHER;
+    console.log(`✅ Token generated for ${role} (uid ${uid}, ${canPublish ? 'publisher' : 'subscriber'}) in channel: ${channel}`);
     
     res.json({
       token,
       uid,
       appId: CONFIG.AGORA_APP_ID,
-      channelName: channel
+      channelName: channel,
+      canPublish,
+      expiresAt
     });
   } catch (error) {
     console.error('❌ Error generating token:', error);
@@ -353,222 +619,412 @@ app.get('/api/token', (req, res) => {
   }
 });
 
+/**
+ * Generate Agora RTM token for signalling/messaging
+ * Query params: userId (demo mode only)
+ */
+app.get('/api/token/rtm', requireAuth(), (req, res) => {
+  try {
+    const { account } = resolveTokenIdentity(req);
+    const { token, expiresAt } = agoraTokens.buildRtmToken({ account });
+
+    console.log(`✅ RTM token generated for account: ${account}`);
+
+    res.json({
+      token,
+      account,
+      appId: CONFIG.AGORA_APP_ID,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('❌ Error generating RTM token:', error);
+    res.status(500).json({ error: 'Failed to generate RTM token' });
+  }
+});
+
+/**
+ * ML inference queue depth, throughput and latency
+ */
+app.get('/api/ml/stats', (req, res) => {
+  res.json({ ...inferenceQueue.getStats(), timestamp: new Date().toISOString() });
+});
+
 /**
  * Get list of students in a channel (for teacher dashboard)
  */
-app.get('/api/students/:channelName', (req, res) => {
-  const { channelName } = req.params;
-  
-  const studentsInChannel = Array.from(activeSessions.students.values())
-    .filter(student => student.channelName === channelName)
-    .map(student => ({
-      id: student.id,
-      emotion: student.emotion,
-      confidence: student.confidence,
-      timestamp: student.timestamp
-    }));
-
-  res.json({ students: studentsInChannel });
+app.get('/api/students/:channelName', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    if (!(await checkStaff(req, res))) return;
+
+    const studentsInChannel = (await activeSessions.students.list(channelName))
+      .map(student => ({
+        id: student.id,
+        emotion: student.emotion,
+        confidence: student.confidence,
+        timestamp: student.timestamp,
+        // False while they're in the reconnect grace period
+        connected: !student.disconnectedAt
+      }));
+
+    res.json({ students: studentsInChannel });
+  } catch (error) {
+    console.error('❌ Error listing students:', error);
+    res.status(500).json({ error: 'Failed to list students' });
+  }
 });
 
 /**
  * Get analytics data for a channel
  */
-app.get('/api/analytics/:channelName', (req, res) => {
-  const { channelName } = req.params;
-  const data = analyticsData.get(channelName) || [];
-  res.json({ analytics: data });
+app.get('/api/analytics/:channelName', requireAuth('teacher'), async (req, res) => {
+  try {
+    const { channelName } = req.params;
+    if (!(await checkStaff(req, res))) return;
+    const data = await analyticsStore.getSamples(channelName);
+    res.json({ analytics: data });
+  } catch (error) {
+    console.error('❌ Error fetching analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
 });
 
+// Timeline bucket sizes look like "10s", "1m", "5m" or "1h"
+const BUCKET_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+function parseBucket(value) {
+  const match = /^(\d+)(s|m|h)$/.exec(String(value));
+  const ms = match ? parseInt(match[1], 10) * BUCKET_UNITS[match[2]] : NaN;
+  return ms >= 1000 ? ms : null;
+}
+
+// Accepts epoch milliseconds or an ISO date; undefined stays null
+function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
 /**
- * Add a topic for tracking
+ * Engagement timeline for a channel, aggregated into time buckets
+ * ?bucket=10s|1m|5m (default 1m), from/to (ms or ISO date), studentId
+ * Each bucket has counts per engagement state and mean confidence, and is
+ * tagged with the latest topic that overlaps it
  */
-app.post('/api/topics/:channelName', (req, res) => {
+app.get('/api/analytics/:channelName/timeline', requireAuth('teacher'), async (req, res) => {
   const { channelName } = req.params;
-  const { topicName } = req.body;
-  
-  if (!topicTracking.has(channelName)) {
-    topicTracking.set(channelName, []);
+  const bucketMs = parseBucket(req.query.bucket || '1m');
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const studentId = req.query.studentId || null;
+
+  if (!bucketMs) {
+    return res.status(400).json({ error: 'bucket must look like 10s, 1m or 5m' });
+  }
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be timestamps in ms or ISO dates' });
+  }
+  if (from !== null && to !== null && from > to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+
+  try {
+    if (!(await checkStaff(req, res))) return;
+
+    const [buckets, allTopics] = await Promise.all([
+      analyticsStore.getTimeline(channelName, { bucketMs, from, to, studentId }),
+      topicStore.getTopics(channelName)
+    ]);
+
+    const rangeStart = from !== null ? from : (buckets.length > 0 ? buckets[0].start : null);
+    const rangeEnd = to !== null ? to : (buckets.length > 0 ? buckets[buckets.length - 1].end : null);
+    const topics = allTopics.filter(topic =>
+      rangeStart === null ||
+      ((!topic.endTime || topic.endTime >= rangeStart) && topic.startTime <= rangeEnd)
+    );
+
+    // Latest topic overlapping the bucket
+    const topicFor = (bucket) => {
+      const topic = [...topics].reverse().find(t => t.startTime < bucket.end && (!t.endTime || t.endTime > bucket.start));
+      return topic ? topic.topicName : null;
+    };
+
+    res.json({
+      channelName,
+      bucket: req.query.bucket || '1m',
+      bucketMs,
+      from: rangeStart,
+      to: rangeEnd,
+      studentId,
+      topics,
+      buckets: buckets.map(bucket => ({ ...bucket, topicName: topicFor(bucket) }))
+    });
+  } catch (error) {
+    if (error.code === 'TOO_MANY_BUCKETS') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error building timeline:', error);
+    res.status(500).json({ error: 'Failed to build timeline' });
   }
-  
-  const topic = {
-    topicName,
-    startTime: Date.now(),
-    endTime: null
-  };
-  
-  topicTracking.get(channelName).push(topic);
-  console.log(`📚 Topic started in ${channelName}: ${topicName}`);
-  
-  res.json({ success: true, topic });
 });
 
+const REPORT_FORMATS = ['json', 'pdf', 'csv'];
+
 /**
- * End current topic
+ * Class report with per-topic and per-student engagement percentages
+ * ?format=json (default) | pdf | csv; CSV takes ?table=overall|students|topics|agenda|polls
+ * Scoring: ?scoring=count|weighted, weights=Confused:0.5,..., and
+ * timeWeighted / confidenceWeighted / attendanceWeighted overrides
  */
-app.put('/api/topics/:channelName/end', (req, res) => {
+app.get('/api/report/:channelName', requireAuth('teacher'), async (req, res) => {
   const { channelName } = req.params;
-  const topics = topicTracking.get(channelName);
-  
-  if (topics && topics.length > 0) {
-    const lastTopic = topics[topics.length - 1];
-    if (!lastTopic.endTime) {
-      lastTopic.endTime = Date.now();
-      console.log(`📚 Topic ended in ${channelName}: ${lastTopic.topicName}`);
+  const format = String(req.query.format || 'json').toLowerCase();
+  const table = String(req.query.table || 'overall').toLowerCase();
+
+  if (!REPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${REPORT_FORMATS.join(', ')}` });
+  }
+  if (format === 'csv' && !CSV_TABLES.includes(table)) {
+    return res.status(400).json({ error: `table must be one of: ${CSV_TABLES.join(', ')}` });
+  }
+
+  let scoring;
+  try {
+    scoring = resolveScoringOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const session = await checkStaff(req, res);
+    if (!session) return;
+
+    const [analytics, topics, alerts, questions, polls] = await Promise.all([
+      analyticsStore.getSamples(channelName),
+      topicStore.getTopics(channelName),
+      alertStore.getAlerts(channelName),
+      chatStore.getQuestions(channelName),
+      pollStore.getPolls(channelName)
+    ]);
+
+    const report = buildReport({ channelName, session, analytics, topics, alerts, questions, polls, scoring });
+
+    if (format === 'csv') {
+      res.attachment(`${channelName}-report-${table}.csv`);
+      return res.type('text/csv').send(renderReportCsv(report, table));
     }
+    if (format === 'pdf') {
+      const pdf = await renderReportPdf(report);
+      res.attachment(`${channelName}-report.pdf`);
+      return res.type('application/pdf').send(pdf);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error generating report:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
   }
-  
-  res.json({ success: true });
 });
 
+// =====================================
+// WEBSOCKET CONNECTIONS
+// =====================================
+
+// People in their reconnect grace period on this instance: `${role}:${id}` -> timer
+const reconnectTimers = new Map();
+
+function cancelReconnect(role, id) {
+  const key = `${role}:${id}`;
+  clearTimeout(reconnectTimers.get(key));
+  reconnectTimers.delete(key);
+}
+
 /**
- * Get topics for a channel
+ * A student has gone for good: drop their live state and tell the teachers
  */
-app.get('/api/topics/:channelName', (req, res) => {
-  const { channelName } = req.params;
-  const topics = topicTracking.get(channelName) || [];
-  res.json({ topics });
-});
+async function evictStudent(student, reason, at = Date.now()) {
+  const studentId = student.id;
+  cancelReconnect('student', studentId);
+
+  await activeSessions.students.delete(studentId);
+  engagementSmoother.reset(studentId);
+  frameRateLimiter.reset(studentId);
+  alertEngine.removeStudent(student.channelName, studentId).catch(err => {
+    console.warn('⚠️  Could not clear student alerts:', err.message);
+  });
+  attendanceStore.recordLeave(student.channelName, studentId, reason, at).catch(err => {
+    console.warn('⚠️  Could not record attendance:', err.message);
+  });
+  io.to(`teachers:${student.channelName}`).emit('student:left', {
+    studentId,
+    timestamp: Date.now()
+  });
+}
 
 /**
- * Generate PDF report data with per-student engagement percentages
+ * Make someone else the host of a session and tell the channel
+ * reason: 'transfer', 'handover' (host left), 'vacant' (host was away
+ * when a teacher joined) or 'staff_changed'
+ * Returns the updated session
  */
-app.get('/api/report/:channelName', (req, res) => {
-  const { channelName } = req.params;
-  const analytics = analyticsData.get(channelName) || [];
-  const topics = topicTracking.get(channelName) || [];
-  
-  // Get unique students
-  const uniqueStudents = [...new Set(analytics.map(a => a.studentId))];
-  const studentNames = {};
-  analytics.forEach(a => {
-    if (!studentNames[a.studentId]) {
-      studentNames[a.studentId] = a.studentName;
-    }
+async function changeHost(channelName, hostId, reason) {
+  const before = await sessionStore.getSession(channelName);
+  if (!before || before.hostId === String(hostId)) return before;
+
+  const session = await sessionStore.setHost(channelName, hostId);
+  console.log(`👑 Host of ${channelName} is now ${session.hostId} (${reason})`);
+  io.to(`channel:${channelName}`).emit('host:changed', {
+    channelName,
+    hostId: session.hostId,
+    previousHostId: before.hostId,
+    reason,
+    timestamp: Date.now()
   });
-  
-  // Calculate engagement statistics per topic
-  const topicStats = topics.map(topic => {
-    const topicAnalytics = analytics.filter(a => 
-      a.timestamp >= topic.startTime && 
-      (!topic.endTime || a.timestamp <= topic.endTime)
-    );
-    
-    // Overall engagement counts
-    const engagementCounts = {
-      'Engaged': 0,
-      'Bored': 0,
-      'Confused': 0,
-      'Not Paying Attention': 0
-    };
-    
-    topicAnalytics.forEach(a => {
-      if (engagementCounts.hasOwnProperty(a.engagement)) {
-        engagementCounts[a.engagement]++;
-      }
-    });
-    
-    // Per-student engagement percentages
-    const studentStats = uniqueStudents.map(studentId => {
-      const studentData = topicAnalytics.filter(a => a.studentId === studentId);
-      
-      const studentEngagementCounts = {
-        'Engaged': 0,
-        'Bored': 0,
-        'Confused': 0,
-        'Not Paying Attention': 0
-      };
-      
-      studentData.forEach(a => {
-        if (studentEngagementCounts.hasOwnProperty(a.engagement)) {
-          studentEngagementCounts[a.engagement]++;
-        }
-      });
-      
-      const totalDataPoints = studentData.length;
-      const engagementPercentage = totalDataPoints > 0 
-        ? (studentEngagementCounts['Engaged'] / totalDataPoints) * 100 
-        : 0;
-      
-      return {
-        studentId,
-        studentName: studentNames[studentId] || `Student ${studentId}`,
-        totalDataPoints,
-        engagementCounts: studentEngagementCounts,
-        engagementPercentage: Math.round(engagementPercentage * 10) / 10, // Round to 1 decimal
-        boredPercentage: totalDataPoints > 0 ? Math.round((studentEngagementCounts['Bored'] / totalDataPoints) * 1000) / 10 : 0,
-        confusedPercentage: totalDataPoints > 0 ? Math.round((studentEngagementCounts['Confused'] / totalDataPoints) * 1000) / 10 : 0,
-        notPayingAttentionPercentage: totalDataPoints > 0 ? Math.round((studentEngagementCounts['Not Paying Attention'] / totalDataPoints) * 1000) / 10 : 0
-      };
-    });
-    
-    // Calculate class average engagement percentage
-    const classAverageEngagement = studentStats.length > 0
-      ? studentStats.reduce((sum, s) => sum + s.engagementPercentage, 0) / studentStats.length
-      : 0;
-    
-    return {
-      topicName: topic.topicName,
-      startTime: topic.startTime,
-      endTime: topic.endTime,
-      duration: topic.endTime ? (topic.endTime - topic.startTime) : null,
-      engagementCounts,
-      totalDataPoints: topicAnalytics.length,
-      studentStats,
-      classAverageEngagement: Math.round(classAverageEngagement * 10) / 10
-    };
+  return session;
+}
+app.set('changeHost', changeHost);
+
+/**
+ * The host has left: pass the lead to the owner if they're connected,
+ * else to the co-teacher who has been in the class longest. With nobody
+ * able to lead, the host stays until someone who can joins.
+ */
+async function handOverHost(channelName, leavingId) {
+  const session = await sessionStore.getSession(channelName);
+  if (!session || session.hostId !== String(leavingId) || session.status === 'ended') return;
+
+  const candidates = (await activeSessions.teachers.list(channelName))
+    .filter(t => t.id !== leavingId && !t.disconnectedAt && sessionStore.LEAD_ROLES.includes(t.channelRole))
+    .sort((a, b) => (a.id === session.teacherId ? -1 : b.id === session.teacherId ? 1 : a.joinedAt - b.joinedAt));
+
+  if (candidates.length > 0) {
+    await changeHost(channelName, candidates[0].id, 'handover');
+  }
+}
+
+/**
+ * A teacher has gone for good: tell the channel and hand over hosting
+ */
+async function teacherGone(teacher, reason) {
+  cancelReconnect('teacher', teacher.id);
+  await activeSessions.teachers.delete(teacher.id);
+  io.to(`channel:${teacher.channelName}`).emit('teacher:left', {
+    teacherId: teacher.id,
+    teacherName: teacher.name,
+    role: teacher.channelRole,
+    reason,
+    timestamp: Date.now()
   });
-  
-  // Overall class statistics
-  const overallStats = uniqueStudents.map(studentId => {
-    const studentData = analytics.filter(a => a.studentId === studentId);
-    
-    const studentEngagementCounts = {
-      'Engaged': 0,
-      'Bored': 0,
-      'Confused': 0,
-      'Not Paying Attention': 0
-    };
-    
-    studentData.forEach(a => {
-      if (studentEngagementCounts.hasOwnProperty(a.engagement)) {
-        studentEngagementCounts[a.engagement]++;
-      }
-    });
-    
-    const totalDataPoints = studentData.length;
-    const engagementPercentage = totalDataPoints > 0 
-      ? (studentEngagementCounts['Engaged'] / totalDataPoints) * 100 
-      : 0;
-    
-    return {
-      studentId,
-      studentName: studentNames[studentId] || `Student ${studentId}`,
-      totalDataPoints,
-      engagementPercentage: Math.round(engagementPercentage * 10) / 10
-    };
+  await handOverHost(teacher.channelName, teacher.id);
+}
+
+/**
+ * Someone's last socket dropped: keep their place for RECONNECT_GRACE_MS
+ * in case they come straight back (students keep smoothing, alerts and
+ * attendance; teachers keep hosting). Rejoining from any instance clears
+ * disconnectedAt, which the timer checks before removing them.
+ */
+async function holdForReconnect(role, entry, at = Date.now()) {
+  const table = role === 'student' ? activeSessions.students : activeSessions.teachers;
+  const remove = (current) => (role === 'student'
+    ? evictStudent(current, 'disconnect', at)
+    : teacherGone(current, 'disconnect'));
+
+  if (CONFIG.RECONNECT_GRACE_MS <= 0) {
+    return remove(entry);
+  }
+
+  await table.update(entry.id, { disconnectedAt: at });
+  io.to(`teachers:${entry.channelName}`).emit(`${role}:reconnecting`, {
+    [`${role}Id`]: entry.id,
+    graceMs: CONFIG.RECONNECT_GRACE_MS,
+    timestamp: at
   });
-  
-  const overallClassAverage = overallStats.length > 0
-    ? overallStats.reduce((sum, s) => sum + s.engagementPercentage, 0) / overallStats.length
-    : 0;
-  
-  res.json({ 
+
+  cancelReconnect(role, entry.id);
+  const timer = setTimeout(async () => {
+    reconnectTimers.delete(`${role}:${entry.id}`);
+    try {
+      const current = await table.get(entry.id);
+      if (!current || current.disconnectedAt !== at || (await table.socketCount(entry.id)) > 0) {
+        return;
+      }
+      console.log(`👋 ${current.name} (ID: ${entry.id}) did not reconnect, removing from channel: ${current.channelName}`);
+      await remove(current);
+    } catch (error) {
+      console.error(`❌ Error removing disconnected ${role}:`, error.message);
+    }
+  }, CONFIG.RECONNECT_GRACE_MS);
+  timer.unref();
+  reconnectTimers.set(`${role}:${entry.id}`, timer);
+}
+
+// Timers that close timed polls: pollId -> timeout
+const pollTimers = new Map();
+
+/**
+ * Close a poll and show the channel its results; reason is 'closed'
+ * (by a teacher) or 'timeout'. Closing twice only announces it once.
+ * Returns { poll } or { error }
+ */
+async function finishPoll(channelName, pollId, reason) {
+  clearTimeout(pollTimers.get(pollId));
+  pollTimers.delete(pollId);
+
+  const { poll, alreadyClosed, error } = await pollStore.closePoll(channelName, pollId);
+  if (error || alreadyClosed) return { poll, error };
+
+  console.log(`📊 ${poll.kind === 'quiz' ? 'Quiz' : 'Poll'} closed (${reason}) in ${channelName}: ${poll.question}`);
+  io.to(`channel:${channelName}`).emit('poll:closed', {
     channelName,
-    topics: topicStats,
-    overallStats,
-    overallClassAverage: Math.round(overallClassAverage * 10) / 10,
-    analytics,
-    generatedAt: Date.now()
+    reason,
+    poll: pollStore.studentView(poll),
+    results: pollStore.summarizePoll(poll)
   });
-});
+  io.to(`teachers:${channelName}`).emit('poll:results', { channelName, poll: pollStore.teacherView(poll) });
+  return { poll };
+}
 
-// =====================================
-// WEBSOCKET CONNECTIONS
-// =====================================
+/**
+ * Close a timed poll when its time is up (at once if it already is)
+ */
+function schedulePollClose(poll) {
+  if (!poll.closesAt || poll.closedAt || pollTimers.has(poll.pollId)) return;
+
+  const timer = setTimeout(() => {
+    pollTimers.delete(poll.pollId);
+    finishPoll(poll.channelName, poll.pollId, 'timeout').catch(err => {
+      console.error('❌ Error closing poll:', err.message);
+    });
+  }, Math.max(0, poll.closesAt - Date.now()));
+  timer.unref();
+  pollTimers.set(poll.pollId, timer);
+}
 
 io.on('connection', (socket) => {
-  console.log(`🔌 New connection: ${socket.id}`);
+  // Authenticated user bound during the handshake (null in demo mode)
+  const user = socket.data.user;
+  console.log(`🔌 New connection: ${socket.id}`, user ? `(${user.role} ${user.userId})` : '(unauthenticated)');
+
+  // Reject events that don't match the authenticated user's role
+  socket.use(socketRoleGuard(socket));
+
+  // Prefer the authenticated identity over whatever ID the client claims
+  const resolveId = (claimedId) => (user ? user.userId : claimedId);
+
+  /**
+   * Track the Agora token this socket uses so it is warned before expiry
+   * The UID comes from the account, or in demo mode from the join payload
+   */
+  const trackAgoraToken = async (channelName, role, claimedUid) => {
+    const uid = user ? agoraTokens.deriveUid(user.userId) : parseInt(claimedUid, 10);
+    if (!uid) return;
+
+    await tokenTracker.trackSocket(socket.id, { channelName, uid, role }, (payload) => {
+      console.log(`⏳ Agora token for uid ${uid} in ${channelName} expires in ${payload.secondsLeft}s`);
+      socket.emit('token:willExpire', payload);
+    });
+  };
 
   // DEBUG: Log ALL events received on this socket
   socket.onAny((eventName, ...args) => {
@@ -576,38 +1032,154 @@ io.on('connection', (socket) => {
   });
 
   /**
-   * Student joins a channel
+   * Check that a channel belongs to a session that can still be joined
+   * (and, for authenticated teachers, that they are on its staff)
+   * Emits session:error to this socket and returns false otherwise;
+   * returns the session if the join may go ahead
    */
-  socket.on('student:join', (data) => {
-    const { studentId, channelName, studentName } = data;
-    
-    const displayName = studentName || `Student ${studentId}`;
-    
-    activeSessions.students.set(studentId, {
-      id: studentId,
-      name: displayName,
-      socketId: socket.id,
-      channelName,
-      emotion: null,
-      confidence: null,
-      timestamp: Date.now()
-    });
-
-    socket.join(`channel:${channelName}`);
-    socket.join('students');
-
-    console.log(`👨‍🎓 ${displayName} (ID: ${studentId}) joined channel: ${channelName}`);
-
-    // Notify ALL users in the channel (students + teachers)
-    io.to(`channel:${channelName}`).emit('student:joined', {
-      studentId,
-      studentName: displayName,
-      timestamp: Date.now()
+  const validateSession = async (channelName) => {
+    try {
+      const session = await sessionStore.getSession(channelName);
+      if (!sessionStore.isJoinable(session)) {
+        console.warn(`⚠️  Rejected join for unknown or ended session: ${channelName}`);
+        socket.emit('session:error', {
+          error: session ? 'Session has ended' : 'Session not found',
+          channelName
+        });
+        return false;
+      }
+      if (user && user.role === 'teacher' && !sessionStore.staffRole(session, user.userId)) {
+        console.warn(`⚠️  Rejected teacher ${user.userId} joining session they don't teach: ${channelName}`);
+        socket.emit('session:error', {
+          error: 'Only the session owner, co-teachers and teaching assistants can join as teacher',
+          channelName
+        });
+        return false;
+      }
+      return session;
+    } catch (error) {
+      console.error('❌ Error validating session:', error.message);
+      socket.emit('session:error', {
+        error: 'Failed to validate session',
+        details: error.message,
+        channelName
+      });
+    }
+    return false;
+  };
+
+  /**
+   * Register a join or leave event; handler(data) only runs for a payload
+   * with a channelName and the student's or teacher's ID. Bad payloads and
+   * failures (e.g. Redis unreachable) are answered with session:error
+   * instead of becoming unhandled rejections.
+   */
+  const onSessionEvent = (eventName, handler) => {
+    const idField = eventName.startsWith('student:') ? 'studentId' : 'teacherId';
+    socket.on(eventName, async (payload) => {
+      const data = payload && typeof payload === 'object' ? payload : {};
+      const id = resolveId(data[idField]);
+      if (typeof data.channelName !== 'string' || !data.channelName || id === undefined || id === null || id === '') {
+        socket.emit('session:error', { error: `channelName and ${idField} are required`, channelName: null });
+        return;
+      }
+      try {
+        await handler(data);
+      } catch (error) {
+        console.error(`❌ Error handling ${eventName}:`, error);
+        socket.emit('session:error', {
+          error: `Failed to handle ${eventName}`,
+          details: error.message,
+          channelName: data.channelName
+        });
+      }
     });
+  };
+
+  /**
+   * Student joins a channel
+   */
+  onSessionEvent('student:join', async (data) => {
+    const { channelName } = data;
+    const studentId = resolveId(data.studentId);
+    const studentName = user ? user.name : data.studentName;
+    
+    if (!(await validateSession(channelName))) return;
+    
+    const displayName = studentName || `Student ${studentId}`;
+
+    // Already here from another tab or device, or back within the grace
+    // period: take over the existing entry instead of starting afresh
+    let existing = await activeSessions.students.get(studentId);
+    if (existing && existing.channelName !== channelName) {
+      await evictStudent(existing, 'leave');
+      existing = null;
+    }
+
+    if (existing) {
+      cancelReconnect('student', studentId);
+      await activeSessions.students.update(studentId, {
+        name: displayName,
+        socketId: socket.id,
+        disconnectedAt: null
+      });
+    } else {
+      await activeSessions.students.set(studentId, {
+        id: studentId,
+        name: displayName,
+        socketId: socket.id,
+        channelName,
+        emotion: null,
+        confidence: null,
+        timestamp: Date.now(),
+        disconnectedAt: null
+      });
+    }
+    await activeSessions.students.addSocket(studentId, socket.id);
+
+    socket.join(`channel:${channelName}`);
+    socket.join('students');
+    // Reaches every tab the student has open
+    socket.join(`student:${studentId}`);
+    socket.data.participant = { id: studentId, role: 'student', channelName };
+    await trackAgoraToken(channelName, 'student', data.uid);
+
+    if (existing) {
+      const reconnected = existing.disconnectedAt !== null && existing.disconnectedAt !== undefined;
+      console.log(`👨‍🎓 ${displayName} (ID: ${studentId}) ${reconnected ? 'reconnected to' : 'opened another connection to'} channel: ${channelName}`);
+
+      socket.emit('session:resumed', {
+        channelName,
+        studentId,
+        engagement: existing.engagement || null,
+        confidence: existing.confidence,
+        reconnected,
+        timestamp: Date.now()
+      });
+      if (reconnected) {
+        io.to(`teachers:${channelName}`).emit('student:reconnected', {
+          studentId,
+          timestamp: Date.now()
+        });
+      }
+    } else {
+      attendanceStore.recordJoin(channelName, { studentId, studentName: displayName }).catch(err => {
+        console.warn('⚠️  Could not record attendance:', err.message);
+      });
+
+      console.log(`👨‍🎓 ${displayName} (ID: ${studentId}) joined channel: ${channelName}`);
+
+      // Notify ALL users in the channel (students + teachers)
+      io.to(`channel:${channelName}`).emit('student:joined', {
+        studentId,
+        studentName: displayName,
+        timestamp: Date.now()
+      });
+    }
     
     // Send existing students list to the new student
-    const existingStudents = Array.from(activeSessions.students.values())
-      .filter(s => s.channelName === channelName && s.id !== studentId);
+    const existingStudents = (await activeSessions.students.list(channelName))
+      .filter(s => s.id !== studentId);
     
     existingStudents.forEach(existingStudent => {
       socket.emit('student:joined', {
@@ -618,8 +1190,7 @@ io.on('connection', (socket) => {
     });
     
     // Send existing teachers list to the new student
-    const existingTeachers = Array.from(activeSessions.teachers.values())
-      .filter(t => t.channelName === channelName);
+    const existingTeachers = await activeSessions.teachers.list(channelName);
     
     existingTeachers.forEach(teacher => {
       socket.emit('teacher:joined', {
@@ -628,45 +1199,98 @@ io.on('connection', (socket) => {
         timestamp: Date.now()
       });
     });
+    
+    // Bring the new student's whiteboard, current topic, chat and polls up to date
+    await syncWhiteboard(channelName);
+    await syncTopics(channelName);
+    await syncChat(channelName);
+    await syncPolls(channelName);
   });
 
   /**
    * Teacher joins a channel
    */
-  socket.on('teacher:join', (data) => {
-    const { teacherId, channelName, teacherName } = data;
+  onSessionEvent('teacher:join', async (data) => {
+    const { channelName } = data;
+    const teacherId = resolveId(data.teacherId);
+    const teacherName = user ? user.name : data.teacherName;
     
-    const displayName = teacherName || `Teacher ${teacherId}`;
+    const session = await validateSession(channelName);
+    if (!session) return;
     
-    activeSessions.teachers.set(teacherId, {
+    const displayName = teacherName || `Teacher ${teacherId}`;
+    // Without authentication (demo mode) unlisted teachers join as co-teachers
+    const channelRole = sessionStore.staffRole(session, teacherId) || 'co_teacher';
+    const canLead = sessionStore.LEAD_ROLES.includes(channelRole);
+
+    // Other tabs only count while they're in the same channel
+    const existing = await activeSessions.teachers.get(teacherId);
+    const rejoining = Boolean(existing) && existing.channelName === channelName;
+    if (existing && !rejoining) {
+      await teacherGone(existing, 'leave');
+    }
+    cancelReconnect('teacher', teacherId);
+    await activeSessions.teachers.set(teacherId, {
       id: teacherId,
       name: displayName,
       socketId: socket.id,
-      channelName
+      channelName,
+      channelRole,
+      joinedAt: rejoining ? existing.joinedAt : Date.now(),
+      disconnectedAt: null
     });
+    await activeSessions.teachers.addSocket(teacherId, socket.id);
 
     socket.join(`channel:${channelName}`);
     socket.join(`teachers:${channelName}`);
+    socket.data.participant = { id: teacherId, role: 'teacher', channelName };
+    await trackAgoraToken(channelName, 'teacher', data.uid);
 
-    console.log(`👨‍🏫 ${displayName} (ID: ${teacherId}) joined channel: ${channelName}`);
+    console.log(`👨‍🏫 ${displayName} (ID: ${teacherId}, ${channelRole}) joined channel: ${channelName}`);
+
+    // Take the lead if the host isn't here to hold it
+    let hostId = session.hostId;
+    if (hostId !== String(teacherId) && canLead) {
+      const host = await activeSessions.teachers.get(hostId);
+      if (!host || host.channelName !== channelName || host.disconnectedAt) {
+        hostId = (await changeHost(channelName, teacherId, 'vacant')).hostId;
+      }
+    }
 
     // Notify ALL users in channel that teacher joined
     io.to(`channel:${channelName}`).emit('teacher:joined', {
       teacherId,
       teacherName: displayName,
+      role: channelRole,
+      hostId,
       timestamp: Date.now()
     });
 
     // Send current students list to teacher
-    const studentsInChannel = Array.from(activeSessions.students.values())
-      .filter(student => student.channelName === channelName);
+    const studentsInChannel = await activeSessions.students.list(channelName);
 
     console.log(`📋 Sending ${studentsInChannel.length} students to teacher:`, studentsInChannel.map(s => `${s.name} (${s.id})`).join(', '));
     socket.emit('students:list', { students: studentsInChannel });
     
+    // Replay alerts that are still active so a (re)joining teacher sees them
+    (await alertEngine.getActive(channelName)).forEach(alert => socket.emit('alert:raised', alert));
+    
+    await syncWhiteboard(channelName);
+    await syncTopics(channelName);
+    await syncChat(channelName);
+    await syncPolls(channelName);
+    // Pick up a timed agenda again, e.g. after a server restart
+    await agendaRunner.schedule(channelName);
+    
+    // Let the dashboard know straight away if engagement detection is down
+    const mlStatus = mlBreaker.getStatus();
+    if (!mlStatus.available) {
+      socket.emit('ml:status', mlStatusPayload(mlStatus));
+    }
+    
     // Also broadcast to all students in channel that teacher joined (so they can update names)
     studentsInChannel.forEach(student => {
-      io.to(student.socketId).emit('teacher:joined', {
+      io.to(`student:${student.id}`).emit('teacher:joined', {
         teacherId,
         teacherName: displayName,
         timestamp: Date.now()
@@ -676,60 +1300,96 @@ io.on('connection', (socket) => {
 
   /**
    * Receive video frame from student for emotion detection
+   * `frame` is a binary attachment (Buffer) or, from older clients, a base64 string
    */
   socket.on('frame:send', async (data) => {
     try {
-      const { studentId, frame, channelName, timestamp } = data;
+      const { channelName, timestamp } = data || {};
+
+      // Only for the class this socket joined, as the student it joined as
+      const participant = socket.data.participant;
+      if (!participant || participant.role !== 'student' || participant.channelName !== channelName) {
+        socket.emit('frame:rejected', {
+          reason: 'NOT_IN_CHANNEL',
+          error: 'Join the channel as a student before sending frames'
+        });
+        return;
+      }
+      const studentId = participant.id;
 
       // Get student name from session
-      const student = activeSessions.students.get(studentId);
+      const student = await activeSessions.students.get(studentId);
       const studentName = student ? student.name : `Student ${studentId}`;
 
-      console.log(`📸 Received frame from ${studentName} (ID: ${studentId}), frame size: ${Math.round(frame.length / 1024)} KB`);
-
-      // Forward frame to Python ML service
-      console.log(`🔄 Forwarding frame to ML service at ${CONFIG.ML_SERVICE_URL}/predict...`);
-      
-      const mlResponse = await axios.post(
-        `${CONFIG.ML_SERVICE_URL}/predict`,
-        { image: frame },
-        {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000 // Increased timeout to 10 seconds
-        }
-      );
+      if (!frameRateLimiter.allow(studentId)) {
+        socket.emit('frame:rejected', {
+          reason: 'RATE_LIMITED',
+          error: `Send at most ${frameRateLimiter.maxFps} frames per second`
+        });
+        return;
+      }
 
-      console.log(`✅ ML service responded successfully`);
+      let frame;
+      try {
+        frame = normalizeFrame(data.frame);
+      } catch (error) {
+        console.warn(`⚠️  Rejected frame from ${studentName}: ${error.message}`);
+        socket.emit('frame:rejected', { reason: error.code, error: error.message });
+        return;
+      }
 
-      const { engagement, confidence } = mlResponse.data;
+      console.log(`📸 Received ${frame.original ? 'base64' : 'binary'} ${frame.mimeType} frame from ${studentName} (ID: ${studentId}), frame size: ${Math.round(frame.buffer.length / 1024)} KB`);
+      attendanceStore.recordFrame(channelName, studentId).catch(err => {
+        console.error('❌ Could not record camera time:', err.message);
+      });
 
-      console.log(`🎭 Detected engagement for ${studentName}: ${engagement} (${(confidence * 100).toFixed(1)}%)`);
+      // Queue frame for the ML service (batched with other students' frames)
+      const prediction = await inferenceQueue.enqueue(studentId, frame);
 
-      // Update student's engagement in active sessions
-      if (activeSessions.students.has(studentId)) {
-        const existingStudent = activeSessions.students.get(studentId);
-        existingStudent.engagement = engagement;
-        existingStudent.confidence = confidence;
-        existingStudent.timestamp = Date.now();
+      if (!prediction) {
+        // Superseded by a newer frame from this student, or the queue is full
+        console.log(`⏭️  Dropped stale frame from ${studentName}`);
+        return;
       }
-      
-      // Store analytics data
-      if (!analyticsData.has(channelName)) {
-        analyticsData.set(channelName, []);
-      }
-      analyticsData.get(channelName).push({
-        timestamp: Date.now(),
+
+      const now = Date.now();
+      const raw = { engagement: prediction.engagement, confidence: prediction.confidence };
+
+      console.log(`🎭 Detected engagement for ${studentName}: ${raw.engagement} (${(raw.confidence * 100).toFixed(1)}%)`);
+
+      // Store the raw sample for reports (don't hold up the result on a slow database write)
+      analyticsStore.recordSample(channelName, {
+        timestamp: now,
         studentId,
         studentName,
-        engagement,
-        confidence
+        engagement: raw.engagement,
+        confidence: raw.confidence
+      }).catch(err => {
+        console.warn('⚠️  Could not save engagement sample:', err.message);
       });
 
+      // Smooth before showing it anywhere live
+      const smoothed = engagementSmoother.update(studentId, { ...raw, timestamp: now });
+      if (!smoothed) {
+        console.log(`🤷 Low-confidence result for ${studentName}, waiting for a clearer frame`);
+        return;
+      }
+
+      const { engagement, confidence } = smoothed;
+
+      alertEngine.evaluate(channelName, { timestamp: now, studentId, studentName, engagement }).catch(err => {
+        console.warn('⚠️  Could not evaluate alerts:', err.message);
+      });
+
+      // Update student's engagement in active sessions
+      await activeSessions.students.update(studentId, { engagement, confidence, timestamp: now });
+
       // Send engagement state back to student
       socket.emit('engagement:result', {
         engagement,
         confidence,
-        timestamp: Date.now()
+        raw,
+        timestamp: now
       });
       console.log(`📤 Sent engagement result to ${studentName}`);
 
@@ -739,11 +1399,18 @@ io.on('connection', (socket) => {
         studentName,
         engagement,
         confidence,
-        timestamp: Date.now()
+        changed: smoothed.changed,
+        raw,
+        timestamp: now
       });
       console.log(`📡 Broadcast emotion update to teachers in channel: ${channelName}`);
 
     } catch (error) {
+      // ML service is known to be down - teachers were already told via ml:status
+      if (error.code === 'CIRCUIT_OPEN') {
+        return;
+      }
+
       console.error('❌ Error processing frame:', error.message);
       if (error.code === 'ECONNREFUSED') {
         console.error('❌ ML service is not reachable at', CONFIG.ML_SERVICE_URL);
@@ -762,75 +1429,614 @@ io.on('connection', (socket) => {
   /**
    * Student leaves channel
    */
-  socket.on('student:leave', (data) => {
-    const { studentId, channelName } = data;
+  onSessionEvent('student:leave', async (data) => {
+    const { channelName } = data;
+    const studentId = resolveId(data.studentId);
     
-    // Get student name before deleting
-    const student = activeSessions.students.get(studentId);
+    const student = await activeSessions.students.get(studentId);
     const studentName = student ? student.name : `Student ${studentId}`;
     
-    activeSessions.students.delete(studentId);
+    socket.data.participant = null;
     socket.leave(`channel:${channelName}`);
-    
-    console.log(`👨‍🎓 ${studentName} (ID: ${studentId}) left channel: ${channelName}`);
+    socket.leave(`student:${studentId}`);
+    tokenTracker.untrackSocket(socket.id);
+
+    // Leaving from one tab doesn't take the student out of the class
+    const remaining = await activeSessions.students.removeSocket(studentId, socket.id);
+    if (remaining > 0) {
+      console.log(`👨‍🎓 ${studentName} (ID: ${studentId}) closed one of ${remaining + 1} connections to channel: ${channelName}`);
+      return;
+    }
 
-    // Notify teachers
-    io.to(`teachers:${channelName}`).emit('student:left', {
-      studentId,
-      timestamp: Date.now()
-    });
+    await evictStudent(student || { id: studentId, channelName }, 'leave');
+    console.log(`👨‍🎓 ${studentName} (ID: ${studentId}) left channel: ${channelName}`);
   });
 
   /**
    * Teacher leaves channel
    */
-  socket.on('teacher:leave', (data) => {
-    const { teacherId, channelName } = data;
+  onSessionEvent('teacher:leave', async (data) => {
+    const { channelName } = data;
+    const teacherId = resolveId(data.teacherId);
     
-    // Get teacher name before deleting
-    const teacher = activeSessions.teachers.get(teacherId);
+    const teacher = await activeSessions.teachers.get(teacherId);
     const teacherName = teacher ? teacher.name : `Teacher ${teacherId}`;
     
-    activeSessions.teachers.delete(teacherId);
+    socket.data.participant = null;
     socket.leave(`channel:${channelName}`);
     socket.leave(`teachers:${channelName}`);
+    tokenTracker.untrackSocket(socket.id);
+
+    // Other tabs keep the teacher in the channel
+    if ((await activeSessions.teachers.removeSocket(teacherId, socket.id)) > 0) return;
+    if (teacher && teacher.channelName === channelName) {
+      await teacherGone(teacher, 'leave');
+    }
     
     console.log(`👨‍🏫 ${teacherName} (ID: ${teacherId}) left channel: ${channelName}`);
   });
 
   /**
-   * Whiteboard drawing - broadcast to all in channel
+   * Renew the Agora RTC token for the channel/UID this socket joined with
+   * Replies through the ack callback if given, else token:renewed / token:error
    */
-  socket.on('whiteboard:draw', (data) => {
+  socket.on('token:renew', async (data, ack) => {
+    const reply = (payload) => {
+      if (typeof ack === 'function') return ack(payload);
+      socket.emit(payload.error ? 'token:error' : 'token:renewed', payload);
+    };
+
+    try {
+      const tracked = await tokenTracker.getTracked(socket.id);
+      if (!tracked) {
+        return reply({ error: 'No token to renew, join a channel first' });
+      }
+
+      const { channelName, uid, role } = tracked;
+      const session = await sessionStore.getSession(channelName);
+      if (!sessionStore.isJoinable(session)) {
+        return reply({ error: 'Session is no longer active', channelName });
+      }
+
+      const rtcRole = agoraTokens.resolveRtcRole(role, session.stageLocked);
+      const { token, expiresAt } = agoraTokens.buildRtcToken({ channelName, uid, rtcRole });
+      await tokenTracker.recordIssued(channelName, uid, { role, expiresAt });
+
+      console.log(`🔄 Token renewed for ${role} (uid ${uid}) in channel: ${channelName}`);
+
+      reply({
+        token,
+        uid,
+        appId: CONFIG.AGORA_APP_ID,
+        channelName,
+        canPublish: rtcRole === agoraTokens.RtcRole.PUBLISHER,
+        expiresAt
+      });
+    } catch (error) {
+      console.error('❌ Error renewing token:', error);
+      reply({ error: 'Failed to renew token', details: error.message });
+    }
+  });
+
+  /**
+   * Send the current whiteboard to this socket (late joiners, reconnects)
+   */
+  const syncWhiteboard = async (channelName) => {
+    try {
+      socket.emit('whiteboard:sync', await whiteboardStore.getSnapshot(channelName));
+    } catch (error) {
+      console.error('❌ Error syncing whiteboard:', error.message);
+    }
+  };
+
+  /**
+   * Send this socket the channel's polls: teachers get live results (and
+   * timers are re-armed, e.g. after a restart), students their own answers
+   */
+  const syncPolls = async (channelName) => {
+    try {
+      const participant = socket.data.participant;
+      const polls = await pollStore.getPolls(channelName);
+      if (participant.role === 'teacher') {
+        polls.forEach(schedulePollClose);
+        socket.emit('polls:list', { channelName, polls: polls.map(poll => pollStore.teacherView(poll)) });
+      } else {
+        socket.emit('polls:list', { channelName, polls: polls.map(poll => pollStore.studentView(poll, participant.id)) });
+      }
+    } catch (error) {
+      console.error('❌ Error syncing polls:', error.message);
+    }
+  };
+
+  /**
+   * Send this socket the chat messages it may see and the Q&A queue
+   */
+  const syncChat = async (channelName) => {
+    try {
+      const participant = socket.data.participant;
+      const [messages, questions] = await Promise.all([
+        chatStore.getMessages(channelName, participant),
+        chatStore.getQuestions(channelName)
+      ]);
+      socket.emit('chat:history', { channelName, messages });
+      socket.emit('questions:list', { channelName, questions });
+    } catch (error) {
+      console.error('❌ Error syncing chat:', error.message);
+    }
+  };
+
+  /**
+   * Send the running topic to this socket, in the same shape as topic:changed
+   */
+  const syncTopics = async (channelName) => {
+    try {
+      socket.emit('topic:changed', {
+        channelName,
+        action: 'sync',
+        topic: null,
+        current: await topicStore.getCurrentTopics(channelName),
+        timestamp: Date.now()
+      });
+
+      const progress = await agendaRunner.getProgress(channelName);
+      if (progress && progress.items.length > 0) {
+        socket.emit('agenda:updated', { channelName, progress, timestamp: Date.now() });
+      }
+    } catch (error) {
+      console.error('❌ Error syncing topics:', error.message);
+    }
+  };
+
+  /**
+   * Only the channel's teacher, or students they've granted the pen to, may
+   * change the whiteboard. Emits whiteboard:denied and returns null otherwise;
+   * returns the participant ({ id, role, channelName }) if allowed.
+   */
+  const whiteboardAuthor = async (channelName, action) => {
+    const participant = socket.data.participant;
+    if (!participant || participant.channelName !== channelName) {
+      return null;
+    }
+    if (participant.role === 'teacher' || await whiteboardStore.hasPen(channelName, participant.id)) {
+      return participant;
+    }
+    socket.emit('whiteboard:denied', {
+      channelName,
+      action,
+      error: 'Ask the teacher for the pen to use the whiteboard'
+    });
+    return null;
+  };
+
+  /**
+   * Register a whiteboard event; handler(data, ack) only runs for a payload
+   * object with a channelName. Bad payloads and failures are answered with
+   * whiteboard:denied instead of becoming unhandled rejections.
+   */
+  const onWhiteboardEvent = (eventName, handler) => {
+    const action = eventName.replace('whiteboard:', '');
+    socket.on(eventName, async (data, ack) => {
+      if (!data || typeof data !== 'object' || typeof data.channelName !== 'string') {
+        socket.emit('whiteboard:denied', { channelName: null, action, error: 'Invalid whiteboard payload' });
+        return;
+      }
+      try {
+        await handler(data, ack);
+      } catch (error) {
+        console.error(`❌ Error handling ${eventName}:`, error);
+        socket.emit('whiteboard:denied', {
+          channelName: data.channelName,
+          action,
+          error: 'Failed to update the whiteboard',
+          details: error.message
+        });
+      }
+    });
+  };
+
+  // Only the channel's owner and co-teachers (not TAs) may manage pens,
+  // other people's strokes and the agenda
+  const isChannelTeacher = async (channelName) => {
+    const participant = socket.data.participant;
+    if (!participant || participant.role !== 'teacher' || participant.channelName !== channelName) {
+      return false;
+    }
+    const teacher = await activeSessions.teachers.get(participant.id);
+    return Boolean(teacher) && sessionStore.LEAD_ROLES.includes(teacher.channelRole);
+  };
+
+  /**
+   * Teacher moves the lesson on to the next agenda item, or to a given one
+   * Data: { channelName, itemId? }; replies through the ack callback if
+   * given, else agenda:error on failure (success is broadcast as
+   * topic:changed and agenda:updated)
+   */
+  socket.on('agenda:advance', async (data, ack) => {
+    const reply = (payload) => {
+      if (typeof ack === 'function') return ack(payload);
+      if (payload.error) socket.emit('agenda:error', payload);
+    };
+
+    try {
+      const { channelName, itemId } = data || {};
+      if (!(await isChannelTeacher(channelName))) {
+        return reply({ error: 'Join the channel as its teacher or a co-teacher first', channelName });
+      }
+
+      const { topic, item, finished, error } = await agendaRunner.advance(channelName, { itemId });
+      if (error) {
+        return reply({ error, channelName });
+      }
+      reply({ success: true, channelName, topic, item, finished });
+    } catch (error) {
+      console.error('❌ Error advancing agenda:', error);
+      reply({ error: 'Failed to advance agenda', details: error.message });
+    }
+  });
+
+  /**
+   * Host (or the owner) hands the lead to another teacher in the class
+   * Data: { channelName, teacherId }; the new host must be connected and be
+   * the owner or a co-teacher. Replies through the ack callback if given,
+   * else host:error on failure (success is broadcast as host:changed)
+   */
+  socket.on('host:transfer', async (data, ack) => {
+    const reply = (payload) => {
+      if (typeof ack === 'function') return ack(payload);
+      if (payload.error) socket.emit('host:error', payload);
+    };
+
+    try {
+      const { channelName } = data || {};
+      const targetId = data && data.teacherId !== undefined ? String(data.teacherId) : null;
+      const participant = socket.data.participant;
+      if (!participant || participant.role !== 'teacher' || participant.channelName !== channelName) {
+        return reply({ error: 'Join the channel as a teacher first', channelName });
+      }
+
+      const session = await sessionStore.getSession(channelName);
+      if (!session) {
+        return reply({ error: 'Session not found', channelName });
+      }
+      if (![session.hostId, session.teacherId].includes(participant.id)) {
+        return reply({ error: 'Only the host or the session owner can hand over hosting', channelName });
+      }
+
+      const target = targetId && await activeSessions.teachers.get(targetId);
+      if (!target || target.channelName !== channelName || target.disconnectedAt) {
+        return reply({ error: 'That teacher is not in the class', channelName });
+      }
+      if (!sessionStore.LEAD_ROLES.includes(target.channelRole)) {
+        return reply({ error: 'Only the owner or a co-teacher can host', channelName });
+      }
+
+      const updated = await changeHost(channelName, targetId, 'transfer');
+      reply({ success: true, channelName, hostId: updated.hostId });
+    } catch (error) {
+      console.error('❌ Error transferring host:', error);
+      reply({ error: 'Failed to transfer host', details: error.message });
+    }
+  });
+
+  /**
+   * Register a chat, Q&A or poll event; handler(data, participant) returns the
+   * reply, sent through the ack callback if given (else `errorEvent` on
+   * failure). The sender must have joined data.channelName; participant is
+   * { id, role, channelName, name }.
+   */
+  const onChannelEvent = (eventName, errorEvent, handler) => {
+    socket.on(eventName, async (data, ack) => {
+      const reply = (payload) => {
+        if (typeof ack === 'function') return ack(payload);
+        if (payload.error) socket.emit(errorEvent, payload);
+      };
+
+      const channelName = data && data.channelName;
+      try {
+        const participant = socket.data.participant;
+        if (!participant || participant.channelName !== channelName) {
+          return reply({ error: 'Join the channel first', channelName });
+        }
+        const table = participant.role === 'student' ? activeSessions.students : activeSessions.teachers;
+        const entry = await table.get(participant.id);
+        reply(await handler(data, { ...participant, name: entry ? entry.name : null }));
+      } catch (error) {
+        console.error(`❌ Error handling ${eventName}:`, error);
+        reply({ error: `Failed to handle ${eventName}`, details: error.message, channelName });
+      }
+    });
+  };
+
+  /**
+   * Chat message - public to the channel, or private: a student's goes to the
+   * teaching staff, a teacher's to one student (toStudentId)
+   * Data: { channelName, text, private?, toStudentId? }
+   */
+  onChannelEvent('chat:message', 'chat:error', async (data, participant) => {
+    const { channelName } = data;
+    const { message, error } = await chatStore.addMessage(channelName, participant, {
+      text: data.text,
+      private: Boolean(data.private),
+      toStudentId: data.toStudentId !== undefined ? String(data.toStudentId) : null
+    });
+    if (error) return { error, channelName };
+
+    const recipients = message.visibility === 'public'
+      ? io.to(`channel:${channelName}`)
+      : io.to(`teachers:${channelName}`).to(`student:${message.studentId}`);
+    recipients.emit('chat:message', message);
+    return { success: true, message };
+  });
+
+  /**
+   * Student posts a question to the Q&A queue
+   * Data: { channelName, text }
+   */
+  onChannelEvent('question:ask', 'question:error', async (data, participant) => {
+    const { channelName } = data;
+    if (participant.role !== 'student') {
+      return { error: 'Only students can ask questions', channelName };
+    }
+
+    const { question, error } = await chatStore.askQuestion(channelName, {
+      studentId: participant.id,
+      studentName: participant.name,
+      text: data.text
+    });
+    if (error) return { error, channelName };
+
+    console.log(`❓ ${participant.name} asked a question in channel:`, channelName);
+    io.to(`channel:${channelName}`).emit('question:asked', { channelName, question });
+    return { success: true, question };
+  });
+
+  /**
+   * Student upvotes someone else's question
+   * Data: { channelName, questionId }
+   */
+  onChannelEvent('question:upvote', 'question:error', async (data, participant) => {
+    const { channelName, questionId } = data;
+    if (participant.role !== 'student') {
+      return { error: 'Only students can upvote questions', channelName };
+    }
+
+    const { question, error } = await chatStore.upvoteQuestion(channelName, questionId, participant.id);
+    if (error) return { error, channelName };
+
+    io.to(`channel:${channelName}`).emit('question:updated', { channelName, question });
+    return { success: true, question };
+  });
+
+  /**
+   * Teacher or TA marks a question answered (answered: false reopens it)
+   * or pins it to the top of the queue
+   * Data: { channelName, questionId, answered? } / { channelName, questionId, pinned? }
+   */
+  const moderateQuestion = (field) => async (data, participant) => {
+    const { channelName, questionId } = data;
+    if (participant.role !== 'teacher') {
+      return { error: 'Only teachers can moderate questions', channelName };
+    }
+
+    const value = data[field] === undefined ? true : Boolean(data[field]);
+    const { question, error } = await chatStore.updateQuestion(channelName, questionId, { [field]: value }, participant.id);
+    if (error) return { error, channelName };
+
+    io.to(`channel:${channelName}`).emit('question:updated', { channelName, question });
+    return { success: true, question };
+  };
+  onChannelEvent('question:answer', 'question:error', moderateQuestion('answered'));
+  onChannelEvent('question:pin', 'question:error', moderateQuestion('pinned'));
+
+  /**
+   * Teacher opens a poll or quiz for the channel
+   * Data: { channelName, kind: 'poll'|'quiz', format: 'choice'|'numeric',
+   * question, options?, correctOption?, correctValue?, tolerance?,
+   * anonymous?, durationSeconds? }
+   * Students get poll:opened (without the correct answer); teachers also
+   * get live results as poll:results
+   */
+  onChannelEvent('poll:create', 'poll:error', async (data, participant) => {
     const { channelName } = data;
+    if (!(await isChannelTeacher(channelName))) {
+      return { error: 'Only the session owner or a co-teacher can run polls', channelName };
+    }
+
+    const { poll, error } = await pollStore.createPoll(channelName, data, participant.id);
+    if (error) return { error, channelName };
+
+    console.log(`📊 ${poll.kind === 'quiz' ? 'Quiz' : 'Poll'} opened in ${channelName}: ${poll.question}`);
+    schedulePollClose(poll);
+    io.to(`channel:${channelName}`).emit('poll:opened', { channelName, poll: pollStore.studentView(poll) });
+    io.to(`teachers:${channelName}`).emit('poll:results', { channelName, poll: pollStore.teacherView(poll) });
+    return { success: true, poll: pollStore.teacherView(poll) };
+  });
+
+  /**
+   * Student answers an open poll (answering again replaces their answer)
+   * Data: { channelName, pollId, choice } or { channelName, pollId, value }
+   */
+  onChannelEvent('poll:answer', 'poll:error', async (data, participant) => {
+    const { channelName, pollId } = data;
+    if (participant.role !== 'student') {
+      return { error: 'Only students can answer polls', channelName };
+    }
+
+    const { poll, error } = await pollStore.answerPoll(
+      channelName,
+      pollId,
+      { studentId: participant.id, studentName: participant.name },
+      { choice: data.choice, value: data.value }
+    );
+    if (error) return { error, channelName, pollId };
+
+    io.to(`teachers:${channelName}`).emit('poll:results', { channelName, poll: pollStore.teacherView(poll) });
+    return { success: true, pollId, answer: pollStore.studentView(poll, participant.id).answer };
+  });
+
+  /**
+   * Teacher closes a poll before its time is up; everyone gets poll:closed
+   * with the results (and, for quizzes, the correct answer)
+   * Data: { channelName, pollId }
+   */
+  onChannelEvent('poll:close', 'poll:error', async (data) => {
+    const { channelName, pollId } = data;
+    if (!(await isChannelTeacher(channelName))) {
+      return { error: 'Only the session owner or a co-teacher can run polls', channelName };
+    }
+
+    const { poll, error } = await finishPoll(channelName, pollId, 'closed');
+    if (error) return { error, channelName, pollId };
+    return { success: true, poll: pollStore.teacherView(poll) };
+  });
+
+  /**
+   * Whiteboard drawing - record the stroke and broadcast to all in channel
+   * Segments of one stroke should share a strokeId so they undo together;
+   * one is generated if missing and returned through the ack callback
+   */
+  onWhiteboardEvent('whiteboard:draw', async (data, ack) => {
+    const { channelName, ...stroke } = data;
+    const author = await whiteboardAuthor(channelName, 'draw');
+    if (!author) return;
+    if (!whiteboardStore.isValidStroke(stroke)) {
+      socket.emit('whiteboard:denied', {
+        channelName,
+        action: 'draw',
+        error: 'Strokes need x0, y0, x1, y1 or a list of points'
+      });
+      return;
+    }
+
+    // Only drawing fields are stored and passed on
+    const fields = whiteboardStore.strokeFields(stroke);
+    const strokeId = fields.strokeId || crypto.randomUUID();
+    const pageIndex = Number.isInteger(stroke.pageIndex) ? stroke.pageIndex : undefined;
+    const segment = { ...fields, strokeId, authorId: author.id, timestamp: Date.now() };
+
+    const stored = await whiteboardStore.addStroke(channelName, segment, pageIndex);
+    if (!stored) {
+      console.warn(`⚠️  Whiteboard stroke not stored in ${channelName} (unknown or full page)`);
+    }
     // Broadcast to everyone in the channel except sender
-    socket.to(`channel:${channelName}`).emit('whiteboard:draw', data);
+    socket.to(`channel:${channelName}`).emit('whiteboard:draw', { channelName, pageIndex, ...fields, strokeId, authorId: author.id });
+    if (typeof ack === 'function') ack({ strokeId });
   });
 
   /**
-   * Whiteboard clear - broadcast to all in channel
+   * Whiteboard undo - remove the sender's latest stroke on a page
    */
-  socket.on('whiteboard:clear', (data) => {
+  onWhiteboardEvent('whiteboard:undo', async (data) => {
+    const { channelName, pageIndex } = data;
+    const author = await whiteboardAuthor(channelName, 'undo');
+    if (!author) return;
+
+    const undone = await whiteboardStore.undo(channelName, author.id, pageIndex);
+    if (!undone) return;
+
+    io.to(`channel:${channelName}`).emit('whiteboard:strokesRemoved', {
+      channelName,
+      strokes: [undone],
+      authorId: author.id
+    });
+  });
+
+  /**
+   * Whiteboard redo - restore the sender's latest undone stroke
+   */
+  onWhiteboardEvent('whiteboard:redo', async (data) => {
     const { channelName } = data;
+    const author = await whiteboardAuthor(channelName, 'redo');
+    if (!author) return;
+
+    const redone = await whiteboardStore.redo(channelName, author.id);
+    if (!redone) return;
+
+    io.to(`channel:${channelName}`).emit('whiteboard:strokeRestored', {
+      channelName,
+      pageIndex: redone.pageIndex,
+      strokeId: redone.strokeId,
+      segments: redone.segments,
+      authorId: author.id
+    });
+  });
+
+  /**
+   * Whiteboard remove stroke (teacher) - by strokeId, or everything by authorId
+   */
+  onWhiteboardEvent('whiteboard:removeStroke', async (data) => {
+    const { channelName, strokeId, authorId, pageIndex } = data;
+    if (!(await isChannelTeacher(channelName))) return;
+
+    const removed = await whiteboardStore.removeStrokes(channelName, { strokeId, authorId }, pageIndex);
+    if (removed.length === 0) return;
+
+    console.log(`🧽 Removed ${removed.length} whiteboard stroke(s) in channel:`, channelName);
+    io.to(`channel:${channelName}`).emit('whiteboard:strokesRemoved', { channelName, strokes: removed });
+  });
+
+  /**
+   * Whiteboard pen (teacher) - let a student draw, or take the pen back
+   */
+  const setPen = async (data, canDraw) => {
+    const { channelName, studentId } = data;
+    if (!studentId || !(await isChannelTeacher(channelName))) return;
+
+    const penHolders = await whiteboardStore.setPen(channelName, studentId, canDraw);
+    console.log(`🖊️  Pen ${canDraw ? 'granted to' : 'revoked from'} ${studentId} in channel:`, channelName);
+    io.to(`channel:${channelName}`).emit('whiteboard:penChanged', {
+      channelName,
+      studentId,
+      canDraw,
+      penHolders
+    });
+  };
+
+  onWhiteboardEvent('whiteboard:grantPen', (data) => setPen(data, true));
+  onWhiteboardEvent('whiteboard:revokePen', (data) => setPen(data, false));
+
+  /**
+   * Whiteboard clear - empty the page and broadcast to all in channel
+   */
+  onWhiteboardEvent('whiteboard:clear', async (data) => {
+    const { channelName, pageIndex } = data;
+    if (!(await whiteboardAuthor(channelName, 'clear'))) return;
+
+    await whiteboardStore.clearPage(channelName, pageIndex);
     // Broadcast to everyone in the channel except sender
     socket.to(`channel:${channelName}`).emit('whiteboard:clear', data);
   });
 
   /**
-   * Whiteboard new page - broadcast to all in channel
+   * Whiteboard new page - add the page and broadcast to all in channel
    */
-  socket.on('whiteboard:newPage', (data) => {
-    const { channelName } = data;
-    console.log('📝 New whiteboard page created in channel:', channelName);
+  onWhiteboardEvent('whiteboard:newPage', async (data) => {
+    const { channelName, pageIndex } = data;
+    if (!(await whiteboardAuthor(channelName, 'newPage'))) return;
+
+    const newIndex = await whiteboardStore.addPage(channelName, pageIndex);
+    if (newIndex === null) {
+      socket.emit('whiteboard:denied', {
+        channelName,
+        action: 'newPage',
+        error: `Pages are added one at a time at the end, up to ${whiteboardStore.MAX_PAGES}`
+      });
+      await syncWhiteboard(channelName);
+      return;
+    }
+    console.log(`📝 New whiteboard page ${newIndex} created in channel:`, channelName);
     // Broadcast to everyone in the channel except sender
-    socket.to(`channel:${channelName}`).emit('whiteboard:newPage', data);
+    socket.to(`channel:${channelName}`).emit('whiteboard:newPage', { channelName, pageIndex: newIndex });
   });
 
   /**
-   * Whiteboard change page - broadcast to all in channel
+   * Whiteboard change page - switch pages and broadcast to all in channel
    */
-  socket.on('whiteboard:changePage', (data) => {
+  onWhiteboardEvent('whiteboard:changePage', async (data) => {
     const { channelName, pageIndex } = data;
+    if (!(await whiteboardAuthor(channelName, 'changePage'))) return;
+
+    await whiteboardStore.setCurrentPage(channelName, pageIndex);
     console.log(`📝 Whiteboard page changed to ${pageIndex} in channel:`, channelName);
     // Broadcast to everyone in the channel except sender
     socket.to(`channel:${channelName}`).emit('whiteboard:changePage', data);
@@ -839,41 +2045,25 @@ io.on('connection', (socket) => {
   /**
    * Handle disconnection
    */
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
     console.log(`🔌 Disconnected: ${socket.id}`);
+    tokenTracker.untrackSocket(socket.id);
     
-    // Clean up from active sessions
-    for (const [studentId, student] of activeSessions.students.entries()) {
-      if (student.socketId === socket.id) {
-        activeSessions.students.delete(studentId);
-        io.to(`teachers:${student.channelName}`).emit('student:left', {
-          studentId,
-          timestamp: Date.now()
-        });
-      }
-    }
+    // Clean up from active sessions; other tabs keep the person connected,
+    // and everyone gets a grace period to come back
+    const participant = socket.data.participant;
+    if (!participant) return;
 
-    for (const [teacherId, teacher] of activeSessions.teachers.entries()) {
-      if (teacher.socketId === socket.id) {
-        activeSessions.teachers.delete(teacherId);
-      }
-    }
-  });
-});
+    try {
+      const table = participant.role === 'student' ? activeSessions.students : activeSessions.teachers;
+      if ((await table.removeSocket(participant.id, socket.id)) > 0) return;
 
-// =====================================
-// HEALTH CHECK ENDPOINT
-// =====================================
+      const entry = await table.get(participant.id);
+      if (!entry || entry.channelName !== participant.channelName) return;
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development',
-    connections: {
-      students: activeSessions.students.size,
-      teachers: activeSessions.teachers.size
+      await holdForReconnect(participant.role, entry);
+    } catch (error) {
+      console.error('❌ Error cleaning up after disconnect:', error.message);
     }
   });
 });
@@ -887,9 +2077,25 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       token: '/api/token',
+      rtmToken: '/api/token/rtm',
+      mlStats: '/api/ml/stats',
       analytics: '/api/analytics/:channelName',
+      timeline: '/api/analytics/:channelName/timeline?bucket=10s|1m|5m',
+      studentHistory: '/api/students/:studentId/history',
+      courseHistory: '/api/courses/:course/history',
       topics: '/api/topics/:channelName',
-      report: '/api/report/:channelName'
+      topic: '/api/topics/:channelName/:topicId',
+      agenda: '/api/sessions/:channelName/agenda',
+      staff: '/api/sessions/:channelName/staff/:userId',
+      host: '/api/sessions/:channelName/host',
+      sessions: '/api/sessions',
+      attendance: '/api/sessions/:channelName/attendance?format=json|csv',
+      chat: '/api/chat/:channelName?format=json|csv',
+      questions: '/api/chat/:channelName/questions',
+      polls: '/api/polls/:channelName',
+      whiteboard: '/api/whiteboard/:channelName',
+      whiteboardExport: '/api/whiteboard/:channelName/export?format=svg|pdf',
+      report: '/api/report/:channelName?format=json|pdf|csv'
     }
   });
 });
@@ -900,7 +2106,24 @@ app.get('/', (req, res) => {
 
 const HOST = process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost';
 
-server.listen(CONFIG.PORT, HOST, () => {
+// Redis connections, when instances share state (see connectSharedState)
+let redisClients = null;
+
+/**
+ * With REDIS_URL set, keep presence, analytics buffers and topics in Redis
+ * and relay room broadcasts between instances through the Socket.IO Redis
+ * adapter. Runs before listening so no client ever sees local-only state.
+ */
+async function connectSharedState() {
+  if (!CONFIG.REDIS_URL) return;
+
+  redisClients = await connectRedis(CONFIG.REDIS_URL);
+  setStorage(createRedisStorage(redisClients.client, { prefix: CONFIG.REDIS_KEY_PREFIX }));
+  io.adapter(createAdapter(redisClients.client, redisClients.subClient, { key: `${CONFIG.REDIS_KEY_PREFIX}socket.io` }));
+  console.log('✅ Redis connected: shared storage and Socket.IO adapter enabled');
+}
+
+connectSharedState().then(() => server.listen(CONFIG.PORT, HOST, () => {
   console.log('');
   console.log('🚀 ========================================');
   console.log('🚀 Student Engagement Portal - Backend');
@@ -911,11 +2134,19 @@ server.listen(CONFIG.PORT, HOST, () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log('🚀 ========================================');
   console.log('');
+})).catch(err => {
+  // Running alone would split state with the other instances, so don't start
+  console.error('❌ Redis connection failed:', err.message);
+  process.exit(1);
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n⏹️  Shutting down gracefully...');
+  await Promise.all([whiteboardStore.flushAll(), attendanceStore.flushAll()]);
+  if (redisClients) {
+    await disconnectRedis(redisClients);
+  }
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
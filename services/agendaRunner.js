@@ -0,0 +1,203 @@
+/**
+ * Agenda Runner
+ * Moves a live session through its planned agenda. Each agenda item is run
+ * as a top-level topic (linked by agendaItemId). The teacher advances by
+ * hand, or, with autoAdvance on, the next item starts once the current one
+ * has used up its planned minutes.
+ *
+ * Every gateway instance with a teacher in the class keeps its own timer, so
+ * moving on is claimed in shared storage first: however many timers and
+ * teachers ask at once, the running topic is moved on from only once.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const sessionStore = require('./sessionStore');
+const topicStore = require('./topicStore');
+const { compareAgenda } = require('./reportBuilder');
+
+const MAX_AGENDA_ITEMS = 50;
+const MAX_PLANNED_MINUTES = 600;
+
+/**
+ * Check an agenda from a request: [{ itemId?, topicName, plannedMinutes }]
+ * Missing itemIds are generated; existing ones are kept so topics already
+ * run for an item stay linked to it
+ * Returns { agenda } or { error }
+ */
+function normalizeAgenda(items) {
+  if (!Array.isArray(items) || items.length > MAX_AGENDA_ITEMS) {
+    return { error: `items must be a list of at most ${MAX_AGENDA_ITEMS} agenda items` };
+  }
+
+  const agenda = [];
+  for (const [index, item] of items.entries()) {
+    const topicName = topicStore.cleanTopicName(item && item.topicName);
+    if (!topicName) {
+      return { error: `Item ${index + 1}: topic name must be 1-${topicStore.MAX_TOPIC_NAME_LENGTH} characters` };
+    }
+    const plannedMinutes = Number(item.plannedMinutes);
+    if (!Number.isFinite(plannedMinutes) || plannedMinutes <= 0 || plannedMinutes > MAX_PLANNED_MINUTES) {
+      return { error: `Item ${index + 1}: plannedMinutes must be above 0 and at most ${MAX_PLANNED_MINUTES}` };
+    }
+    const itemId = item.itemId ? String(item.itemId) : crypto.randomUUID();
+    if (agenda.some(existing => existing.itemId === itemId)) {
+      return { error: `Item ${index + 1}: duplicate itemId ${itemId}` };
+    }
+    agenda.push({ itemId, topicName, plannedMinutes });
+  }
+  return { agenda };
+}
+
+/**
+ * onAdvance(channelName, { topic, closed, item, finished }) is called after
+ * every transition, whether manual or timed
+ */
+function createAgendaRunner({ onAdvance = () => {} } = {}) {
+  // channelName -> { timer, topicId, dueAt }
+  const timers = new Map();
+
+  // Hash of topicId -> when "next" moved on from that topic
+  const claimsKey = channelName => `agenda:${channelName}:advanced`;
+
+  function cancel(channelName) {
+    const scheduled = timers.get(channelName);
+    if (scheduled) {
+      clearTimeout(scheduled.timer);
+      timers.delete(channelName);
+    }
+  }
+
+  // The running top-level topic, with the agenda item it covers (if any)
+  async function currentItem(session) {
+    const { topic } = await topicStore.getCurrentTopics(session.channelName);
+    const item = topic && session.agenda.find(i => i.itemId === topic.agendaItemId);
+    return { topic, item: item || null };
+  }
+
+  /**
+   * (Re)arm the timer for the running agenda item when autoAdvance is on
+   * Safe to call any time; does nothing if there is nothing to time
+   */
+  async function schedule(channelName) {
+    cancel(channelName);
+    const session = await sessionStore.getSession(channelName);
+    if (!session || session.status !== 'live' || !session.autoAdvance) return;
+
+    const { topic, item } = await currentItem(session);
+    if (!item) return;
+
+    const dueAt = topic.startTime + item.plannedMinutes * 60000;
+    const timer = setTimeout(async () => {
+      timers.delete(channelName);
+      try {
+        // Only move on if the teacher hasn't already changed topic
+        const fresh = await sessionStore.getSession(channelName);
+        const running = fresh && (await currentItem(fresh)).topic;
+        if (running && running.topicId === topic.topicId) {
+          console.log(`⏱️  Agenda item "${item.topicName}" is up in ${channelName}`);
+          await advance(channelName);
+        }
+      } catch (error) {
+        console.error('❌ Error advancing agenda:', error.message);
+      }
+    }, Math.max(0, dueAt - Date.now()));
+    timer.unref();
+    timers.set(channelName, { timer, topicId: topic.topicId, dueAt });
+  }
+
+  /**
+   * Start the next agenda item (or the one given by itemId, skipping ahead
+   * or back). After the last item, the running agenda topic is ended.
+   * Without an itemId, the running topic is moved on from only once; later
+   * callers get an error.
+   * Returns { topic, closed, item, finished } or { error }
+   */
+  async function advance(channelName, { itemId = null } = {}, at = Date.now()) {
+    const session = await sessionStore.getSession(channelName);
+    if (!session) return { error: 'Session not found' };
+    if (session.status !== 'live') return { error: 'Session is not live' };
+    if (session.agenda.length === 0) return { error: 'Session has no agenda' };
+
+    let next;
+    let claim = null;
+    if (itemId) {
+      next = session.agenda.find(i => i.itemId === itemId);
+      if (!next) return { error: 'Agenda item not found' };
+    } else {
+      // The item after the furthest one started so far
+      const topics = await topicStore.getTopics(channelName);
+      const started = session.agenda.map(i => topics.some(t => !t.parentId && t.agendaItemId === i.itemId));
+      next = session.agenda[started.lastIndexOf(true) + 1] || null;
+
+      const { topic: running } = await currentItem(session);
+      claim = running ? running.topicId : null;
+      if (claim && !(await getStorage().hsetnx(claimsKey(channelName), claim, at))) {
+        return { error: 'The agenda has already moved on' };
+      }
+    }
+
+    let result;
+    if (next) {
+      const { topic, closed, error } = await topicStore.startTopic(
+        channelName,
+        { topicName: next.topicName, agendaItemId: next.itemId },
+        at
+      );
+      if (error) {
+        if (claim) await getStorage().hdel(claimsKey(channelName), claim);
+        return { error };
+      }
+      result = { topic, closed, item: next, finished: false };
+      console.log(`📋 Agenda advanced in ${channelName}: ${next.topicName}`);
+    } else {
+      const { topic, item } = await currentItem(session);
+      const ended = item
+        ? await topicStore.endTopic(channelName, topic.topicId, at)
+        : { topic: null, closed: [] };
+      result = { topic: ended.topic, closed: ended.closed, item: null, finished: true };
+      console.log(`📋 Agenda finished in ${channelName}`);
+    }
+
+    await onAdvance(channelName, result);
+    await schedule(channelName);
+    return result;
+  }
+
+  /**
+   * Planned vs actual so far, plus the running item and when it is due
+   * Returns null if the session doesn't exist
+   */
+  async function getProgress(channelName) {
+    const session = await sessionStore.getSession(channelName);
+    if (!session) return null;
+
+    const [topics, { item, topic }] = await Promise.all([
+      topicStore.getTopics(channelName),
+      currentItem(session)
+    ]);
+    const dueAt = item ? topic.startTime + item.plannedMinutes * 60000 : null;
+
+    return {
+      autoAdvance: session.autoAdvance,
+      current: item
+        ? { itemId: item.itemId, topicId: topic.topicId, dueAt, remainingMs: Math.max(0, dueAt - Date.now()) }
+        : null,
+      ...compareAgenda(session.agenda, topics, session.endedAt || Date.now())
+    };
+  }
+
+  return {
+    advance,
+    schedule,
+    cancel,
+    getProgress
+  };
+}
+
+module.exports = {
+  MAX_AGENDA_ITEMS,
+  MAX_PLANNED_MINUTES,
+  normalizeAgenda,
+  createAgendaRunner
+};
@@ -0,0 +1,81 @@
+/**
+ * Agora Token Service
+ * Builds RTC (video) and RTM (messaging) tokens for class sessions
+ */
+
+const crypto = require('crypto');
+const { RtcTokenBuilder, RtcRole, RtmTokenBuilder, RtmRole } = require('agora-access-token');
+
+const AGORA_APP_ID = process.env.AGORA_APP_ID;
+const AGORA_APP_CERTIFICATE = process.env.AGORA_APP_CERTIFICATE;
+
+// Token lifetime in seconds (default 1 hour)
+const TOKEN_EXPIRY_SECONDS = parseInt(process.env.AGORA_TOKEN_EXPIRY_SECONDS, 10) || 3600;
+
+/**
+ * Derive a stable Agora UID from an account ID
+ * The same user always gets the same UID, so it can be mapped back to them
+ * in the teacher dashboard. Kept in 1..2^31-1 since 0 means "assign one".
+ */
+function deriveUid(userId) {
+  const hash = crypto.createHash('sha1').update(String(userId)).digest();
+  return (hash.readUInt32BE(0) % 2147483646) + 1;
+}
+
+/**
+ * Pick the RTC role for a participant
+ * Teachers always publish; students only subscribe while the stage is locked
+ */
+function resolveRtcRole(role, stageLocked) {
+  if (role === 'student' && stageLocked) {
+    return RtcRole.SUBSCRIBER;
+  }
+  return RtcRole.PUBLISHER;
+}
+
+/**
+ * Build an RTC token for a channel
+ * Returns { token, uid, expiresAt } with expiresAt in milliseconds
+ */
+function buildRtcToken({ channelName, uid, rtcRole, expirySeconds = TOKEN_EXPIRY_SECONDS }) {
+  const privilegeExpireTime = Math.floor(Date.now() / 1000) + expirySeconds;
+
+  const token = RtcTokenBuilder.buildTokenWithUid(
+    AGORA_APP_ID,
+    AGORA_APP_CERTIFICATE,
+    channelName,
+    uid,
+    rtcRole,
+    privilegeExpireTime
+  );
+
+  return { token, uid, expiresAt: privilegeExpireTime * 1000 };
+}
+
+/**
+ * Build an RTM token for a user account
+ * Returns { token, account, expiresAt } with expiresAt in milliseconds
+ */
+function buildRtmToken({ account, expirySeconds = TOKEN_EXPIRY_SECONDS }) {
+  const privilegeExpireTime = Math.floor(Date.now() / 1000) + expirySeconds;
+
+  const token = RtmTokenBuilder.buildToken(
+    AGORA_APP_ID,
+    AGORA_APP_CERTIFICATE,
+    String(account),
+    RtmRole.Rtm_User,
+    privilegeExpireTime
+  );
+
+  return { token, account: String(account), expiresAt: privilegeExpireTime * 1000 };
+}
+
+module.exports = {
+  AGORA_APP_ID,
+  TOKEN_EXPIRY_SECONDS,
+  RtcRole,
+  deriveUid,
+  resolveRtcRole,
+  buildRtcToken,
+  buildRtmToken
+};
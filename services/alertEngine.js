@@ -0,0 +1,245 @@
+/**
+ * Alert Engine
+ * Evaluates alert rules as engagement samples arrive so teachers don't have
+ * to watch every tile. Rules:
+ * - inattentive:         a student stays "Not Paying Attention" for too long
+ * - low_class_engagement: the class-wide Engaged share in the current topic
+ *                         drops below a threshold
+ * - confusion_spike:      a burst of "Confused" across several students
+ *
+ * A class's students may be spread over several gateway instances, so the
+ * samples and alerts are kept in shared storage (Redis when configured) and
+ * every instance evaluates the whole class. Claiming an alert in storage
+ * before announcing it makes sure each one is raised and cleared only once.
+ * A student's frames all reach the instance they are connected to, which
+ * works through a channel's samples one at a time.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const DEFAULT_RULES = {
+  inattentiveSeconds: 30,
+  classWindowSeconds: 60,
+  classEngagedMin: 0.5,
+  classMinSamples: 10,
+  confusionWindowSeconds: 30,
+  confusionShareMax: 0.3,
+  confusionMinStudents: 2,
+  // Share must recover this much past the threshold before an alert clears
+  hysteresis: 0.05
+};
+
+/**
+ * Create an alert engine
+ * onRaise(alert) / onClear(alert) are called as alerts change
+ */
+function createAlertEngine({ rules = {}, onRaise = () => {}, onClear = () => {} } = {}) {
+  const config = { ...DEFAULT_RULES, ...rules };
+  const windowMs = Math.max(config.classWindowSeconds, config.confusionWindowSeconds) * 1000;
+
+  // Storage keys for a channel:
+  //   topic    hash { topicName }
+  //   samples  sorted set of { id, timestamp, studentId, engagement } by timestamp
+  //   since    hash of studentId -> { engagement, since }
+  //   active   hash of alert key -> alert
+  const channelKey = (channelName, part) => `alerts:${channelName}:${part}`;
+
+  // channelName -> the last queued piece of work on that channel
+  const queues = new Map();
+
+  // Run fn after the channel's earlier work, so read-modify-writes don't interleave
+  function serialize(channelName, fn) {
+    const run = (queues.get(channelName) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    queues.set(channelName, tail);
+    tail.then(() => {
+      if (queues.get(channelName) === tail) queues.delete(channelName);
+    });
+    return run;
+  }
+
+  async function raise(state, key, alert) {
+    const raised = {
+      id: crypto.randomUUID(),
+      channelName: state.channelName,
+      topicName: state.topicName,
+      studentId: null,
+      studentName: null,
+      details: {},
+      raisedAt: Date.now(),
+      clearedAt: null,
+      ...alert
+    };
+    if (await getStorage().hsetnx(channelKey(state.channelName, 'active'), key, raised)) {
+      onRaise(raised);
+    }
+  }
+
+  async function clear(channelName, key) {
+    const activeKey = channelKey(channelName, 'active');
+    const alert = await getStorage().hget(activeKey, key);
+    if (!alert || !(await getStorage().hdel(activeKey, key))) return;
+    onClear({ ...alert, clearedAt: Date.now() });
+  }
+
+  function shareOf(samples, engagement) {
+    if (samples.length === 0) return 0;
+    return samples.filter(s => s.engagement === engagement).length / samples.length;
+  }
+
+  // Add a sample, drop the ones older than the window and return the rest
+  async function recordSample(channelName, sample, now) {
+    const storage = getStorage();
+    const samplesKey = channelKey(channelName, 'samples');
+    await storage.zadd(samplesKey, sample.timestamp, {
+      id: crypto.randomUUID(),
+      timestamp: sample.timestamp,
+      studentId: sample.studentId,
+      engagement: sample.engagement
+    });
+    await storage.zremrangebyscore(samplesKey, -Infinity, now - windowMs);
+    return storage.zrangebyscore(samplesKey, now - windowMs, Infinity);
+  }
+
+  async function checkInattentive(state, sample) {
+    const key = `inattentive:${sample.studentId}`;
+    const sinceKey = channelKey(state.channelName, 'since');
+    let current = await getStorage().hget(sinceKey, String(sample.studentId));
+    if (!current || current.engagement !== sample.engagement) {
+      current = { engagement: sample.engagement, since: sample.timestamp };
+      await getStorage().hset(sinceKey, String(sample.studentId), current);
+    }
+
+    if (sample.engagement !== 'Not Paying Attention') {
+      await clear(state.channelName, key);
+      return;
+    }
+
+    const seconds = (sample.timestamp - current.since) / 1000;
+    if (seconds >= config.inattentiveSeconds) {
+      await raise(state, key, {
+        type: 'inattentive',
+        severity: 'warning',
+        studentId: sample.studentId,
+        studentName: sample.studentName,
+        message: `${sample.studentName || `Student ${sample.studentId}`} has not been paying attention for over ${config.inattentiveSeconds}s`,
+        details: { seconds: Math.round(seconds) }
+      });
+    }
+  }
+
+  async function checkClassEngagement(state, now) {
+    const key = 'low_class_engagement';
+    const recent = state.samples.filter(s => s.timestamp >= now - config.classWindowSeconds * 1000);
+    if (recent.length < config.classMinSamples) return;
+
+    const engagedShare = shareOf(recent, 'Engaged');
+    if (engagedShare < config.classEngagedMin) {
+      await raise(state, key, {
+        type: 'low_class_engagement',
+        severity: 'critical',
+        message: `Class engagement dropped to ${Math.round(engagedShare * 100)}%${state.topicName ? ` during "${state.topicName}"` : ''}`,
+        details: { engagedShare: Math.round(engagedShare * 1000) / 1000, samples: recent.length }
+      });
+    } else if (engagedShare >= config.classEngagedMin + config.hysteresis) {
+      await clear(state.channelName, key);
+    }
+  }
+
+  async function checkConfusion(state, now) {
+    const key = 'confusion_spike';
+    const recent = state.samples.filter(s => s.timestamp >= now - config.confusionWindowSeconds * 1000);
+    const confused = recent.filter(s => s.engagement === 'Confused');
+    const confusedStudents = new Set(confused.map(s => s.studentId));
+    const confusedShare = shareOf(recent, 'Confused');
+
+    if (confusedShare > config.confusionShareMax && confusedStudents.size >= config.confusionMinStudents) {
+      await raise(state, key, {
+        type: 'confusion_spike',
+        severity: 'warning',
+        message: `${confusedStudents.size} students look confused${state.topicName ? ` during "${state.topicName}"` : ''}`,
+        details: {
+          confusedShare: Math.round(confusedShare * 1000) / 1000,
+          studentIds: Array.from(confusedStudents)
+        }
+      });
+    } else if (confusedShare <= config.confusionShareMax - config.hysteresis) {
+      await clear(state.channelName, key);
+    }
+  }
+
+  return {
+    rules: config,
+
+    /**
+     * Feed one engagement sample { timestamp, studentId, studentName, engagement }
+     */
+    evaluate(channelName, sample) {
+      return serialize(channelName, async () => {
+        const now = sample.timestamp || Date.now();
+        const state = {
+          channelName,
+          topicName: await getStorage().hget(channelKey(channelName, 'topic'), 'topicName'),
+          samples: await recordSample(channelName, { ...sample, timestamp: now }, now)
+        };
+
+        await checkInattentive(state, { ...sample, timestamp: now });
+        await checkClassEngagement(state, now);
+        await checkConfusion(state, now);
+      });
+    },
+
+    /**
+     * A new topic started (or the topic ended, with null): class-wide rules
+     * start over so each topic is judged on its own
+     */
+    setTopic(channelName, topicName) {
+      return serialize(channelName, async () => {
+        await clear(channelName, 'low_class_engagement');
+        await clear(channelName, 'confusion_spike');
+        await getStorage().hset(channelKey(channelName, 'topic'), 'topicName', topicName || null);
+        await getStorage().del(channelKey(channelName, 'samples'));
+      });
+    },
+
+    /**
+     * A student left: clear anything raised about them
+     */
+    removeStudent(channelName, studentId) {
+      return serialize(channelName, async () => {
+        const storage = getStorage();
+        const samplesKey = channelKey(channelName, 'samples');
+        await clear(channelName, `inattentive:${studentId}`);
+        await storage.hdel(channelKey(channelName, 'since'), String(studentId));
+
+        const theirs = (await storage.zrangebyscore(samplesKey, -Infinity, Infinity)).filter(s => s.studentId === studentId);
+        await Promise.all(theirs.map(s => storage.zrem(samplesKey, s)));
+      });
+    },
+
+    /**
+     * Alerts currently raised in a channel
+     */
+    async getActive(channelName) {
+      return Object.values(await getStorage().hgetall(channelKey(channelName, 'active')));
+    },
+
+    /**
+     * Class ended: clear everything and forget the channel
+     */
+    resetChannel(channelName) {
+      return serialize(channelName, async () => {
+        const active = await getStorage().hgetall(channelKey(channelName, 'active'));
+        for (const key of Object.keys(active)) {
+          await clear(channelName, key);
+        }
+        await Promise.all(['topic', 'samples', 'since', 'active'].map(part =>
+          getStorage().del(channelKey(channelName, part))
+        ));
+      });
+    }
+  };
+}
+
+module.exports = { DEFAULT_RULES, createAlertEngine };
@@ -0,0 +1,90 @@
+/**
+ * Alert Store
+ * Persists engagement alerts to MongoDB when a connection is available,
+ * otherwise keeps them in shared storage
+ */
+
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { Alert } = require('../models/Alert');
+
+// Storage fallback, per channel:
+//   alertlog:<channel>          hash of alertId -> alert as raised
+//   alertlog:<channel>:cleared  hash of alertId -> clearedAt
+// An alert may be cleared on another instance than the one that raised it,
+// so the clearing is kept apart from the alert rather than written over it
+const alertsKey = channelName => `alertlog:${channelName}`;
+const clearedKey = channelName => `alertlog:${channelName}:cleared`;
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+function toAlert(doc) {
+  return {
+    id: doc.alertId,
+    channelName: doc.channelName,
+    type: doc.type,
+    severity: doc.severity,
+    message: doc.message,
+    studentId: doc.studentId,
+    studentName: doc.studentName,
+    topicName: doc.topicName,
+    details: doc.details || {},
+    raisedAt: toTime(doc.raisedAt),
+    clearedAt: toTime(doc.clearedAt)
+  };
+}
+
+/**
+ * Save a newly raised alert
+ */
+async function saveAlert(alert) {
+  if (isDatabaseReady()) {
+    await Alert.create({
+      ...alert,
+      alertId: alert.id,
+      raisedAt: new Date(alert.raisedAt),
+      clearedAt: alert.clearedAt ? new Date(alert.clearedAt) : null
+    });
+    return;
+  }
+
+  await getStorage().hset(alertsKey(alert.channelName), alert.id, alert);
+}
+
+/**
+ * Mark an alert as cleared
+ */
+async function clearAlert(channelName, alertId, clearedAt) {
+  if (isDatabaseReady()) {
+    await Alert.updateOne({ alertId }, { clearedAt: new Date(clearedAt) });
+    return;
+  }
+
+  await getStorage().hset(clearedKey(channelName), alertId, clearedAt);
+}
+
+/**
+ * Get all alerts for a channel, oldest first
+ */
+async function getAlerts(channelName) {
+  if (isDatabaseReady()) {
+    const docs = await Alert.find({ channelName }).sort({ raisedAt: 1 }).lean();
+    return docs.map(toAlert);
+  }
+
+  const [alerts, cleared] = await Promise.all([
+    getStorage().hgetall(alertsKey(channelName)),
+    getStorage().hgetall(clearedKey(channelName))
+  ]);
+  return Object.values(alerts)
+    .map(alert => ({ ...alert, clearedAt: cleared[alert.id] || alert.clearedAt || null }))
+    .sort((a, b) => a.raisedAt - b.raisedAt);
+}
+
+module.exports = {
+  saveAlert,
+  clearAlert,
+  getAlerts
+};
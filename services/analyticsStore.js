@@ -0,0 +1,249 @@
+/**
+ * Analytics Store
+ * Persists engagement samples to MongoDB when a connection is available,
+ * otherwise buffers them in shared storage (memory or Redis, see
+ * services/storage) so every gateway instance sees them. Reads include
+ * whatever is still buffered, and flushBuffered moves the buffer into
+ * MongoDB once it (re)connects, so samples taken during an outage stay in
+ * reports. Topics live in topicStore.
+ */
+
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { EngagementSample } = require('../models/Analytics');
+
+// Fallback buffers: list `analytics:<channelName>` of
+// { timestamp, studentId, studentName, engagement, confidence },
+// plus the set of channels that have one
+const CHANNELS_KEY = 'analytics:channels';
+const samplesKey = channelName => `analytics:${channelName}`;
+
+// Convert stored documents to the plain shape the API has always returned
+function toSample(doc) {
+  return {
+    timestamp: new Date(doc.timestamp).getTime(),
+    studentId: doc.studentId,
+    studentName: doc.studentName,
+    engagement: doc.engagement,
+    confidence: doc.confidence
+  };
+}
+
+/**
+ * Record an engagement sample for a channel
+ */
+async function recordSample(channelName, sample) {
+  if (isDatabaseReady()) {
+    await EngagementSample.create({
+      channelName,
+      studentId: String(sample.studentId),
+      studentName: sample.studentName,
+      engagement: sample.engagement,
+      confidence: sample.confidence,
+      timestamp: new Date(sample.timestamp)
+    });
+    return;
+  }
+
+  const storage = getStorage();
+  await storage.rpush(samplesKey(channelName), sample);
+  await storage.sadd(CHANNELS_KEY, channelName);
+}
+
+/**
+ * Get all engagement samples for a channel, oldest first
+ */
+async function getSamples(channelName) {
+  const buffered = await getStorage().lrange(samplesKey(channelName));
+  if (!isDatabaseReady()) {
+    return buffered;
+  }
+
+  const docs = await EngagementSample.find({ channelName })
+    .sort({ timestamp: 1 })
+    .lean();
+  return docs.map(toSample).concat(buffered).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get every sample recorded for the given students across all channels,
+ * oldest first, each tagged with its channelName
+ */
+async function getStudentSamples(studentIds) {
+  const ids = studentIds.map(String);
+
+  const samples = [];
+  const storage = getStorage();
+  const channelNames = await storage.smembers(CHANNELS_KEY);
+  const buffers = await Promise.all(channelNames.map(channelName => storage.lrange(samplesKey(channelName))));
+  buffers.forEach((channelSamples, index) => {
+    const channelName = channelNames[index];
+    channelSamples.forEach(sample => {
+      if (ids.includes(String(sample.studentId))) {
+        samples.push({ channelName, ...sample });
+      }
+    });
+  });
+
+  if (isDatabaseReady()) {
+    const docs = await EngagementSample.find({ studentId: { $in: ids } })
+      .sort({ timestamp: 1 })
+      .lean();
+    docs.forEach(doc => samples.push({ channelName: doc.channelName, ...toSample(doc) }));
+  }
+  return samples.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Move samples buffered while MongoDB was unavailable into it
+ * Call when the connection (re)opens; returns how many were moved
+ */
+async function flushBuffered() {
+  if (!isDatabaseReady()) return 0;
+
+  const storage = getStorage();
+  let moved = 0;
+  for (const channelName of await storage.smembers(CHANNELS_KEY)) {
+    // Forget the channel before taking its buffer; a sample recorded
+    // meanwhile adds it back
+    await storage.srem(CHANNELS_KEY, channelName);
+    const samples = await storage.ltake(samplesKey(channelName));
+    if (samples.length === 0) continue;
+
+    try {
+      await EngagementSample.insertMany(samples.map(sample => ({
+        channelName,
+        studentId: String(sample.studentId),
+        studentName: sample.studentName,
+        engagement: sample.engagement,
+        confidence: sample.confidence,
+        timestamp: new Date(sample.timestamp)
+      })));
+      moved += samples.length;
+    } catch (err) {
+      // Put them back for the next attempt
+      for (const sample of samples) {
+        await storage.rpush(samplesKey(channelName), sample);
+      }
+      await storage.sadd(CHANNELS_KEY, channelName);
+      throw err;
+    }
+  }
+  return moved;
+}
+
+const ENGAGEMENT_STATES = ['Engaged', 'Bored', 'Confused', 'Not Paying Attention'];
+
+// Upper bound on buckets in one timeline response
+const MAX_TIMELINE_BUCKETS = 5000;
+
+function emptyBucket(start, bucketMs) {
+  return {
+    start,
+    end: start + bucketMs,
+    total: 0,
+    counts: Object.fromEntries(ENGAGEMENT_STATES.map(state => [state, 0])),
+    meanConfidence: null,
+    confidenceSum: 0,
+    confidenceCount: 0
+  };
+}
+
+/**
+ * Engagement counts per time bucket, for charts that don't need raw samples
+ * Buckets are aligned to multiples of bucketMs; gaps between the first and
+ * last bucket (or from/to when given) are filled with empty buckets.
+ * Returns [{ start, end, total, counts: { Engaged, ... }, meanConfidence }]
+ */
+async function getTimeline(channelName, { bucketMs, from = null, to = null, studentId = null }) {
+  // Rows of { start, engagement, count, confidenceSum, confidenceCount };
+  // buffered samples count one each
+  const groups = (await getStorage().lrange(samplesKey(channelName)))
+    .filter(s =>
+      (!studentId || String(s.studentId) === String(studentId)) &&
+      (from === null || s.timestamp >= from) &&
+      (to === null || s.timestamp <= to)
+    )
+    .map(s => ({
+      start: s.timestamp - (s.timestamp % bucketMs),
+      engagement: s.engagement,
+      count: 1,
+      confidenceSum: typeof s.confidence === 'number' ? s.confidence : 0,
+      confidenceCount: typeof s.confidence === 'number' ? 1 : 0
+    }));
+
+  if (isDatabaseReady()) {
+    const match = { channelName };
+    if (studentId) match.studentId = String(studentId);
+    if (from !== null || to !== null) {
+      match.timestamp = {};
+      if (from !== null) match.timestamp.$gte = new Date(from);
+      if (to !== null) match.timestamp.$lte = new Date(to);
+    }
+
+    const time = { $toLong: '$timestamp' };
+    const rows = await EngagementSample.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            start: { $subtract: [time, { $mod: [time, bucketMs] }] },
+            engagement: '$engagement'
+          },
+          count: { $sum: 1 },
+          confidenceSum: { $sum: { $ifNull: ['$confidence', 0] } },
+          confidenceCount: { $sum: { $cond: [{ $isNumber: '$confidence' }, 1, 0] } }
+        }
+      }
+    ]);
+    rows.forEach(row => groups.push({
+      start: Number(row._id.start),
+      engagement: row._id.engagement,
+      count: row.count,
+      confidenceSum: row.confidenceSum,
+      confidenceCount: row.confidenceCount
+    }));
+  }
+
+  if (groups.length === 0 && (from === null || to === null)) {
+    return [];
+  }
+
+  const first = from !== null ? from - (from % bucketMs) : groups.reduce((min, g) => Math.min(min, g.start), Infinity);
+  const last = to !== null ? to - (to % bucketMs) : groups.reduce((max, g) => Math.max(max, g.start), -Infinity);
+
+  if ((last - first) / bucketMs + 1 > MAX_TIMELINE_BUCKETS) {
+    const error = new Error(`Timeline would have more than ${MAX_TIMELINE_BUCKETS} buckets; use a larger bucket or a shorter range`);
+    error.code = 'TOO_MANY_BUCKETS';
+    throw error;
+  }
+
+  const buckets = new Map();
+  for (let start = first; start <= last; start += bucketMs) {
+    buckets.set(start, emptyBucket(start, bucketMs));
+  }
+
+  groups.forEach(group => {
+    const bucket = buckets.get(group.start);
+    if (!bucket) return;
+    bucket.total += group.count;
+    if (Object.prototype.hasOwnProperty.call(bucket.counts, group.engagement)) {
+      bucket.counts[group.engagement] += group.count;
+    }
+    bucket.confidenceSum += group.confidenceSum;
+    bucket.confidenceCount += group.confidenceCount;
+  });
+
+  return Array.from(buckets.values()).map(({ confidenceSum, confidenceCount, ...bucket }) => ({
+    ...bucket,
+    meanConfidence: confidenceCount > 0 ? Math.round((confidenceSum / confidenceCount) * 1000) / 1000 : null
+  }));
+}
+
+module.exports = {
+  recordSample,
+  getSamples,
+  getStudentSamples,
+  getTimeline,
+  flushBuffered
+};
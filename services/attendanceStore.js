@@ -0,0 +1,262 @@
+/**
+ * Attendance Store
+ * Builds each student's attendance for a session from join, leave and
+ * disconnect events, plus how long their camera was sending frames.
+ * Records live in shared storage (Redis when configured) while a class runs,
+ * so a class spread over several gateway instances keeps one attendance, and
+ * are saved to MongoDB (when connected) shortly after each change, like
+ * whiteboards.
+ */
+
+const crypto = require('crypto');
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { AttendanceRecord } = require('../models/Attendance');
+
+// Delay before changed records are written to the database
+const SAVE_DELAY_MS = parseInt(process.env.ATTENDANCE_SAVE_DELAY_MS, 10) || 5000;
+
+// Frames further apart than this mean the camera was off in between
+const CAMERA_GAP_MS = parseInt(process.env.ATTENDANCE_CAMERA_GAP_MS, 10) || 5000;
+
+// Storage keys for a channel:
+//   meta       hash { loaded }, claimed by the instance that copies in the saved records
+//   names      hash of studentId -> studentName
+//   joins      hash of intervalId -> { studentId, joinedAt }
+//   leaves     hash of intervalId -> { leftAt, leftReason }
+//   present    hash of studentId -> intervalId of the stretch they are in now
+//   camera     hash of studentId -> camera time (ms)
+//   lastFrame  hash of studentId -> when their last frame arrived
+// The two ends of an interval are separate fields, so a join and a leave
+// written at the same time on different instances can't undo each other
+const PARTS = ['meta', 'names', 'joins', 'leaves', 'present', 'camera', 'lastFrame'];
+const attendanceKey = (channelName, part) => `attendance:${channelName}:${part}`;
+
+// Channels this instance has changed and will save: channelName -> timer
+const saveTimers = new Map();
+
+// Loads from the database in progress on this instance: channelName -> Promise
+const loading = new Map();
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+/**
+ * Copy saved records from the database into storage the first time the
+ * channel is used; if several instances load at once, the first to claim
+ * the meta hash writes them
+ */
+async function loadChannel(channelName) {
+  const docs = isDatabaseReady() ? await AttendanceRecord.find({ channelName }).lean() : [];
+  const storage = getStorage();
+  const key = part => attendanceKey(channelName, part);
+  if (!(await storage.hsetnx(key('meta'), 'loaded', true))) return;
+
+  for (const doc of docs) {
+    if (doc.studentName) await storage.hset(key('names'), doc.studentId, doc.studentName);
+    if (doc.cameraActiveMs) await storage.hincrby(key('camera'), doc.studentId, Math.round(doc.cameraActiveMs));
+    for (const interval of doc.intervals) {
+      const intervalId = crypto.randomUUID();
+      await storage.hset(key('joins'), intervalId, { studentId: doc.studentId, joinedAt: toTime(interval.joinedAt) });
+      if (interval.leftAt) {
+        await storage.hset(key('leaves'), intervalId, { leftAt: toTime(interval.leftAt), leftReason: interval.leftReason || null });
+      } else {
+        await storage.hset(key('present'), doc.studentId, intervalId);
+      }
+    }
+  }
+}
+
+// Make sure no instance works on a channel before its saved records are in storage
+async function ensureLoaded(channelName) {
+  if (await getStorage().hget(attendanceKey(channelName, 'meta'), 'loaded')) return;
+
+  if (!loading.has(channelName)) {
+    loading.set(channelName, loadChannel(channelName)
+      .catch(err => {
+        console.warn(`⚠️  Could not load attendance for ${channelName}:`, err.message);
+        return getStorage().hsetnx(attendanceKey(channelName, 'meta'), 'loaded', true);
+      })
+      .finally(() => loading.delete(channelName)));
+  }
+  await loading.get(channelName);
+}
+
+/**
+ * Each student's record, put together from storage
+ * record: { studentId, studentName, intervals: [{ joinedAt, leftAt, leftReason }], cameraActiveMs }
+ */
+async function readRecords(channelName) {
+  const [names, joins, leaves, camera] = await Promise.all(['names', 'joins', 'leaves', 'camera'].map(part =>
+    getStorage().hgetall(attendanceKey(channelName, part))
+  ));
+
+  const records = new Map();
+  Object.entries(joins)
+    .sort(([, a], [, b]) => a.joinedAt - b.joinedAt)
+    .forEach(([intervalId, { studentId, joinedAt }]) => {
+      if (!records.has(studentId)) {
+        records.set(studentId, { studentId, studentName: names[studentId], intervals: [], cameraActiveMs: camera[studentId] || 0 });
+      }
+      const leave = leaves[intervalId];
+      records.get(studentId).intervals.push({
+        joinedAt,
+        leftAt: leave ? Math.max(leave.leftAt, joinedAt) : null,
+        leftReason: leave ? leave.leftReason : null
+      });
+    });
+  return Array.from(records.values());
+}
+
+async function saveChannel(channelName) {
+  clearTimeout(saveTimers.get(channelName));
+  saveTimers.delete(channelName);
+  if (!isDatabaseReady()) return;
+
+  const records = await readRecords(channelName);
+  await Promise.all(records.map(record => AttendanceRecord.findOneAndUpdate(
+    { channelName, studentId: record.studentId },
+    {
+      studentName: record.studentName,
+      intervals: record.intervals.map(i => ({
+        joinedAt: new Date(i.joinedAt),
+        leftAt: i.leftAt ? new Date(i.leftAt) : null,
+        leftReason: i.leftReason
+      })),
+      cameraActiveMs: Math.round(record.cameraActiveMs)
+    },
+    { upsert: true }
+  )));
+}
+
+// Schedule a save of a changed channel
+function touch(channelName) {
+  if (saveTimers.has(channelName) || !isDatabaseReady()) return;
+
+  const timer = setTimeout(() => {
+    saveChannel(channelName).catch(err => {
+      console.warn(`⚠️  Could not save attendance for ${channelName}:`, err.message);
+    });
+  }, SAVE_DELAY_MS);
+  timer.unref();
+  saveTimers.set(channelName, timer);
+}
+
+/**
+ * A student joined (or rejoined) the session
+ * Joining while already present is ignored
+ */
+async function recordJoin(channelName, { studentId, studentName }, at = Date.now()) {
+  await ensureLoaded(channelName);
+  const storage = getStorage();
+  const id = String(studentId);
+  if (studentName) await storage.hset(attendanceKey(channelName, 'names'), id, studentName);
+
+  const intervalId = crypto.randomUUID();
+  if (!(await storage.hsetnx(attendanceKey(channelName, 'present'), id, intervalId))) return;
+
+  await storage.hset(attendanceKey(channelName, 'joins'), intervalId, { studentId: id, joinedAt: at });
+  touch(channelName);
+}
+
+/**
+ * A student left; reason is 'leave', 'disconnect' or 'session_ended'
+ */
+async function recordLeave(channelName, studentId, reason = 'leave', at = Date.now()) {
+  await ensureLoaded(channelName);
+  const storage = getStorage();
+  const id = String(studentId);
+  const intervalId = await storage.hget(attendanceKey(channelName, 'present'), id);
+  // Only the first of several leaves closes the interval
+  if (!intervalId || !(await storage.hdel(attendanceKey(channelName, 'present'), id))) return;
+
+  await storage.hset(attendanceKey(channelName, 'leaves'), intervalId, { leftAt: at, leftReason: reason });
+  await storage.hdel(attendanceKey(channelName, 'lastFrame'), id);
+  touch(channelName);
+}
+
+/**
+ * A frame arrived from a student; close-together frames count as camera time
+ */
+async function recordFrame(channelName, studentId, at = Date.now()) {
+  const storage = getStorage();
+  const id = String(studentId);
+  if (!(await storage.hget(attendanceKey(channelName, 'present'), id))) return;
+
+  const lastFrameAt = await storage.hget(attendanceKey(channelName, 'lastFrame'), id);
+  await storage.hset(attendanceKey(channelName, 'lastFrame'), id, at);
+  if (lastFrameAt !== null && at - lastFrameAt <= CAMERA_GAP_MS) {
+    await storage.hincrby(attendanceKey(channelName, 'camera'), id, Math.round(at - lastFrameAt));
+    touch(channelName);
+  }
+}
+
+/**
+ * Session ended: everyone still present leaves now, and records are saved
+ * Once saved to the database the channel is dropped from storage (it is
+ * loaded again if asked for); without one, storage is the only copy
+ */
+async function closeChannel(channelName, at = Date.now()) {
+  await ensureLoaded(channelName);
+  const present = await getStorage().hgetall(attendanceKey(channelName, 'present'));
+  await Promise.all(Object.keys(present).map(studentId => recordLeave(channelName, studentId, 'session_ended', at)));
+
+  await saveChannel(channelName);
+  if (isDatabaseReady()) {
+    await Promise.all(PARTS.map(part => getStorage().del(attendanceKey(channelName, part))));
+  }
+}
+
+function summarize(record, now) {
+  const intervals = record.intervals.map(i => ({ ...i }));
+  const presentMs = intervals.reduce((sum, i) => sum + ((i.leftAt || now) - i.joinedAt), 0);
+  const gaps = intervals.slice(1).map((interval, index) => ({
+    from: intervals[index].leftAt,
+    to: interval.joinedAt,
+    durationMs: interval.joinedAt - intervals[index].leftAt,
+    reason: intervals[index].leftReason
+  }));
+  const last = intervals[intervals.length - 1];
+
+  return {
+    studentId: record.studentId,
+    studentName: record.studentName || `Student ${record.studentId}`,
+    present: Boolean(last && !last.leftAt),
+    firstJoinedAt: intervals.length > 0 ? intervals[0].joinedAt : null,
+    lastLeftAt: last ? last.leftAt : null,
+    intervals,
+    gaps,
+    reconnects: gaps.length,
+    minutesPresent: Math.round((presentMs / 60000) * 10) / 10,
+    cameraActiveMinutes: Math.round((record.cameraActiveMs / 60000) * 10) / 10
+  };
+}
+
+/**
+ * Attendance for a session, in order of first arrival
+ * Minutes for students still present run up to now
+ */
+async function getAttendance(channelName) {
+  await ensureLoaded(channelName);
+  const now = Date.now();
+  return (await readRecords(channelName))
+    .map(record => summarize(record, now))
+    .sort((a, b) => a.firstJoinedAt - b.firstJoinedAt);
+}
+
+/**
+ * Write every channel this instance has pending changes for to the database
+ */
+async function flushAll() {
+  await Promise.allSettled(Array.from(saveTimers.keys()).map(saveChannel));
+}
+
+module.exports = {
+  recordJoin,
+  recordLeave,
+  recordFrame,
+  closeChannel,
+  getAttendance,
+  flushAll
+};
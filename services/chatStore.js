@@ -0,0 +1,272 @@
+/**
+ * Chat Store
+ * The session transcript (public messages, and private conversations between
+ * a student and the teaching staff) and the Q&A queue, where students post
+ * questions, upvote each other's, and teachers pin or mark them answered.
+ * Persisted to MongoDB when connected, otherwise kept in shared storage
+ * (memory or Redis, see services/storage).
+ */
+
+const crypto = require('crypto');
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { ChatMessage, Question } = require('../models/Chat');
+
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_QUESTION_LENGTH = 500;
+
+// Fallback: list `chat:<channelName>` of messages; hash
+// `questions:<channelName>` of questionId -> what was asked, with what
+// teachers change (pinned, answeredAt, answeredBy) in hash
+// `question:<questionId>:state` and the upvoters in set
+// `question:<questionId>:upvoters`, so a pin, an answer and votes arriving
+// together don't overwrite each other
+const messagesKey = channelName => `chat:${channelName}`;
+const questionsKey = channelName => `questions:${channelName}`;
+const stateKey = questionId => `question:${questionId}:state`;
+const upvotersKey = questionId => `question:${questionId}:upvoters`;
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+function toMessage(doc) {
+  return {
+    messageId: doc.messageId,
+    channelName: doc.channelName,
+    senderId: doc.senderId,
+    senderName: doc.senderName,
+    senderRole: doc.senderRole,
+    text: doc.text,
+    visibility: doc.visibility,
+    studentId: doc.studentId || null,
+    sentAt: toTime(doc.sentAt)
+  };
+}
+
+function toQuestion(doc) {
+  const upvoterIds = doc.upvoterIds || [];
+  return {
+    questionId: doc.questionId,
+    channelName: doc.channelName,
+    studentId: doc.studentId,
+    studentName: doc.studentName,
+    text: doc.text,
+    upvotes: upvoterIds.length,
+    upvoterIds: [...upvoterIds],
+    pinned: Boolean(doc.pinned),
+    answered: Boolean(doc.answeredAt),
+    askedAt: toTime(doc.askedAt),
+    answeredAt: toTime(doc.answeredAt),
+    answeredBy: doc.answeredBy || null
+  };
+}
+
+/**
+ * Check message or question text; returns it trimmed, or null if it isn't usable
+ */
+function cleanText(text, maxLength) {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim();
+  return trimmed.length > 0 && trimmed.length <= maxLength ? trimmed : null;
+}
+
+/**
+ * True if a participant ({ id, role }) may see a message: teachers see
+ * everything, students see public messages and their own conversation
+ */
+function canSee(message, viewer) {
+  if (message.visibility === 'public' || viewer.role === 'teacher') return true;
+  return message.studentId === String(viewer.id);
+}
+
+/**
+ * Add a message to the transcript
+ * sender: { id, name, role }; private messages from a student go to the
+ * teachers, and a teacher's private message goes to `toStudentId`
+ * Returns { message } or { error }
+ */
+async function addMessage(channelName, sender, { text, private: isPrivate = false, toStudentId = null }, at = Date.now()) {
+  const body = cleanText(text, MAX_MESSAGE_LENGTH);
+  if (!body) {
+    return { error: `Message must be 1-${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  let studentId = null;
+  if (isPrivate) {
+    studentId = sender.role === 'student' ? sender.id : toStudentId;
+    if (!studentId) {
+      return { error: 'Private messages from teachers need a toStudentId' };
+    }
+  }
+
+  const message = {
+    messageId: crypto.randomUUID(),
+    channelName,
+    senderId: String(sender.id),
+    senderName: sender.name,
+    senderRole: sender.role,
+    text: body,
+    visibility: isPrivate ? 'private' : 'public',
+    studentId: studentId === null ? null : String(studentId),
+    sentAt: at
+  };
+
+  if (isDatabaseReady()) {
+    await ChatMessage.create({ ...message, sentAt: new Date(at) });
+  } else {
+    await getStorage().rpush(messagesKey(channelName), message);
+  }
+  return { message };
+}
+
+/**
+ * The transcript in the order it was sent; pass a viewer ({ id, role }) to
+ * get only what they may see
+ */
+async function getMessages(channelName, viewer = null) {
+  let messages;
+  if (isDatabaseReady()) {
+    const docs = await ChatMessage.find({ channelName }).sort({ sentAt: 1 }).lean();
+    messages = docs.map(toMessage);
+  } else {
+    messages = await getStorage().lrange(messagesKey(channelName));
+  }
+  return viewer ? messages.filter(message => canSee(message, viewer)) : messages;
+}
+
+// A question from the fallback storage, with its state and upvoters
+async function readStoredQuestion(asked) {
+  const storage = getStorage();
+  const [state, upvoterIds] = await Promise.all([
+    storage.hgetall(stateKey(asked.questionId)),
+    storage.smembers(upvotersKey(asked.questionId))
+  ]);
+  return toQuestion({ ...asked, ...state, upvoterIds });
+}
+
+async function loadQuestion(channelName, questionId) {
+  if (isDatabaseReady()) {
+    const doc = await Question.findOne({ channelName, questionId }).lean();
+    return doc ? toQuestion(doc) : null;
+  }
+  const asked = await getStorage().hget(questionsKey(channelName), questionId);
+  return asked ? readStoredQuestion(asked) : null;
+}
+
+/**
+ * A student posts a question to the queue
+ * Returns { question } or { error }
+ */
+async function askQuestion(channelName, { studentId, studentName, text }, at = Date.now()) {
+  const body = cleanText(text, MAX_QUESTION_LENGTH);
+  if (!body) {
+    return { error: `Question must be 1-${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const asked = {
+    questionId: crypto.randomUUID(),
+    channelName,
+    studentId: String(studentId),
+    studentName,
+    text: body,
+    askedAt: at
+  };
+  if (isDatabaseReady()) {
+    await Question.create({ ...asked, upvoterIds: [], pinned: false, askedAt: new Date(at) });
+  } else {
+    await getStorage().hset(questionsKey(channelName), asked.questionId, asked);
+  }
+  return { question: toQuestion({ ...asked, upvoterIds: [], pinned: false }) };
+}
+
+/**
+ * Another student upvotes a question (once each; again has no effect)
+ * Returns { question } or { error }
+ */
+async function upvoteQuestion(channelName, questionId, voterId) {
+  const question = await loadQuestion(channelName, questionId);
+  if (!question) return { error: 'Question not found' };
+  if (question.studentId === String(voterId)) {
+    return { error: 'You cannot upvote your own question' };
+  }
+  if (question.answered) {
+    return { error: 'Question has already been answered' };
+  }
+
+  if (isDatabaseReady()) {
+    const doc = await Question.findOneAndUpdate(
+      { channelName, questionId, answeredAt: null },
+      { $addToSet: { upvoterIds: String(voterId) } },
+      { new: true }
+    ).lean();
+    return doc ? { question: toQuestion(doc) } : { error: 'Question has already been answered' };
+  }
+
+  await getStorage().sadd(upvotersKey(questionId), String(voterId));
+  return { question: await loadQuestion(channelName, questionId) };
+}
+
+/**
+ * Teacher marks a question answered (or open again) and/or pins it
+ * changes: { answered, pinned }; byId is the teacher making the change
+ * Returns { question } or { error }
+ */
+async function updateQuestion(channelName, questionId, { answered, pinned }, byId, at = Date.now()) {
+  const question = await loadQuestion(channelName, questionId);
+  if (!question) return { error: 'Question not found' };
+
+  // Only the fields being changed are written, so upvotes stay as they are
+  const changes = {};
+  if (answered !== undefined && Boolean(answered) !== question.answered) {
+    changes.answeredAt = answered ? at : null;
+    changes.answeredBy = answered ? String(byId) : null;
+  }
+  if (pinned !== undefined) {
+    changes.pinned = Boolean(pinned);
+  }
+
+  if (isDatabaseReady()) {
+    const set = { ...changes };
+    if (set.answeredAt) set.answeredAt = new Date(set.answeredAt);
+    const doc = await Question.findOneAndUpdate({ channelName, questionId }, { $set: set }, { new: true }).lean();
+    return { question: toQuestion(doc) };
+  }
+
+  await getStorage().hmset(stateKey(questionId), changes);
+  return { question: await loadQuestion(channelName, questionId) };
+}
+
+/**
+ * The Q&A queue: pinned questions first, then open ones by upvotes (oldest
+ * first on a tie), then answered ones in the order they were answered
+ */
+async function getQuestions(channelName) {
+  let questions;
+  if (isDatabaseReady()) {
+    const docs = await Question.find({ channelName }).lean();
+    questions = docs.map(toQuestion);
+  } else {
+    const asked = Object.values(await getStorage().hgetall(questionsKey(channelName)));
+    questions = await Promise.all(asked.map(readStoredQuestion));
+  }
+
+  const rank = q => (q.pinned ? 0 : q.answered ? 2 : 1);
+  return questions.sort((a, b) =>
+    rank(a) - rank(b) ||
+    (rank(a) === 2 ? a.answeredAt - b.answeredAt : b.upvotes - a.upvotes) ||
+    a.askedAt - b.askedAt
+  );
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  MAX_QUESTION_LENGTH,
+  canSee,
+  addMessage,
+  getMessages,
+  askQuestion,
+  upvoteQuestion,
+  updateQuestion,
+  getQuestions
+};
@@ -0,0 +1,27 @@
+/**
+ * CSV Helpers
+ * Spreadsheet-safe CSV for the report and attendance downloads
+ */
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from treating names like "=SUM(...)" as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Header row plus data rows (arrays of cells) as CSV text
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function isoTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+module.exports = { csvCell, toCsv, isoTime };
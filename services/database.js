@@ -0,0 +1,15 @@
+/**
+ * Database helpers shared by the stores
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * True when data should be read from / written to MongoDB
+ * Stores fall back to in-memory Maps otherwise
+ */
+function isDatabaseReady() {
+  return Boolean(process.env.MONGODB_URI) && mongoose.connection.readyState === 1;
+}
+
+module.exports = { isDatabaseReady };
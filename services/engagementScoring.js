@@ -0,0 +1,192 @@
+/**
+ * Engagement Scoring
+ * Turns engagement samples into per-student scores and class averages.
+ *
+ * - time weighting:       a sample counts for the time until the student's next
+ *                          sample (capped, so a dropped connection isn't counted
+ *                          as attendance) instead of counting once
+ * - confidence weighting: a sample counts in proportion to the model's confidence
+ * - state weights:        how much each state contributes to the score,
+ *                          e.g. Confused can count as half engaged
+ * - attendance weighting: class averages weight students by time attended
+ *
+ * The "count" preset reproduces the original report numbers (Engaged samples
+ * divided by all samples, students averaged equally).
+ */
+
+const ENGAGEMENT_STATES = ['Engaged', 'Bored', 'Confused', 'Not Paying Attention'];
+
+// Longest stretch a single sample may stand for
+const MAX_SAMPLE_GAP_MS = parseInt(process.env.SCORING_MAX_SAMPLE_GAP_MS, 10) || 10000;
+
+// Duration given to a student's only sample
+const DEFAULT_SAMPLE_MS = 1000;
+
+const PRESETS = {
+  count: {
+    timeWeighted: false,
+    confidenceWeighted: false,
+    attendanceWeighted: false,
+    stateWeights: { Engaged: 1, Bored: 0, Confused: 0, 'Not Paying Attention': 0 }
+  },
+  weighted: {
+    timeWeighted: true,
+    confidenceWeighted: true,
+    attendanceWeighted: true,
+    stateWeights: { Engaged: 1, Bored: 0.25, Confused: 0.5, 'Not Paying Attention': 0 }
+  }
+};
+
+const DEFAULT_PRESET = PRESETS[process.env.REPORT_SCORING] ? process.env.REPORT_SCORING : 'count';
+
+function scoringError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCORING';
+  return error;
+}
+
+function parseFlag(value, name) {
+  if (value === undefined) return undefined;
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  throw scoringError(`${name} must be true or false`);
+}
+
+// "Confused:0.5,Bored:0.25" -> { Confused: 0.5, Bored: 0.25 }
+function parseStateWeights(value) {
+  if (!value) return {};
+  return Object.fromEntries(String(value).split(',').map(pair => {
+    const [state, raw] = pair.split(':').map(part => part && part.trim());
+    const weight = Number(raw);
+    if (!ENGAGEMENT_STATES.includes(state)) {
+      throw scoringError(`Unknown engagement state in weights: ${state}`);
+    }
+    if (raw === undefined || raw === '' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+      throw scoringError(`Weight for ${state} must be between 0 and 1`);
+    }
+    return [state, weight];
+  }));
+}
+
+/**
+ * Build scoring options from request query parameters:
+ * scoring=count|weighted, weights=State:0.5,..., timeWeighted,
+ * confidenceWeighted, attendanceWeighted (true/false overrides)
+ * Throws with code INVALID_SCORING on bad input
+ */
+function resolveScoringOptions(query = {}) {
+  const preset = query.scoring ? String(query.scoring).toLowerCase() : DEFAULT_PRESET;
+  if (!PRESETS[preset]) {
+    throw scoringError(`scoring must be one of: ${Object.keys(PRESETS).join(', ')}`);
+  }
+
+  const base = PRESETS[preset];
+  const flags = {
+    timeWeighted: parseFlag(query.timeWeighted, 'timeWeighted'),
+    confidenceWeighted: parseFlag(query.confidenceWeighted, 'confidenceWeighted'),
+    attendanceWeighted: parseFlag(query.attendanceWeighted, 'attendanceWeighted')
+  };
+
+  return {
+    preset,
+    timeWeighted: flags.timeWeighted ?? base.timeWeighted,
+    confidenceWeighted: flags.confidenceWeighted ?? base.confidenceWeighted,
+    attendanceWeighted: flags.attendanceWeighted ?? base.attendanceWeighted,
+    stateWeights: { ...base.stateWeights, ...parseStateWeights(query.weights) },
+    maxSampleGapMs: MAX_SAMPLE_GAP_MS
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Attach { duration, weight } to every sample
+ * duration: ms until the student's next sample (capped); the last sample
+ * gets the student's typical interval. weight combines duration and
+ * confidence according to the options.
+ */
+function weighSamples(samples, options) {
+  const byStudent = new Map();
+  samples.forEach(sample => {
+    if (!byStudent.has(sample.studentId)) byStudent.set(sample.studentId, []);
+    byStudent.get(sample.studentId).push(sample);
+  });
+
+  const weighed = [];
+  byStudent.forEach(studentSamples => {
+    const sorted = [...studentSamples].sort((a, b) => a.timestamp - b.timestamp);
+    const gaps = sorted.slice(1).map((s, i) => Math.min(s.timestamp - sorted[i].timestamp, options.maxSampleGapMs));
+    const typicalGap = median(gaps) ?? DEFAULT_SAMPLE_MS;
+
+    sorted.forEach((sample, i) => {
+      const duration = i < gaps.length ? gaps[i] : typicalGap;
+      const confidence = typeof sample.confidence === 'number' ? Math.min(Math.max(sample.confidence, 0), 1) : 1;
+      weighed.push({
+        ...sample,
+        duration,
+        weight: (options.timeWeighted ? duration : 1) * (options.confidenceWeighted ? confidence : 1)
+      });
+    });
+  });
+
+  return weighed.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function roundTo(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Score one student's weighed samples
+ * Returns { totalWeight, attendedMs, engagementScore, statePercentages }
+ */
+function scoreSamples(weighed, options) {
+  const totalWeight = weighed.reduce((sum, s) => sum + s.weight, 0);
+  const stateWeight = Object.fromEntries(ENGAGEMENT_STATES.map(state => [state, 0]));
+  weighed.forEach(s => {
+    if (Object.prototype.hasOwnProperty.call(stateWeight, s.engagement)) {
+      stateWeight[s.engagement] += s.weight;
+    }
+  });
+
+  const score = totalWeight > 0
+    ? ENGAGEMENT_STATES.reduce((sum, state) => sum + stateWeight[state] * (options.stateWeights[state] || 0), 0) / totalWeight
+    : 0;
+
+  return {
+    totalWeight,
+    attendedMs: Math.round(weighed.reduce((sum, s) => sum + s.duration, 0)),
+    engagementScore: roundTo(score * 100),
+    statePercentages: Object.fromEntries(ENGAGEMENT_STATES.map(state => [
+      state,
+      totalWeight > 0 ? roundTo((stateWeight[state] / totalWeight) * 100) : 0
+    ]))
+  };
+}
+
+/**
+ * Class average of student scores
+ * Attendance weighting weights each student by time attended, so someone who
+ * was there for a minute (or not at all) barely moves the average
+ */
+function classAverage(studentStats, options) {
+  const weights = studentStats.map(s => (options.attendanceWeighted ? s.attendedMs : 1));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total === 0) return 0;
+  return roundTo(studentStats.reduce((sum, s, i) => sum + s.engagementScore * weights[i], 0) / total);
+}
+
+module.exports = {
+  ENGAGEMENT_STATES,
+  PRESETS,
+  resolveScoringOptions,
+  weighSamples,
+  scoreSamples,
+  classAverage
+};
@@ -0,0 +1,140 @@
+/**
+ * Circuit Breaker for the ML service
+ * After repeated failures the breaker opens and frames fail fast instead of
+ * hammering a dead service. Every resetTimeoutMs it lets one probe request
+ * through (half-open); a success closes it again, a failure re-opens it.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Only network errors, timeouts and 5xx responses mean the service is down;
+ * a 4xx (e.g. an unreadable image) means it is up and answering
+ */
+function isServiceFailure(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+function circuitOpenError() {
+  const error = new Error('ML service unavailable (circuit open)');
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+}
+
+/**
+ * Create a circuit breaker
+ * onStateChange(status) is called whenever the state changes
+ */
+function createCircuitBreaker({
+  failureThreshold = 5,
+  resetTimeoutMs = 15000,
+  isFailure = isServiceFailure,
+  onStateChange = () => {}
+} = {}) {
+  let state = STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let probeInFlight = false;
+  let resetTimer = null;
+
+  function getStatus() {
+    return {
+      state,
+      available: state === STATES.CLOSED,
+      consecutiveFailures,
+      openedAt,
+      nextProbeAt: state === STATES.OPEN ? openedAt + resetTimeoutMs : null,
+      lastError
+    };
+  }
+
+  function setState(next) {
+    if (next === state) return;
+    state = next;
+    onStateChange(getStatus());
+  }
+
+  function open() {
+    openedAt = Date.now();
+    clearTimeout(resetTimer);
+    resetTimer = setTimeout(() => setState(STATES.HALF_OPEN), resetTimeoutMs);
+    resetTimer.unref();
+    setState(STATES.OPEN);
+  }
+
+  function recordSuccess() {
+    consecutiveFailures = 0;
+    lastError = null;
+    openedAt = null;
+    setState(STATES.CLOSED);
+  }
+
+  function recordFailure(error) {
+    consecutiveFailures++;
+    lastError = error.code || error.message;
+    if (state === STATES.HALF_OPEN || consecutiveFailures >= failureThreshold) {
+      open();
+    }
+  }
+
+  return {
+    getStatus,
+
+    /**
+     * Run fn through the breaker; rejects with code CIRCUIT_OPEN when open
+     */
+    async execute(fn) {
+      if (state === STATES.OPEN || (state === STATES.HALF_OPEN && probeInFlight)) {
+        throw circuitOpenError();
+      }
+
+      const probing = state === STATES.HALF_OPEN;
+      if (probing) probeInFlight = true;
+
+      try {
+        const result = await fn();
+        recordSuccess();
+        return result;
+      } catch (error) {
+        if (isFailure(error)) {
+          recordFailure(error);
+        }
+        throw error;
+      } finally {
+        if (probing) probeInFlight = false;
+      }
+    }
+  };
+}
+
+/**
+ * Wrap a predictor so its calls go through a circuit breaker
+ * A batch where every frame failed counts as one failure
+ */
+function withCircuitBreaker(predictor, breaker) {
+  return {
+    name: predictor.name,
+
+    predictBatch(frames) {
+      return breaker.execute(async () => {
+        const results = await predictor.predictBatch(frames);
+        if (results.length > 0 && results.every(result => result instanceof Error)) {
+          throw results[0];
+        }
+        return results;
+      });
+    }
+  };
+}
+
+module.exports = {
+  STATES,
+  isServiceFailure,
+  createCircuitBreaker,
+  withCircuitBreaker
+};
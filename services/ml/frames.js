@@ -0,0 +1,117 @@
+/**
+ * Frame Handling
+ * Students send webcam frames either as binary Socket.IO attachments
+ * (preferred) or as legacy base64 / data-URL strings. Frames are normalized
+ * to { buffer, mimeType, original }, checked against size and image-type
+ * limits, and rate limited per student before they reach the ML queue.
+ */
+
+// Largest decoded frame accepted (bytes)
+const MAX_FRAME_BYTES = parseInt(process.env.FRAME_MAX_BYTES, 10) || 512 * 1024;
+
+// Frames per second accepted from each student
+const MAX_FRAMES_PER_SECOND = parseFloat(process.env.FRAME_MAX_FPS) || 2;
+
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    mimeType: 'image/png',
+    matches: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mimeType: 'image/webp',
+    matches: (b) => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP'
+  }
+];
+
+function frameError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Detect the image type from its magic bytes, or null if unsupported
+ */
+function detectImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(sig => sig.matches(buffer));
+  return signature ? signature.mimeType : null;
+}
+
+/**
+ * Turn whatever the client sent into { buffer, mimeType, original }
+ * `original` keeps a legacy base64 string so it can be forwarded untouched.
+ * Throws with code INVALID_FRAME, FRAME_TOO_LARGE or UNSUPPORTED_IMAGE.
+ */
+function normalizeFrame(frame) {
+  let buffer;
+  let original = null;
+
+  if (Buffer.isBuffer(frame)) {
+    buffer = frame;
+  } else if (frame instanceof ArrayBuffer || ArrayBuffer.isView(frame)) {
+    buffer = Buffer.from(frame.buffer || frame, frame.byteOffset || 0, frame.byteLength);
+  } else if (typeof frame === 'string' && frame.length > 0) {
+    // Legacy: base64, optionally as a data URL
+    const base64 = frame.startsWith('data:') ? frame.slice(frame.indexOf(',') + 1) : frame;
+    if (base64.length > Math.ceil(MAX_FRAME_BYTES / 3) * 4) {
+      throw frameError('FRAME_TOO_LARGE', `Frame exceeds ${Math.round(MAX_FRAME_BYTES / 1024)} KB`);
+    }
+    buffer = Buffer.from(base64, 'base64');
+    original = frame;
+  } else {
+    throw frameError('INVALID_FRAME', 'Frame must be binary image data or a base64 string');
+  }
+
+  if (buffer.length === 0) {
+    throw frameError('INVALID_FRAME', 'Frame is empty');
+  }
+  if (buffer.length > MAX_FRAME_BYTES) {
+    throw frameError('FRAME_TOO_LARGE', `Frame exceeds ${Math.round(MAX_FRAME_BYTES / 1024)} KB`);
+  }
+
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw frameError('UNSUPPORTED_IMAGE', 'Frame must be a JPEG, PNG or WebP image');
+  }
+
+  return { buffer, mimeType, original };
+}
+
+/**
+ * Per-student frame rate limiter
+ * Frames arriving sooner than 1/maxFps after the last accepted one are
+ * refused; a little jitter is tolerated so a steady client isn't penalized.
+ */
+function createFrameRateLimiter({ maxFps = MAX_FRAMES_PER_SECOND, tolerance = 0.8 } = {}) {
+  const minIntervalMs = (1000 / maxFps) * tolerance;
+  const lastAccepted = new Map(); // studentId -> timestamp
+
+  return {
+    maxFps,
+
+    /**
+     * True if this student's frame should be processed
+     */
+    allow(studentId, now = Date.now()) {
+      const last = lastAccepted.get(studentId);
+      if (last !== undefined && now - last < minIntervalMs) {
+        return false;
+      }
+      lastAccepted.set(studentId, now);
+      return true;
+    },
+
+    reset(studentId) {
+      lastAccepted.delete(studentId);
+    }
+  };
+}
+
+module.exports = {
+  MAX_FRAME_BYTES,
+  MAX_FRAMES_PER_SECOND,
+  detectImageType,
+  normalizeFrame,
+  createFrameRateLimiter
+};
@@ -0,0 +1,146 @@
+/**
+ * Inference Queue
+ * Coalesces student frames into batched predictor calls with a cap on
+ * concurrent requests. Only the latest pending frame per student is kept,
+ * so a slow ML service drops stale frames instead of building a backlog.
+ */
+
+/**
+ * Create an inference queue around a predictor (see ./predictors)
+ *
+ * Options:
+ * - maxBatchSize:   frames per predictor call
+ * - batchWindowMs:  how long to wait for a batch to fill before sending
+ * - maxConcurrency: predictor calls allowed in flight at once
+ * - maxQueueSize:   pending students before new ones are turned away
+ */
+function createInferenceQueue({
+  predictor,
+  maxBatchSize = 8,
+  batchWindowMs = 50,
+  maxConcurrency = 2,
+  maxQueueSize = 200
+}) {
+  // studentId -> { frame, enqueuedAt, resolve, reject }, in arrival order
+  const pending = new Map();
+  let inFlight = 0;
+  let flushTimer = null;
+
+  const stats = {
+    enqueued: 0,
+    processed: 0,
+    dropped: 0,
+    rejected: 0,
+    failed: 0,
+    batches: 0,
+    lastBatchSize: 0,
+    avgLatencyMs: 0,  // enqueue -> result, exponential moving average
+    avgBatchMs: 0     // predictor call duration, exponential moving average
+  };
+
+  const average = (current, sample) => (current === 0 ? sample : current * 0.9 + sample * 0.1);
+
+  async function runBatch(jobs) {
+    inFlight++;
+    stats.batches++;
+    stats.lastBatchSize = jobs.length;
+    const startedAt = Date.now();
+
+    try {
+      const results = await predictor.predictBatch(jobs.map(job => job.frame));
+      const finishedAt = Date.now();
+      stats.avgBatchMs = average(stats.avgBatchMs, finishedAt - startedAt);
+
+      jobs.forEach((job, i) => {
+        const result = results[i];
+        if (result instanceof Error) {
+          stats.failed++;
+          job.reject(result);
+          return;
+        }
+        stats.processed++;
+        stats.avgLatencyMs = average(stats.avgLatencyMs, finishedAt - job.enqueuedAt);
+        job.resolve(result);
+      });
+    } catch (error) {
+      stats.failed += jobs.length;
+      jobs.forEach(job => job.reject(error));
+    } finally {
+      inFlight--;
+      drain();
+    }
+  }
+
+  // Send as many batches as concurrency allows
+  function drain() {
+    while (inFlight < maxConcurrency && pending.size > 0) {
+      const jobs = [];
+      for (const [studentId, job] of pending) {
+        pending.delete(studentId);
+        jobs.push(job);
+        if (jobs.length >= maxBatchSize) break;
+      }
+      runBatch(jobs);
+    }
+  }
+
+  function scheduleFlush() {
+    if (pending.size >= maxBatchSize) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      drain();
+      return;
+    }
+    if (!flushTimer) {
+      flushTimer = setTimeout(() => {
+        flushTimer = null;
+        drain();
+      }, batchWindowMs);
+    }
+  }
+
+  return {
+    /**
+     * Queue a frame for a student
+     * Resolves with { engagement, confidence }, or null if the frame was
+     * dropped (superseded by a newer frame, or the queue was full)
+     */
+    enqueue(studentId, frame) {
+      return new Promise((resolve, reject) => {
+        const previous = pending.get(studentId);
+        if (previous) {
+          // Keep only the latest frame per student
+          pending.delete(studentId);
+          stats.dropped++;
+          previous.resolve(null);
+        } else if (pending.size >= maxQueueSize) {
+          stats.rejected++;
+          resolve(null);
+          return;
+        }
+
+        stats.enqueued++;
+        pending.set(studentId, { frame, enqueuedAt: Date.now(), resolve, reject });
+        scheduleFlush();
+      });
+    },
+
+    /**
+     * Current queue depth, throughput and latency figures
+     */
+    getStats() {
+      return {
+        predictor: predictor.name,
+        queueDepth: pending.size,
+        inFlight,
+        maxBatchSize,
+        maxConcurrency,
+        ...stats,
+        avgLatencyMs: Math.round(stats.avgLatencyMs),
+        avgBatchMs: Math.round(stats.avgBatchMs)
+      };
+    }
+  };
+}
+
+module.exports = { createInferenceQueue };
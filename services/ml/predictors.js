@@ -0,0 +1,123 @@
+/**
+ * ML Predictors
+ * Backends the inference queue sends frames to. Every predictor exposes
+ * predictBatch(frames) -> Promise<Array<{ engagement, confidence } | Error>>
+ * with one entry per frame, in order. Frames are the normalized
+ * { buffer, mimeType, original } objects from ./frames.
+ */
+
+const axios = require('axios');
+
+const ENGAGEMENT_STATES = ['Engaged', 'Bored', 'Confused', 'Not Paying Attention'];
+
+/**
+ * Predictor backed by the Python ML service
+ * Frames ({ buffer, mimeType, original } from ./frames) are uploaded as
+ * multipart/form-data by default. If the service only accepts the legacy
+ * JSON body ({ image: base64 }) it switches to that for good. Uses
+ * POST /predict/batch when the service supports it and falls back to one
+ * POST /predict per frame otherwise.
+ */
+function createHttpPredictor({ baseUrl, timeout = 10000, transport = 'multipart' }) {
+  let batchSupported = true;
+  let currentTransport = transport;
+
+  // Legacy clients' base64 strings are forwarded untouched
+  const toBase64 = (frame) => frame.original || `data:${frame.mimeType};base64,${frame.buffer.toString('base64')}`;
+
+  const toMultipart = (frames, field) => {
+    const form = new FormData();
+    frames.forEach((frame, i) => {
+      const extension = frame.mimeType.split('/')[1];
+      form.append(field, new Blob([frame.buffer], { type: frame.mimeType }), `frame-${i}.${extension}`);
+    });
+    return form;
+  };
+
+  const request = (via, path, frames, batch) => {
+    const url = `${baseUrl}${path}`;
+    if (via === 'multipart') {
+      return axios.post(url, toMultipart(frames, batch ? 'files' : 'file'), { timeout });
+    }
+    const body = batch ? { images: frames.map(toBase64) } : { image: toBase64(frames[0]) };
+    return axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout
+    });
+  };
+
+  const post = async (path, frames, batch) => {
+    try {
+      return await request(currentTransport, path, frames, batch);
+    } catch (error) {
+      const rejectedUpload = currentTransport === 'multipart' &&
+        error.response && [415, 422].includes(error.response.status);
+      if (!rejectedUpload) {
+        throw error;
+      }
+
+      // Only switch if the JSON body is actually accepted
+      const response = await request('json', path, frames, batch);
+      console.warn('⚠️  ML service does not accept multipart uploads, falling back to base64 JSON');
+      currentTransport = 'json';
+      return response;
+    }
+  };
+
+  const predictEach = async (frames) => {
+    const results = await Promise.allSettled(frames.map(frame => post('/predict', [frame], false)));
+    return results.map(r => (r.status === 'fulfilled' ? r.value.data : r.reason));
+  };
+
+  return {
+    name: 'http',
+
+    async predictBatch(frames) {
+      if (frames.length === 1 || !batchSupported) {
+        return predictEach(frames);
+      }
+
+      try {
+        const response = await post('/predict/batch', frames, true);
+        const { results } = response.data;
+        if (!Array.isArray(results) || results.length !== frames.length) {
+          throw new Error('ML service returned a malformed batch response');
+        }
+        return results;
+      } catch (error) {
+        if (error.response && [404, 405].includes(error.response.status)) {
+          console.warn('⚠️  ML service has no /predict/batch endpoint, falling back to single-frame requests');
+          batchSupported = false;
+          return predictEach(frames);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Local predictor that never leaves the process, for tests and demos
+ * Returns the given engagement/confidence, or random ones if not set
+ */
+function createStubPredictor({ engagement, confidence, latencyMs = 0 } = {}) {
+  return {
+    name: 'stub',
+
+    async predictBatch(frames) {
+      if (latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+      }
+      return frames.map(() => ({
+        engagement: engagement || ENGAGEMENT_STATES[Math.floor(Math.random() * ENGAGEMENT_STATES.length)],
+        confidence: confidence != null ? confidence : 0.5 + Math.random() * 0.5
+      }));
+    }
+  };
+}
+
+module.exports = {
+  ENGAGEMENT_STATES,
+  createHttpPredictor,
+  createStubPredictor
+};
@@ -0,0 +1,139 @@
+/**
+ * Engagement Smoothing
+ * Raw per-frame predictions flicker between states; this keeps a small
+ * amount of per-student history and reports a steadier label.
+ *
+ * Methods:
+ * - majority: most common label over the last `windowSize` samples
+ * - decay:    confidence-weighted scores that decay with `halfLifeMs`
+ * - none:     pass samples through unchanged
+ * Samples below `minConfidence` are ignored by every method.
+ */
+
+const SMOOTHING_METHODS = ['majority', 'decay', 'none'];
+
+function majorityVote(samples) {
+  const tally = new Map(); // label -> { count, confidenceSum, lastIndex }
+  samples.forEach((sample, index) => {
+    const entry = tally.get(sample.engagement) || { count: 0, confidenceSum: 0, lastIndex: -1 };
+    entry.count++;
+    entry.confidenceSum += sample.confidence;
+    entry.lastIndex = index;
+    tally.set(sample.engagement, entry);
+  });
+
+  // Most votes wins; ties go to the label seen most recently
+  let best = null;
+  for (const [engagement, entry] of tally) {
+    if (!best || entry.count > best.count || (entry.count === best.count && entry.lastIndex > best.lastIndex)) {
+      best = { engagement, ...entry };
+    }
+  }
+
+  return {
+    engagement: best.engagement,
+    confidence: best.confidenceSum / best.count
+  };
+}
+
+/**
+ * Create a smoother that keeps state per student
+ */
+function createEngagementSmoother({
+  method = 'majority',
+  windowSize = 5,
+  halfLifeMs = 3000,
+  minConfidence = 0
+} = {}) {
+  if (!SMOOTHING_METHODS.includes(method)) {
+    throw new Error(`Unknown smoothing method: ${method} (expected ${SMOOTHING_METHODS.join(', ')})`);
+  }
+
+  // studentId -> { samples, scores, lastTimestamp, current }
+  const students = new Map();
+
+  function stateFor(studentId) {
+    if (!students.has(studentId)) {
+      students.set(studentId, { samples: [], scores: new Map(), lastTimestamp: null, current: null });
+    }
+    return students.get(studentId);
+  }
+
+  function applyDecay(state, sample) {
+    if (state.lastTimestamp !== null) {
+      const elapsed = Math.max(0, sample.timestamp - state.lastTimestamp);
+      const factor = Math.pow(0.5, elapsed / halfLifeMs);
+      for (const [label, score] of state.scores) {
+        state.scores.set(label, score * factor);
+      }
+    }
+    state.lastTimestamp = sample.timestamp;
+    state.scores.set(sample.engagement, (state.scores.get(sample.engagement) || 0) + sample.confidence);
+
+    let total = 0;
+    let best = null;
+    for (const [label, score] of state.scores) {
+      total += score;
+      if (!best || score > best.score) {
+        best = { label, score };
+      }
+    }
+
+    return {
+      engagement: best.label,
+      confidence: total > 0 ? best.score / total : sample.confidence
+    };
+  }
+
+  return {
+    method,
+
+    /**
+     * Add a raw sample { engagement, confidence, timestamp } for a student
+     * Returns { engagement, confidence, changed } for the smoothed state, or
+     * null if there is nothing confident enough to report yet
+     */
+    update(studentId, sample) {
+      const state = stateFor(studentId);
+      const confidence = typeof sample.confidence === 'number' ? sample.confidence : 0;
+
+      if (confidence >= minConfidence) {
+        const accepted = {
+          engagement: sample.engagement,
+          confidence,
+          timestamp: sample.timestamp || Date.now()
+        };
+
+        let smoothed;
+        if (method === 'decay') {
+          smoothed = applyDecay(state, accepted);
+        } else if (method === 'majority') {
+          state.samples.push(accepted);
+          if (state.samples.length > windowSize) {
+            state.samples.shift();
+          }
+          smoothed = majorityVote(state.samples);
+        } else {
+          smoothed = { engagement: accepted.engagement, confidence };
+        }
+
+        const changed = !state.current || state.current.engagement !== smoothed.engagement;
+        state.current = { ...smoothed, changed };
+      } else if (state.current) {
+        // Low-confidence sample: keep reporting the last smoothed state
+        state.current = { ...state.current, changed: false };
+      }
+
+      return state.current;
+    },
+
+    /**
+     * Forget a student's history (leave / disconnect)
+     */
+    reset(studentId) {
+      students.delete(studentId);
+    }
+  };
+}
+
+module.exports = { SMOOTHING_METHODS, createEngagementSmoother };
@@ -0,0 +1,365 @@
+/**
+ * Poll Store
+ * Live polls and quizzes: multiple-choice or numeric questions, optionally
+ * timed and anonymous. Each student has one answer per poll, which they can
+ * change until it closes. Persisted to MongoDB when connected, otherwise
+ * kept in shared storage (memory or Redis, see services/storage).
+ */
+
+const crypto = require('crypto');
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { Poll } = require('../models/Poll');
+
+const POLL_KINDS = ['poll', 'quiz'];
+const POLL_FORMATS = ['choice', 'numeric'];
+const MAX_QUESTION_LENGTH = 500;
+const MAX_OPTION_LENGTH = 200;
+const MAX_OPTIONS = 10;
+const MIN_DURATION_SECONDS = 5;
+const MAX_DURATION_SECONDS = 3600;
+
+// Fallback: hash `polls:<channelName>` of pollId -> poll (without answers),
+// and hash `poll:<pollId>:answers` of studentId -> answer, so students
+// answering at the same moment each write only their own field
+const pollsKey = channelName => `polls:${channelName}`;
+const answersKey = pollId => `poll:${pollId}:answers`;
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+function toPoll(doc) {
+  return {
+    pollId: doc.pollId,
+    channelName: doc.channelName,
+    createdBy: doc.createdBy || null,
+    kind: doc.kind,
+    format: doc.format,
+    question: doc.question,
+    options: [...(doc.options || [])],
+    correctOption: doc.correctOption ?? null,
+    correctValue: doc.correctValue ?? null,
+    tolerance: doc.tolerance || 0,
+    anonymous: Boolean(doc.anonymous),
+    durationSeconds: doc.durationSeconds ?? null,
+    openedAt: toTime(doc.openedAt),
+    closesAt: toTime(doc.closesAt),
+    closedAt: toTime(doc.closedAt),
+    answers: latestAnswers((doc.answers || []).map(a => ({
+      studentId: a.studentId,
+      studentName: a.studentName,
+      choice: a.choice ?? null,
+      value: a.value ?? null,
+      answeredAt: toTime(a.answeredAt)
+    })))
+  };
+}
+
+// One answer per student, their latest, oldest first; a student answering
+// from two tabs at once can briefly leave two in the database
+function latestAnswers(answers) {
+  const byStudent = new Map();
+  answers.forEach(answer => {
+    const previous = byStudent.get(answer.studentId);
+    if (!previous || answer.answeredAt >= previous.answeredAt) {
+      byStudent.set(answer.studentId, answer);
+    }
+  });
+  return Array.from(byStudent.values()).sort((a, b) => a.answeredAt - b.answeredAt);
+}
+
+function cleanText(text, maxLength) {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim();
+  return trimmed.length > 0 && trimmed.length <= maxLength ? trimmed : null;
+}
+
+/**
+ * True if the poll still takes answers; a timed poll whose time is up
+ * counts as closed even before its timer has fired
+ */
+function isOpen(poll, now = Date.now()) {
+  return !poll.closedAt && (!poll.closesAt || now < poll.closesAt);
+}
+
+/**
+ * Check a poll from a request:
+ * { kind, format, question, options, correctOption, correctValue, tolerance, anonymous, durationSeconds }
+ * Returns { poll } (without IDs or times) or { error }
+ */
+function normalizePoll(input) {
+  const data = input || {};
+  const kind = data.kind || 'poll';
+  if (!POLL_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${POLL_KINDS.join(', ')}` };
+  }
+  if (!POLL_FORMATS.includes(data.format)) {
+    return { error: `format must be one of: ${POLL_FORMATS.join(', ')}` };
+  }
+  const question = cleanText(data.question, MAX_QUESTION_LENGTH);
+  if (!question) {
+    return { error: `Question must be 1-${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const poll = {
+    kind,
+    format: data.format,
+    question,
+    options: [],
+    correctOption: null,
+    correctValue: null,
+    tolerance: 0,
+    anonymous: Boolean(data.anonymous),
+    durationSeconds: null
+  };
+
+  if (data.format === 'choice') {
+    if (!Array.isArray(data.options) || data.options.length < 2 || data.options.length > MAX_OPTIONS) {
+      return { error: `options must be a list of 2-${MAX_OPTIONS} answers` };
+    }
+    poll.options = data.options.map(option => cleanText(option, MAX_OPTION_LENGTH));
+    if (poll.options.includes(null)) {
+      return { error: `Each option must be 1-${MAX_OPTION_LENGTH} characters` };
+    }
+    if (kind === 'quiz') {
+      if (!Number.isInteger(data.correctOption) || data.correctOption < 0 || data.correctOption >= poll.options.length) {
+        return { error: 'Quizzes need correctOption, the index of the right option' };
+      }
+      poll.correctOption = data.correctOption;
+    }
+  } else if (kind === 'quiz') {
+    const correctValue = Number(data.correctValue);
+    const tolerance = data.tolerance === undefined ? 0 : Number(data.tolerance);
+    if (data.correctValue === undefined || data.correctValue === null || !Number.isFinite(correctValue)) {
+      return { error: 'Numeric quizzes need correctValue' };
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      return { error: 'tolerance must be a number of at least 0' };
+    }
+    poll.correctValue = correctValue;
+    poll.tolerance = tolerance;
+  }
+
+  if (data.durationSeconds !== undefined && data.durationSeconds !== null) {
+    const durationSeconds = Number(data.durationSeconds);
+    if (!Number.isFinite(durationSeconds) || durationSeconds < MIN_DURATION_SECONDS || durationSeconds > MAX_DURATION_SECONDS) {
+      return { error: `durationSeconds must be ${MIN_DURATION_SECONDS}-${MAX_DURATION_SECONDS}` };
+    }
+    poll.durationSeconds = durationSeconds;
+  }
+
+  return { poll };
+}
+
+/**
+ * True/false for a quiz answer; null for polls
+ */
+function isCorrect(poll, answer) {
+  if (poll.kind !== 'quiz') return null;
+  if (poll.format === 'choice') return answer.choice === poll.correctOption;
+  return Math.abs(answer.value - poll.correctValue) <= poll.tolerance;
+}
+
+/**
+ * Aggregated results: { responses, counts (choice), numeric (numeric),
+ * correct and correctPercentage (quizzes) }
+ */
+function summarizePoll(poll) {
+  const results = { responses: poll.answers.length };
+
+  if (poll.format === 'choice') {
+    results.counts = poll.options.map((option, index) => poll.answers.filter(a => a.choice === index).length);
+  } else {
+    const values = poll.answers.map(a => a.value).sort((a, b) => a - b);
+    const middle = Math.floor(values.length / 2);
+    results.numeric = values.length === 0 ? null : {
+      mean: Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100,
+      median: values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2,
+      min: values[0],
+      max: values[values.length - 1]
+    };
+  }
+
+  if (poll.kind === 'quiz') {
+    results.correct = poll.answers.filter(a => isCorrect(poll, a)).length;
+    results.correctPercentage = poll.answers.length > 0
+      ? Math.round((results.correct / poll.answers.length) * 1000) / 10
+      : 0;
+  }
+  return results;
+}
+
+/**
+ * What students see: nobody else's answers, and no correct answer until the
+ * poll closes; with studentId, `answer` is that student's own answer
+ */
+function studentView(poll, studentId = null, now = Date.now()) {
+  const { answers, correctOption, correctValue, tolerance, ...rest } = poll;
+  const open = isOpen(poll, now);
+  const own = studentId === null ? null : answers.find(a => a.studentId === String(studentId));
+  return {
+    ...rest,
+    open,
+    ...(open ? {} : { correctOption, correctValue, tolerance }),
+    answer: own ? { choice: own.choice, value: own.value, answeredAt: own.answeredAt } : null
+  };
+}
+
+/**
+ * What teachers see: everything plus live results; answers of anonymous
+ * polls are left out
+ */
+function teacherView(poll, now = Date.now()) {
+  const { answers, ...rest } = poll;
+  return {
+    ...rest,
+    open: isOpen(poll, now),
+    results: summarizePoll(poll),
+    answers: poll.anonymous ? [] : answers.map(a => ({ ...a, correct: isCorrect(poll, a) }))
+  };
+}
+
+/**
+ * Store a poll's question, options and times; answers are written one
+ * student at a time by answerPoll
+ */
+async function savePoll(poll) {
+  const { answers, ...fields } = poll;
+  if (isDatabaseReady()) {
+    const { pollId, ...rest } = fields;
+    await Poll.findOneAndUpdate(
+      { pollId },
+      {
+        ...rest,
+        openedAt: new Date(poll.openedAt),
+        closesAt: poll.closesAt ? new Date(poll.closesAt) : null,
+        closedAt: poll.closedAt ? new Date(poll.closedAt) : null
+      },
+      { upsert: true }
+    );
+    return;
+  }
+  await getStorage().hset(pollsKey(poll.channelName), poll.pollId, fields);
+}
+
+/**
+ * Get one poll with its answers, or null
+ */
+async function getPoll(channelName, pollId) {
+  if (isDatabaseReady()) {
+    const doc = await Poll.findOne({ channelName, pollId }).lean();
+    return doc ? toPoll(doc) : null;
+  }
+  const poll = await getStorage().hget(pollsKey(channelName), String(pollId));
+  if (!poll) return null;
+  return { ...poll, answers: latestAnswers(Object.values(await getStorage().hgetall(answersKey(poll.pollId)))) };
+}
+
+/**
+ * Every poll in a channel, with answers, in the order they were opened
+ */
+async function getPolls(channelName) {
+  if (isDatabaseReady()) {
+    const docs = await Poll.find({ channelName }).sort({ openedAt: 1 }).lean();
+    return docs.map(toPoll);
+  }
+  const stored = Object.values(await getStorage().hgetall(pollsKey(channelName)));
+  const polls = await Promise.all(stored.map(async poll => ({
+    ...poll,
+    answers: latestAnswers(Object.values(await getStorage().hgetall(answersKey(poll.pollId))))
+  })));
+  return polls.sort((a, b) => a.openedAt - b.openedAt);
+}
+
+/**
+ * Open a poll; input as for normalizePoll
+ * Returns { poll } or { error }
+ */
+async function createPoll(channelName, input, createdBy, at = Date.now()) {
+  const { poll: fields, error } = normalizePoll(input);
+  if (error) return { error };
+
+  const poll = {
+    pollId: crypto.randomUUID(),
+    channelName,
+    createdBy: createdBy === undefined || createdBy === null ? null : String(createdBy),
+    ...fields,
+    openedAt: at,
+    closesAt: fields.durationSeconds ? at + fields.durationSeconds * 1000 : null,
+    closedAt: null,
+    answers: []
+  };
+  await savePoll(poll);
+  return { poll };
+}
+
+/**
+ * A student answers (or changes their answer) while the poll is open
+ * answer: { choice } or { value }
+ * Returns { poll } or { error }
+ */
+async function answerPoll(channelName, pollId, { studentId, studentName }, answer, at = Date.now()) {
+  const poll = await getPoll(channelName, pollId);
+  if (!poll) return { error: 'Poll not found' };
+  if (!isOpen(poll, at)) return { error: 'Poll is closed' };
+
+  const entry = { studentId: String(studentId), studentName, choice: null, value: null, answeredAt: at };
+  if (poll.format === 'choice') {
+    const choice = answer && answer.choice;
+    if (!Number.isInteger(choice) || choice < 0 || choice >= poll.options.length) {
+      return { error: `choice must be an option index from 0 to ${poll.options.length - 1}` };
+    }
+    entry.choice = choice;
+  } else {
+    const value = answer && answer.value !== null && answer.value !== '' ? Number(answer.value) : NaN;
+    if (!Number.isFinite(value)) {
+      return { error: 'value must be a number' };
+    }
+    entry.value = value;
+  }
+
+  if (isDatabaseReady()) {
+    // Replace only this student's answer, and only while the poll is open
+    const open = { pollId: poll.pollId, closedAt: null };
+    await Poll.updateOne(open, { $pull: { answers: { studentId: entry.studentId } } });
+    const { matchedCount } = await Poll.updateOne(open, { $push: { answers: { ...entry, answeredAt: new Date(at) } } });
+    if (matchedCount === 0) return { error: 'Poll is closed' };
+  } else {
+    await getStorage().hset(answersKey(poll.pollId), entry.studentId, entry);
+  }
+
+  poll.answers = poll.answers.filter(a => a.studentId !== entry.studentId).concat(entry);
+  return { poll };
+}
+
+/**
+ * Stop taking answers; closing a poll whose time ran out records when it
+ * ran out. Returns { poll, alreadyClosed } or { error }
+ */
+async function closePoll(channelName, pollId, at = Date.now()) {
+  const poll = await getPoll(channelName, pollId);
+  if (!poll) return { error: 'Poll not found' };
+  if (poll.closedAt) return { poll, alreadyClosed: true };
+
+  poll.closedAt = poll.closesAt ? Math.min(at, poll.closesAt) : at;
+  await savePoll(poll);
+  return { poll, alreadyClosed: false };
+}
+
+module.exports = {
+  POLL_KINDS,
+  POLL_FORMATS,
+  MAX_OPTIONS,
+  isOpen,
+  isCorrect,
+  normalizePoll,
+  summarizePoll,
+  studentView,
+  teacherView,
+  createPoll,
+  answerPoll,
+  closePoll,
+  getPoll,
+  getPolls
+};
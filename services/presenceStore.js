@@ -0,0 +1,108 @@
+/**
+ * Presence Store
+ * Students and teachers currently connected, across every gateway instance.
+ * Kept in shared storage (Redis when configured) so a student connected to
+ * one instance shows up for a teacher connected to another.
+ *
+ * students: studentId -> { id, name, socketId, channelName, engagement, confidence, timestamp, disconnectedAt }
+ * teachers: teacherId -> { id, name, socketId, channelName, channelRole, joinedAt, disconnectedAt }
+ *
+ * Each participant is a hash with one field per property, so instances
+ * updating different properties at once (a frame's engagement on one, a
+ * reconnect's socketId on another) don't overwrite each other.
+ *
+ * One person may be connected from several tabs or devices; every socket
+ * they have open is kept in a set, and socketId is the most recent one.
+ */
+
+const { getStorage } = require('./storage');
+
+/**
+ * Map-like async table of participants with one role
+ * Keys: `<key>:ids` (set of IDs), `<key>:entry:<id>` (hash of properties)
+ * and `<key>:sockets:<id>` (set of socket IDs)
+ */
+function participantTable(key) {
+  const idsKey = `${key}:ids`;
+  const entryKey = id => `${key}:entry:${id}`;
+  const socketsKey = id => `${key}:sockets:${id}`;
+
+  // An entry without its id field is left over from an update that raced
+  // a delete; it counts as gone
+  const read = async (id) => {
+    const participant = await getStorage().hgetall(entryKey(id));
+    return participant.id === undefined || participant.id === null ? null : participant;
+  };
+
+  return {
+    async get(id) {
+      return read(String(id));
+    },
+
+    /**
+     * Replace the entry
+     */
+    async set(id, participant) {
+      const storage = getStorage();
+      await storage.del(entryKey(id));
+      await storage.hmset(entryKey(id), participant);
+      await storage.sadd(idsKey, String(id));
+    },
+
+    /**
+     * Change some properties of an existing entry, leaving the rest alone;
+     * does nothing if it's gone. Returns the updated entry.
+     */
+    async update(id, changes) {
+      if (!(await read(String(id)))) return null;
+      await getStorage().hmset(entryKey(id), changes);
+      return read(String(id));
+    },
+
+    async delete(id) {
+      const storage = getStorage();
+      await storage.srem(idsKey, String(id));
+      await Promise.all([
+        storage.del(entryKey(id)),
+        storage.del(socketsKey(id))
+      ]);
+    },
+
+    /**
+     * Record another socket (tab or device) for this participant
+     */
+    async addSocket(id, socketId) {
+      await getStorage().sadd(socketsKey(id), socketId);
+    },
+
+    /**
+     * Forget one socket; returns how many the participant still has open
+     */
+    async removeSocket(id, socketId) {
+      await getStorage().srem(socketsKey(id), socketId);
+      return (await getStorage().smembers(socketsKey(id))).length;
+    },
+
+    async socketCount(id) {
+      return (await getStorage().smembers(socketsKey(id))).length;
+    },
+
+    /**
+     * Everyone with this role, optionally only those in one channel
+     */
+    async list(channelName = null) {
+      const ids = await getStorage().smembers(idsKey);
+      const participants = (await Promise.all(ids.map(read))).filter(Boolean);
+      return channelName ? participants.filter(p => p.channelName === channelName) : participants;
+    },
+
+    async count() {
+      return (await this.list()).length;
+    }
+  };
+}
+
+module.exports = {
+  students: participantTable('presence:students'),
+  teachers: participantTable('presence:teachers')
+};
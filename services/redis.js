@@ -0,0 +1,53 @@
+/**
+ * Redis Connection
+ * Opens the connections used when gateway instances share state: one for
+ * commands (shared storage, Socket.IO adapter publishing) and one for the
+ * adapter's subscriptions.
+ */
+
+const { createClient } = require('redis');
+
+/**
+ * Connect to Redis; rejects if either connection isn't up within
+ * connectTimeoutMs. Later drops are retried in the background.
+ * Returns { client, subClient }
+ */
+async function connectRedis(url, { connectTimeoutMs = 10000 } = {}) {
+  const client = createClient({
+    url,
+    socket: { reconnectStrategy: retries => Math.min(retries * 200, 5000) }
+  });
+  const subClient = client.duplicate();
+
+  [client, subClient].forEach(c => c.on('error', err => {
+    console.error('❌ Redis error:', err.message);
+  }));
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No connection within ${connectTimeoutMs}ms`)), connectTimeoutMs);
+  });
+
+  try {
+    await Promise.race([Promise.all([client.connect(), subClient.connect()]), timeout]);
+  } catch (error) {
+    await disconnectRedis({ client, subClient });
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return { client, subClient };
+}
+
+/**
+ * Close both connections, letting pending commands finish where possible
+ */
+async function disconnectRedis({ client, subClient }) {
+  await Promise.allSettled([client, subClient].map(async c => (c.isReady ? c.quit() : c.disconnect())));
+}
+
+module.exports = {
+  connectRedis,
+  disconnectRedis
+};
@@ -0,0 +1,321 @@
+/**
+ * Report Builder
+ * Turns a session's engagement samples, topics, alerts, Q&A questions and
+ * polls into the class report: per-topic engagement tables, Confused rates
+ * and question counts, per-student stats, class averages, poll answers set
+ * against engagement and, for sessions with an agenda, planned vs actual
+ * topic times.
+ * Scores and averages follow the scoring options (see engagementScoring).
+ * The result is plain data; reportExport renders it as PDF or CSV.
+ */
+
+const {
+  ENGAGEMENT_STATES,
+  resolveScoringOptions,
+  weighSamples,
+  scoreSamples,
+  classAverage
+} = require('./engagementScoring');
+const { isCorrect, summarizePoll } = require('./pollStore');
+
+// Aim for about this many points on a timeline, in whole-minute buckets
+const TIMELINE_TARGET_POINTS = 60;
+
+function roundTo(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function percentage(count, total) {
+  return total > 0 ? roundTo((count / total) * 100) : 0;
+}
+
+function countEngagement(samples) {
+  const counts = Object.fromEntries(ENGAGEMENT_STATES.map(state => [state, 0]));
+  samples.forEach(s => {
+    if (Object.prototype.hasOwnProperty.call(counts, s.engagement)) {
+      counts[s.engagement]++;
+    }
+  });
+  return counts;
+}
+
+function inRange(timestamp, startTime, endTime) {
+  return timestamp >= startTime && (!endTime || timestamp <= endTime);
+}
+
+/**
+ * Engagement over time: share of samples in each bucket per state (percent)
+ * Returns [{ start, end, samples, students, engagedPercentage, counts }]
+ */
+function buildTimeline(samples, { startTime, endTime, bucketMs } = {}) {
+  if (samples.length === 0) return [];
+
+  const start = startTime || samples[0].timestamp;
+  const end = endTime || samples[samples.length - 1].timestamp;
+  const span = Math.max(end - start, 1);
+  const size = bucketMs || Math.max(60000, Math.ceil(span / TIMELINE_TARGET_POINTS / 60000) * 60000);
+
+  const buckets = [];
+  for (let bucketStart = start; bucketStart <= end; bucketStart += size) {
+    buckets.push({ start: bucketStart, end: Math.min(bucketStart + size, end), samples: [] });
+  }
+
+  samples.forEach(s => {
+    if (s.timestamp < start || s.timestamp > end) return;
+    const index = Math.min(Math.floor((s.timestamp - start) / size), buckets.length - 1);
+    buckets[index].samples.push(s);
+  });
+
+  return buckets.map(bucket => {
+    const counts = countEngagement(bucket.samples);
+    return {
+      start: bucket.start,
+      end: bucket.end,
+      samples: bucket.samples.length,
+      students: new Set(bucket.samples.map(s => s.studentId)).size,
+      engagedPercentage: percentage(counts.Engaged, bucket.samples.length),
+      counts
+    };
+  });
+}
+
+/**
+ * Per-student stats for a set of weighed samples
+ * The percentages are weighted shares of each state; engagementScore also
+ * applies the state weights
+ */
+function studentStatsFor(weighed, studentIds, studentNames, scoring) {
+  return studentIds.map(studentId => {
+    const studentData = weighed.filter(s => s.studentId === studentId);
+    const { attendedMs, engagementScore, statePercentages } = scoreSamples(studentData, scoring);
+
+    return {
+      studentId,
+      studentName: studentNames[studentId] || `Student ${studentId}`,
+      totalDataPoints: studentData.length,
+      attendedMs,
+      engagementCounts: countEngagement(studentData),
+      engagementScore,
+      engagementPercentage: statePercentages.Engaged,
+      boredPercentage: statePercentages.Bored,
+      confusedPercentage: statePercentages.Confused,
+      notPayingAttentionPercentage: statePercentages['Not Paying Attention']
+    };
+  });
+}
+
+/**
+ * Planned vs actual time for each agenda item
+ * An item's actual time is that of the top-level topics started for it;
+ * topics still running count up to `now`. Items never started are 'skipped'
+ * when a later item has run, otherwise 'pending'. Variance is only given
+ * once an item is done (positive means it ran over).
+ * Returns { items, totals }
+ */
+function compareAgenda(agenda, topics, now = Date.now()) {
+  const topLevel = topics.filter(topic => !topic.parentId);
+  const ranFor = topic => (topic.endTime || now) - topic.startTime;
+  const minutes = ms => roundTo(ms / 60000);
+
+  const covered = agenda.map(item => topLevel.filter(topic => topic.agendaItemId === item.itemId));
+  const lastStarted = covered.map(list => list.length > 0).lastIndexOf(true);
+
+  const items = agenda.map((item, index) => {
+    const itemTopics = covered[index];
+    const running = itemTopics.some(topic => !topic.endTime);
+    let status = 'pending';
+    if (running) status = 'running';
+    else if (itemTopics.length > 0) status = 'done';
+    else if (index < lastStarted) status = 'skipped';
+
+    const actualMs = itemTopics.reduce((sum, topic) => sum + ranFor(topic), 0);
+    return {
+      itemId: item.itemId,
+      topicName: item.topicName,
+      plannedMinutes: item.plannedMinutes,
+      status,
+      actualStart: itemTopics.length > 0 ? itemTopics[0].startTime : null,
+      actualEnd: status === 'done' ? itemTopics[itemTopics.length - 1].endTime : null,
+      actualMinutes: itemTopics.length > 0 ? minutes(actualMs) : null,
+      varianceMinutes: status === 'done' ? roundTo(minutes(actualMs) - item.plannedMinutes) : null
+    };
+  });
+
+  const unplannedMs = topLevel
+    .filter(topic => !agenda.some(item => item.itemId === topic.agendaItemId))
+    .reduce((sum, topic) => sum + ranFor(topic), 0);
+
+  return {
+    items,
+    totals: {
+      plannedMinutes: roundTo(agenda.reduce((sum, item) => sum + item.plannedMinutes, 0)),
+      actualMinutes: roundTo(items.reduce((sum, item) => sum + (item.actualMinutes || 0), 0)),
+      unplannedMinutes: minutes(unplannedMs),
+      done: items.filter(item => item.status === 'done').length,
+      skipped: items.filter(item => item.status === 'skipped').length
+    }
+  };
+}
+
+/**
+ * Each poll's results, with every student's answer set against their
+ * engagement during the topic the poll ran in (the innermost topic running
+ * when it opened, else the whole session). byAnswer averages engagement per
+ * answer given: right vs wrong for quizzes, per option for choice polls.
+ * Anonymous polls only get their results.
+ */
+function pollEngagement(polls, topicStats, overallStats) {
+  const topicAt = (time) => {
+    for (const topic of topicStats) {
+      if (!inRange(time, topic.startTime, topic.endTime)) continue;
+      return (topic.subtopics || []).find(sub => inRange(time, sub.startTime, sub.endTime)) || topic;
+    }
+    return null;
+  };
+  const average = (values) => (values.length > 0
+    ? roundTo(values.reduce((sum, v) => sum + v, 0) / values.length)
+    : null);
+
+  return polls.map(poll => {
+    const topic = topicAt(poll.openedAt);
+    const statsById = new Map((topic ? topic.studentStats : overallStats).map(s => [s.studentId, s]));
+
+    const students = poll.anonymous ? [] : poll.answers.map(answer => {
+      const stats = statsById.get(answer.studentId);
+      const engaged = stats && stats.totalDataPoints > 0;
+      return {
+        studentId: answer.studentId,
+        studentName: answer.studentName || (stats && stats.studentName) || `Student ${answer.studentId}`,
+        answer: poll.format === 'choice' ? poll.options[answer.choice] : answer.value,
+        correct: isCorrect(poll, answer),
+        engagementScore: engaged ? stats.engagementScore : null,
+        confusedPercentage: engaged ? stats.confusedPercentage : null
+      };
+    });
+
+    let groups = [];
+    if (poll.kind === 'quiz') {
+      groups = [['correct', s => s.correct], ['incorrect', s => !s.correct]];
+    } else if (poll.format === 'choice') {
+      groups = poll.options.map(option => [option, s => s.answer === option]);
+    }
+    const byAnswer = groups.map(([answer, matches]) => {
+      const group = students.filter(matches);
+      const measured = group.filter(s => s.engagementScore !== null);
+      return {
+        answer,
+        students: group.length,
+        averageEngagementScore: average(measured.map(s => s.engagementScore)),
+        averageConfusedPercentage: average(measured.map(s => s.confusedPercentage))
+      };
+    });
+
+    return {
+      pollId: poll.pollId,
+      kind: poll.kind,
+      format: poll.format,
+      question: poll.question,
+      options: poll.options,
+      anonymous: poll.anonymous,
+      openedAt: poll.openedAt,
+      closedAt: poll.closedAt,
+      topicId: topic ? topic.topicId : null,
+      topicName: topic ? topic.topicName : null,
+      results: summarizePoll(poll),
+      students,
+      byAnswer
+    };
+  });
+}
+
+/**
+ * Build the report for one session
+ * analytics, topics, alerts, questions and polls come straight from their
+ * stores; scoring comes from resolveScoringOptions (defaults apply when omitted)
+ */
+function buildReport({
+  channelName, session = null, analytics, topics, alerts, questions = [], polls = [], scoring = resolveScoringOptions()
+}) {
+  // Durations are worked out over the whole session so topic slices share them
+  const weighed = weighSamples(analytics, scoring);
+
+  // Get unique students
+  const uniqueStudents = [...new Set(analytics.map(a => a.studentId))];
+  const studentNames = {};
+  analytics.forEach(a => {
+    if (!studentNames[a.studentId]) {
+      studentNames[a.studentId] = a.studentName;
+    }
+  });
+
+  // Calculate engagement statistics per topic
+  const statsFor = (topic) => {
+    const topicAnalytics = weighed.filter(a => inRange(a.timestamp, topic.startTime, topic.endTime));
+    const studentStats = studentStatsFor(topicAnalytics, uniqueStudents, studentNames, scoring);
+    const engagementCounts = countEngagement(topicAnalytics);
+
+    return {
+      topicId: topic.topicId,
+      topicName: topic.topicName,
+      startTime: topic.startTime,
+      endTime: topic.endTime,
+      duration: topic.endTime ? (topic.endTime - topic.startTime) : null,
+      engagementCounts,
+      totalDataPoints: topicAnalytics.length,
+      // Share of all samples in the topic that were Confused (unweighted)
+      confusedRate: percentage(engagementCounts.Confused, topicAnalytics.length),
+      studentStats,
+      classAverageEngagement: classAverage(studentStats, scoring),
+      alertCount: alerts.filter(a => inRange(a.raisedAt, topic.startTime, topic.endTime)).length,
+      questionCount: questions.filter(q => inRange(q.askedAt, topic.startTime, topic.endTime)).length,
+      timeline: buildTimeline(topicAnalytics, { startTime: topic.startTime, endTime: topic.endTime })
+    };
+  };
+
+  // Subtopics are reported inside their parent topic
+  const topicStats = topics.filter(topic => !topic.parentId).map(topic => ({
+    ...statsFor(topic),
+    subtopics: topics.filter(sub => sub.parentId === topic.topicId).map(statsFor)
+  }));
+
+  // Overall class statistics
+  const overallStats = studentStatsFor(weighed, uniqueStudents, studentNames, scoring).map(s => ({
+    studentId: s.studentId,
+    studentName: s.studentName,
+    totalDataPoints: s.totalDataPoints,
+    attendedMs: s.attendedMs,
+    engagementScore: s.engagementScore,
+    engagementPercentage: s.engagementPercentage
+  }));
+
+  // Planned vs actual, when the session had an agenda
+  const generatedAt = Date.now();
+  const agenda = session && session.agenda && session.agenda.length > 0
+    ? compareAgenda(session.agenda, topics, session.endedAt || generatedAt)
+    : null;
+
+  return {
+    channelName,
+    session,
+    topics: topicStats,
+    agenda,
+    polls: pollEngagement(polls, topicStats, overallStats),
+    overallStats,
+    overallClassAverage: classAverage(overallStats, scoring),
+    scoring,
+    timeline: buildTimeline(analytics),
+    alerts,
+    questions,
+    analytics,
+    generatedAt
+  };
+}
+
+module.exports = {
+  ENGAGEMENT_STATES,
+  buildTimeline,
+  compareAgenda,
+  pollEngagement,
+  buildReport
+};
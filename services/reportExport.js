@@ -0,0 +1,398 @@
+/**
+ * Report Export
+ * Renders a report from reportBuilder as CSV (for spreadsheets) or as a
+ * printable PDF with per-topic tables, class averages and engagement timelines.
+ */
+
+const PDFDocument = require('pdfkit');
+const { ENGAGEMENT_STATES } = require('./reportBuilder');
+const { toCsv, isoTime } = require('./csv');
+
+const CSV_TABLES = ['overall', 'students', 'topics', 'agenda', 'polls'];
+
+const MARGIN = 50;
+const TIMELINE_HEIGHT = 110;
+const STATE_COLORS = {
+  Engaged: '#2e7d32',
+  Bored: '#f9a825',
+  Confused: '#6a1b9a',
+  'Not Paying Attention': '#c62828'
+};
+
+// =====================================
+// CSV
+// =====================================
+
+/**
+ * Render one report table as CSV
+ * - overall:  one row per student across the whole session (overallStats)
+ * - students: one row per student per topic and subtopic (each studentStats)
+ * - topics:   one row per topic and subtopic, with Confused rate, alerts and questions
+ * - agenda:   one row per agenda item, planned vs actual (empty without an agenda)
+ * - polls:    one row per student answer, with their engagement during the topic
+ *             (anonymous polls are left out)
+ */
+function renderCsv(report, table = 'overall') {
+  if (table === 'polls') {
+    const rows = [];
+    report.polls.forEach(poll => poll.students.forEach(s => rows.push([
+      poll.pollId, poll.kind, poll.question, poll.topicName || '', isoTime(poll.openedAt),
+      s.studentId, s.studentName, s.answer, s.correct, s.engagementScore, s.confusedPercentage
+    ])));
+    return toCsv(
+      ['pollId', 'kind', 'question', 'topicName', 'openedAt', 'studentId', 'studentName', 'answer', 'correct', 'engagementScore', 'confusedPercentage'],
+      rows
+    );
+  }
+
+  if (table === 'agenda') {
+    const items = report.agenda ? report.agenda.items : [];
+    return toCsv(
+      ['itemId', 'topicName', 'status', 'plannedMinutes', 'actualMinutes', 'varianceMinutes', 'actualStart', 'actualEnd'],
+      items.map(item => [
+        item.itemId, item.topicName, item.status, item.plannedMinutes, item.actualMinutes, item.varianceMinutes,
+        isoTime(item.actualStart), isoTime(item.actualEnd)
+      ])
+    );
+  }
+
+  if (table === 'topics') {
+    const rows = [];
+    const addRow = (topic, parent) => rows.push([
+      topic.topicName, parent ? parent.topicName : '', isoTime(topic.startTime), isoTime(topic.endTime),
+      topic.totalDataPoints, topic.classAverageEngagement, topic.confusedRate, topic.alertCount, topic.questionCount
+    ]);
+    report.topics.forEach(topic => {
+      addRow(topic, null);
+      (topic.subtopics || []).forEach(sub => addRow(sub, topic));
+    });
+    return toCsv(
+      ['topicName', 'parentTopicName', 'topicStart', 'topicEnd', 'totalDataPoints', 'classAverageEngagement', 'confusedRate', 'alertCount', 'questionCount'],
+      rows
+    );
+  }
+
+  if (table === 'students') {
+    const header = [
+      'topicName', 'parentTopicName', 'topicStart', 'topicEnd', 'studentId', 'studentName', 'totalDataPoints', 'attendedSeconds',
+      ...ENGAGEMENT_STATES.map(state => `${state} count`),
+      'engagementScore', 'engagementPercentage', 'boredPercentage', 'confusedPercentage', 'notPayingAttentionPercentage'
+    ];
+    const rows = [];
+    const addRows = (topic, parent) => {
+      topic.studentStats.forEach(s => {
+        rows.push([
+          topic.topicName, parent ? parent.topicName : '', isoTime(topic.startTime), isoTime(topic.endTime),
+          s.studentId, s.studentName, s.totalDataPoints, Math.round(s.attendedMs / 1000),
+          ...ENGAGEMENT_STATES.map(state => s.engagementCounts[state]),
+          s.engagementScore, s.engagementPercentage, s.boredPercentage, s.confusedPercentage, s.notPayingAttentionPercentage
+        ]);
+      });
+    };
+    report.topics.forEach(topic => {
+      addRows(topic, null);
+      (topic.subtopics || []).forEach(sub => addRows(sub, topic));
+    });
+    return toCsv(header, rows);
+  }
+
+  return toCsv(
+    ['studentId', 'studentName', 'totalDataPoints', 'attendedSeconds', 'engagementScore', 'engagementPercentage'],
+    report.overallStats.map(s => [
+      s.studentId, s.studentName, s.totalDataPoints, Math.round(s.attendedMs / 1000), s.engagementScore, s.engagementPercentage
+    ])
+  );
+}
+
+// =====================================
+// PDF
+// =====================================
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—';
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return 'in progress';
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.round((ms % 60000) / 1000);
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+// Start a new page if fewer than `height` points are left
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+}
+
+function heading(doc, text, size = 14) {
+  ensureSpace(doc, size * 3);
+  doc.moveDown(0.6).font('Helvetica-Bold').fontSize(size).fillColor('#000000')
+    .text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.font('Helvetica').fontSize(10).moveDown(0.3);
+}
+
+/**
+ * Draw a simple table; columns: [{ label, width (fraction), align }]
+ * The header row repeats when the table runs onto a new page
+ */
+function table(doc, columns, rows) {
+  const width = contentWidth(doc);
+  const rowHeight = 16;
+
+  const drawRow = (cells, bold) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000');
+    columns.forEach((column, i) => {
+      const cellWidth = column.width * width;
+      doc.text(String(cells[i]), x + 2, y + 4, {
+        width: cellWidth - 4, height: rowHeight, align: column.align || 'left', lineBreak: false, ellipsis: true
+      });
+      x += cellWidth;
+    });
+    doc.moveTo(MARGIN, y + rowHeight).lineTo(MARGIN + width, y + rowHeight)
+      .lineWidth(0.5).strokeColor('#dddddd').stroke();
+    doc.x = MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(c => c.label), true);
+  rows.forEach(row => {
+    if (doc.y + rowHeight > doc.page.height - MARGIN) {
+      doc.addPage();
+      drawRow(columns.map(c => c.label), true);
+    }
+    drawRow(row, false);
+  });
+  doc.moveDown(0.5);
+}
+
+/**
+ * Line chart of the Engaged share over time (0-100%)
+ */
+function timelineChart(doc, timeline, label) {
+  ensureSpace(doc, TIMELINE_HEIGHT + 40);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(label, MARGIN, doc.y);
+
+  const top = doc.y + 4;
+  const left = MARGIN + 28;
+  const width = contentWidth(doc) - 28;
+  const height = TIMELINE_HEIGHT;
+
+  // Axes and gridlines at 0/50/100%
+  [0, 50, 100].forEach(pct => {
+    const y = top + height - (pct / 100) * height;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(pct === 0 ? '#999999' : '#e0e0e0').stroke();
+    doc.fontSize(7).fillColor('#777777').text(`${pct}%`, MARGIN, y - 3, { width: 24, align: 'right' });
+  });
+
+  const points = timeline.filter(point => point.samples > 0);
+  if (points.length === 0) {
+    doc.fontSize(9).fillColor('#999999').text('No engagement data', left, top + height / 2 - 5, { width, align: 'center' });
+  } else {
+    const start = timeline[0].start;
+    const span = Math.max(timeline[timeline.length - 1].end - start, 1);
+    const xOf = point => left + (((point.start + point.end) / 2 - start) / span) * width;
+    const yOf = point => top + height - (point.engagedPercentage / 100) * height;
+
+    doc.moveTo(xOf(points[0]), yOf(points[0]));
+    points.slice(1).forEach(point => doc.lineTo(xOf(point), yOf(point)));
+    doc.lineWidth(1.5).strokeColor(STATE_COLORS.Engaged).stroke();
+    points.forEach(point => doc.circle(xOf(point), yOf(point), 1.5).fill(STATE_COLORS.Engaged));
+
+    doc.fontSize(7).fillColor('#777777')
+      .text(formatTime(start), left, top + height + 3, { width: width / 2 })
+      .text(formatTime(timeline[timeline.length - 1].end), left + width / 2, top + height + 3, { width: width / 2, align: 'right' });
+  }
+
+  doc.x = MARGIN;
+  doc.y = top + height + 16;
+  doc.fillColor('#000000');
+}
+
+const STUDENT_COLUMNS = [
+  { label: 'Student', width: 0.28 },
+  { label: 'Samples', width: 0.1, align: 'right' },
+  { label: 'Score', width: 0.1, align: 'right' },
+  { label: 'Engaged %', width: 0.13, align: 'right' },
+  { label: 'Bored %', width: 0.12, align: 'right' },
+  { label: 'Confused %', width: 0.13, align: 'right' },
+  { label: 'Not Att. %', width: 0.14, align: 'right' }
+];
+
+// One line describing how scores were worked out
+function describeScoring(scoring) {
+  if (!scoring) return '';
+  const weighting = [
+    scoring.timeWeighted && 'time',
+    scoring.confidenceWeighted && 'confidence',
+    scoring.attendanceWeighted && 'attendance'
+  ].filter(Boolean);
+  const weights = ENGAGEMENT_STATES.map(state => `${state} ${scoring.stateWeights[state]}`).join(', ');
+  return `Scoring: ${scoring.preset}${weighting.length > 0 ? ` (weighted by ${weighting.join(', ')})` : ''}; state weights: ${weights}`;
+}
+
+/**
+ * Render the report as a PDF
+ * Resolves with the PDF as a Buffer
+ */
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const session = report.session || {};
+    const title = session.title || report.channelName;
+    doc.info.Title = `Engagement report: ${title}`;
+
+    // Summary
+    doc.font('Helvetica-Bold').fontSize(20).text('Class Engagement Report');
+    doc.font('Helvetica').fontSize(11).fillColor('#333333').moveDown(0.3)
+      .text(`Session: ${title}${session.course ? ` (${session.course})` : ''}`)
+      .text(`Channel: ${report.channelName}`)
+      .text(`Held: ${formatTime(session.startedAt)} – ${formatTime(session.endedAt)}`)
+      .text(`Generated: ${formatTime(report.generatedAt)}`)
+      .moveDown(0.5);
+
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000')
+      .text(`Class average engagement: ${report.overallClassAverage}%`)
+      .font('Helvetica').fontSize(10)
+      .text(`Students: ${report.overallStats.length}   Topics: ${report.topics.length}   Alerts: ${report.alerts.length}   Questions: ${report.questions.length}`)
+      .fontSize(8).fillColor('#555555')
+      .text(describeScoring(report.scoring));
+
+    heading(doc, 'Engagement over the session');
+    timelineChart(doc, report.timeline, 'Engaged share of samples over time');
+
+    heading(doc, 'Students');
+    table(doc, [
+      { label: 'Student', width: 0.4 },
+      { label: 'Samples', width: 0.15, align: 'right' },
+      { label: 'Attended', width: 0.15, align: 'right' },
+      { label: 'Score', width: 0.15, align: 'right' },
+      { label: 'Engaged %', width: 0.15, align: 'right' }
+    ], report.overallStats.map(s => [
+      s.studentName, s.totalDataPoints, formatDuration(s.attendedMs), s.engagementScore, s.engagementPercentage
+    ]));
+
+    if (report.agenda) {
+      const { items, totals } = report.agenda;
+      const signed = value => (value === null ? '—' : `${value > 0 ? '+' : ''}${value}`);
+      heading(doc, 'Agenda: planned vs actual');
+      doc.fontSize(10).fillColor('#333333')
+        .text(`Planned ${totals.plannedMinutes} min · actual ${totals.actualMinutes} min · unplanned topics ${totals.unplannedMinutes} min · ${totals.skipped} skipped`)
+        .moveDown(0.4);
+      table(doc, [
+        { label: 'Item', width: 0.36 },
+        { label: 'Status', width: 0.14 },
+        { label: 'Started', width: 0.2 },
+        { label: 'Planned', width: 0.1, align: 'right' },
+        { label: 'Actual', width: 0.1, align: 'right' },
+        { label: 'Variance', width: 0.1, align: 'right' }
+      ], items.map(item => [
+        item.topicName,
+        item.status,
+        formatTime(item.actualStart),
+        `${item.plannedMinutes}m`,
+        item.actualMinutes === null ? '—' : `${item.actualMinutes}m`,
+        signed(item.varianceMinutes)
+      ]));
+    }
+
+    // One section per topic, followed by its subtopics
+    const topicSection = (topic, label) => {
+      heading(doc, `${label}: ${topic.topicName}`, label.includes('.') ? 12 : 14);
+      doc.fontSize(10).fillColor('#333333')
+        .text(`${formatTime(topic.startTime)} · ${formatDuration(topic.duration)} · class average ${topic.classAverageEngagement}% · ${topic.confusedRate}% confused · ${topic.alertCount} alert(s) · ${topic.questionCount} question(s)`)
+        .text(ENGAGEMENT_STATES.map(state => `${state}: ${topic.engagementCounts[state]}`).join('   '))
+        .moveDown(0.4);
+
+      timelineChart(doc, topic.timeline, 'Engaged share during this topic');
+      table(doc, STUDENT_COLUMNS, topic.studentStats.map(s => [
+        s.studentName,
+        s.totalDataPoints,
+        s.engagementScore,
+        s.engagementPercentage,
+        s.boredPercentage,
+        s.confusedPercentage,
+        s.notPayingAttentionPercentage
+      ]));
+    };
+
+    report.topics.forEach((topic, index) => {
+      topicSection(topic, `Topic ${index + 1}`);
+      (topic.subtopics || []).forEach((sub, subIndex) => topicSection(sub, `Topic ${index + 1}.${subIndex + 1}`));
+    });
+
+    // Poll results, and engagement by answer given
+    report.polls.forEach((poll, index) => {
+      const { results } = poll;
+      heading(doc, `${poll.kind === 'quiz' ? 'Quiz' : 'Poll'} ${index + 1}: ${poll.question}`, 12);
+
+      let breakdown;
+      if (poll.format === 'choice') {
+        breakdown = poll.options.map((option, i) => `${option}: ${results.counts[i]}`).join('   ');
+      } else {
+        breakdown = results.numeric
+          ? `Mean ${results.numeric.mean} · median ${results.numeric.median} · range ${results.numeric.min}–${results.numeric.max}`
+          : 'No answers';
+      }
+      doc.fontSize(10).fillColor('#333333')
+        .text(`${formatTime(poll.openedAt)} · ${poll.topicName || 'no topic'} · ${results.responses} answer(s)` +
+          `${poll.kind === 'quiz' ? ` · ${results.correctPercentage}% correct` : ''}${poll.anonymous ? ' · anonymous' : ''}`)
+        .text(breakdown)
+        .moveDown(0.4);
+
+      if (poll.byAnswer.length > 0) {
+        const shown = value => (value === null ? '—' : value);
+        table(doc, [
+          { label: 'Answer', width: 0.46 },
+          { label: 'Students', width: 0.18, align: 'right' },
+          { label: 'Avg score', width: 0.18, align: 'right' },
+          { label: 'Avg Confused %', width: 0.18, align: 'right' }
+        ], poll.byAnswer.map(group => [
+          group.answer, group.students, shown(group.averageEngagementScore), shown(group.averageConfusedPercentage)
+        ]));
+      }
+    });
+
+    if (report.alerts.length > 0) {
+      heading(doc, 'Alerts');
+      table(doc, [
+        { label: 'Raised', width: 0.24 },
+        { label: 'Type', width: 0.2 },
+        { label: 'Message', width: 0.56 }
+      ], report.alerts.map(a => [formatTime(a.raisedAt), a.type, a.message]));
+    }
+
+    // Page numbers
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      // Footer sits in the bottom margin; keep pdfkit from starting a new page for it
+      doc.page.margins.bottom = 0;
+      doc.fontSize(8).fillColor('#999999')
+        .text(`Page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN + 15, {
+          width: contentWidth(doc), align: 'right', lineBreak: false
+        });
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  CSV_TABLES,
+  renderCsv,
+  renderPdf
+};
@@ -0,0 +1,323 @@
+/**
+ * Session Store
+ * Class session lifecycle (scheduled -> live -> ended), persisted to
+ * MongoDB when a connection is available, otherwise kept in shared storage
+ * (memory or Redis, see services/storage)
+ */
+
+const crypto = require('crypto');
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { ClassSession, STAFF_ROLES } = require('../models/Session');
+
+// Parts in a session that may run the class (see canLead)
+const LEAD_ROLES = ['owner', 'co_teacher'];
+
+// Fallback: hash `sessions` of channelName -> session
+const SESSIONS_KEY = 'sessions';
+
+function saveSession(session) {
+  return getStorage().hset(SESSIONS_KEY, session.channelName, session);
+}
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+// Convert stored documents to the plain shape returned by the API
+function toSession(doc) {
+  return {
+    channelName: doc.channelName,
+    title: doc.title,
+    course: doc.course || null,
+    teacherId: doc.teacherId,
+    staff: (doc.staff || []).map(member => ({ userId: member.userId, role: member.role })),
+    hostId: doc.hostId || doc.teacherId,
+    scheduledAt: toTime(doc.scheduledAt),
+    startedAt: toTime(doc.startedAt),
+    endedAt: toTime(doc.endedAt),
+    status: doc.status,
+    stageLocked: Boolean(doc.stageLocked),
+    agenda: (doc.agenda || []).map(item => ({
+      itemId: item.itemId,
+      topicName: item.topicName,
+      plannedMinutes: item.plannedMinutes
+    })),
+    autoAdvance: Boolean(doc.autoAdvance),
+    createdAt: toTime(doc.createdAt)
+  };
+}
+
+/**
+ * Generate a channel name that is hard to guess
+ */
+function generateChannelName() {
+  return `class-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Create a new scheduled session
+ * Returns null if the channel name is already taken
+ */
+async function createSession({ channelName, title, course, teacherId, scheduledAt }) {
+  const session = {
+    channelName: channelName || generateChannelName(),
+    title,
+    course: course || null,
+    teacherId: String(teacherId),
+    staff: [],
+    hostId: String(teacherId),
+    scheduledAt: toTime(scheduledAt),
+    startedAt: null,
+    endedAt: null,
+    status: 'scheduled',
+    stageLocked: false,
+    agenda: [],
+    autoAdvance: false,
+    createdAt: Date.now()
+  };
+
+  if (isDatabaseReady()) {
+    const existing = await ClassSession.exists({ channelName: session.channelName });
+    if (existing) {
+      return null;
+    }
+    const doc = await ClassSession.create({
+      channelName: session.channelName,
+      title: session.title,
+      course: session.course,
+      teacherId: session.teacherId,
+      scheduledAt: session.scheduledAt ? new Date(session.scheduledAt) : null
+    });
+    return toSession(doc);
+  }
+
+  if (await getStorage().hget(SESSIONS_KEY, session.channelName)) {
+    return null;
+  }
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * Look up a session by channel name
+ */
+async function getSession(channelName) {
+  if (!channelName) {
+    return null;
+  }
+
+  if (isDatabaseReady()) {
+    const doc = await ClassSession.findOne({ channelName }).lean();
+    return doc ? toSession(doc) : null;
+  }
+
+  return getStorage().hget(SESSIONS_KEY, channelName);
+}
+
+/**
+ * List sessions, newest first
+ * Filters: teacherId, status, course, channelNames (array)
+ */
+async function listSessions(filters = {}) {
+  const query = {};
+  ['teacherId', 'status', 'course'].forEach(key => {
+    if (filters[key]) {
+      query[key] = String(filters[key]);
+    }
+  });
+  const channelNames = Array.isArray(filters.channelNames) ? filters.channelNames.map(String) : null;
+
+  if (isDatabaseReady()) {
+    const docs = await ClassSession.find(channelNames ? { ...query, channelName: { $in: channelNames } } : query)
+      .sort({ createdAt: -1 })
+      .lean();
+    return docs.map(toSession);
+  }
+
+  return Object.values(await getStorage().hgetall(SESSIONS_KEY))
+    .filter(session => Object.keys(query).every(key => session[key] === query[key]))
+    .filter(session => !channelNames || channelNames.includes(session.channelName))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Apply a status transition to a session
+ * Returns { session } on success or { error } describing why it was rejected
+ */
+async function transition(channelName, fromStatuses, changes) {
+  const session = await getSession(channelName);
+  if (!session) {
+    return { error: 'Session not found' };
+  }
+  if (!fromStatuses.includes(session.status)) {
+    return { error: `Session is already ${session.status}` };
+  }
+
+  if (isDatabaseReady()) {
+    const update = { status: changes.status };
+    if (changes.startedAt) update.startedAt = new Date(changes.startedAt);
+    if (changes.endedAt) update.endedAt = new Date(changes.endedAt);
+
+    const doc = await ClassSession.findOneAndUpdate(
+      { channelName, status: { $in: fromStatuses } },
+      update,
+      { new: true }
+    ).lean();
+    if (!doc) {
+      return { error: 'Session changed while updating, please retry' };
+    }
+    return { session: toSession(doc) };
+  }
+
+  Object.assign(session, changes);
+  await saveSession(session);
+  return { session };
+}
+
+/**
+ * Move a scheduled session to live
+ */
+function startSession(channelName) {
+  return transition(channelName, ['scheduled'], {
+    status: 'live',
+    startedAt: Date.now()
+  });
+}
+
+/**
+ * End a scheduled or live session
+ */
+function endSession(channelName) {
+  return transition(channelName, ['scheduled', 'live'], {
+    status: 'ended',
+    endedAt: Date.now()
+  });
+}
+
+/**
+ * Lock or unlock the stage (student publishing) for a session
+ * Returns the updated session, or null if it doesn't exist
+ */
+async function setStageLocked(channelName, locked) {
+  if (isDatabaseReady()) {
+    const doc = await ClassSession.findOneAndUpdate(
+      { channelName },
+      { stageLocked: Boolean(locked) },
+      { new: true }
+    ).lean();
+    return doc ? toSession(doc) : null;
+  }
+
+  const session = await getSession(channelName);
+  if (!session) {
+    return null;
+  }
+  session.stageLocked = Boolean(locked);
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * Replace a session's lesson agenda ([{ itemId, topicName, plannedMinutes }])
+ * Returns the updated session, or null if it doesn't exist
+ */
+async function setAgenda(channelName, agenda, autoAdvance) {
+  if (isDatabaseReady()) {
+    const doc = await ClassSession.findOneAndUpdate(
+      { channelName },
+      { agenda, autoAdvance: Boolean(autoAdvance) },
+      { new: true }
+    ).lean();
+    return doc ? toSession(doc) : null;
+  }
+
+  const session = await getSession(channelName);
+  if (!session) {
+    return null;
+  }
+  session.agenda = agenda.map(item => ({ ...item }));
+  session.autoAdvance = Boolean(autoAdvance);
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * Replace a session's co-teachers and teaching assistants ([{ userId, role }])
+ * Returns the updated session, or null if it doesn't exist
+ */
+async function setStaff(channelName, staff) {
+  if (isDatabaseReady()) {
+    const doc = await ClassSession.findOneAndUpdate({ channelName }, { staff }, { new: true }).lean();
+    return doc ? toSession(doc) : null;
+  }
+
+  const session = await getSession(channelName);
+  if (!session) {
+    return null;
+  }
+  session.staff = staff.map(member => ({ ...member }));
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * Hand the lead of a session to another teacher
+ * Returns the updated session, or null if it doesn't exist
+ */
+async function setHost(channelName, hostId) {
+  if (isDatabaseReady()) {
+    const doc = await ClassSession.findOneAndUpdate({ channelName }, { hostId: String(hostId) }, { new: true }).lean();
+    return doc ? toSession(doc) : null;
+  }
+
+  const session = await getSession(channelName);
+  if (!session) {
+    return null;
+  }
+  session.hostId = String(hostId);
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * A teacher's part in a session: 'owner', 'co_teacher', 'ta' or null
+ */
+function staffRole(session, userId) {
+  if (!session || userId === undefined || userId === null) return null;
+  if (session.teacherId === String(userId)) return 'owner';
+  const member = (session.staff || []).find(m => m.userId === String(userId));
+  return member ? member.role : null;
+}
+
+/**
+ * True if the teacher may run the class: change topics, the agenda or the
+ * stage, and take over as host (owner and co-teachers, not TAs)
+ */
+function canLead(session, userId) {
+  return LEAD_ROLES.includes(staffRole(session, userId));
+}
+
+/**
+ * True if clients may join / request tokens for this session
+ */
+function isJoinable(session) {
+  return Boolean(session) && session.status !== 'ended';
+}
+
+module.exports = {
+  STAFF_ROLES,
+  LEAD_ROLES,
+  createSession,
+  getSession,
+  listSessions,
+  startSession,
+  endSession,
+  setStageLocked,
+  setAgenda,
+  setStaff,
+  setHost,
+  staffRole,
+  canLead,
+  isJoinable
+};
@@ -0,0 +1,276 @@
+/**
+ * Storage Backends
+ * Small key-value interface for state that every gateway instance must see:
+ * who is connected, whiteboards, and the in-memory fallbacks for analytics
+ * and topics.
+ * Values are JSON-serialisable; both backends hand back copies, so callers
+ * never share objects with the store. hmset skips undefined values.
+ *
+ * Interface (all async):
+ *   hget(key, field), hset(key, field, value), hmset(key, values), hgetall(key)
+ *   hsetnx(key, field, value) -> true if the field was set, hlen(key)
+ *   hdel(key, field) -> true if the field was there
+ *   hincrby(key, field, amount) -> the field's new value (an integer)
+ *   incr(key) -> the counter's new value
+ *   rpush(key, value), lrange(key), ltake(key) -> the list's items, removing the list
+ *   sadd(key, member), srem(key, member), smembers(key)
+ *   zadd(key, score, member), zrem(key, member), zrangebyscore(key, min, max)
+ *   zremrangebyscore(key, min, max) -> how many were removed
+ *   del(key)
+ * Sorted-set members are JSON values ordered by score; min and max are
+ * inclusive and may be -Infinity / Infinity.
+ */
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Single-process storage; also serves as an in-process fake of Redis
+ */
+function createMemoryStorage() {
+  const hashes = new Map();
+  const lists = new Map();
+  const sets = new Map();
+  const counters = new Map();
+  const sortedSets = new Map(); // key -> [{ score, member }] by score, members as JSON
+
+  const hashFor = key => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  return {
+    backend: 'memory',
+
+    async hget(key, field) {
+      const hash = hashes.get(key);
+      return hash && hash.has(field) ? clone(hash.get(field)) : null;
+    },
+
+    async hset(key, field, value) {
+      hashFor(key).set(field, clone(value));
+    },
+
+    async hmset(key, values) {
+      const entries = Object.entries(values).filter(([, value]) => value !== undefined);
+      if (entries.length === 0) return;
+      const hash = hashFor(key);
+      entries.forEach(([field, value]) => hash.set(field, clone(value)));
+    },
+
+    async hsetnx(key, field, value) {
+      const hash = hashFor(key);
+      if (hash.has(field)) return false;
+      hash.set(field, clone(value));
+      return true;
+    },
+
+    async hdel(key, field) {
+      const hash = hashes.get(key);
+      if (!hash) return false;
+      const removed = hash.delete(field);
+      if (hash.size === 0) hashes.delete(key);
+      return removed;
+    },
+
+    async hincrby(key, field, amount) {
+      const hash = hashFor(key);
+      const value = (hash.get(field) || 0) + amount;
+      hash.set(field, value);
+      return value;
+    },
+
+    async hgetall(key) {
+      const hash = hashes.get(key);
+      return hash ? Object.fromEntries(Array.from(hash.entries()).map(([field, value]) => [field, clone(value)])) : {};
+    },
+
+    async hlen(key) {
+      return hashes.has(key) ? hashes.get(key).size : 0;
+    },
+
+    async incr(key) {
+      const value = (counters.get(key) || 0) + 1;
+      counters.set(key, value);
+      return value;
+    },
+
+    async rpush(key, value) {
+      if (!lists.has(key)) lists.set(key, []);
+      lists.get(key).push(clone(value));
+    },
+
+    async lrange(key) {
+      return clone(lists.get(key) || []);
+    },
+
+    async ltake(key) {
+      const items = lists.get(key) || [];
+      lists.delete(key);
+      return items;
+    },
+
+    async sadd(key, member) {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(String(member));
+    },
+
+    async srem(key, member) {
+      const set = sets.get(key);
+      if (!set) return;
+      set.delete(String(member));
+      if (set.size === 0) sets.delete(key);
+    },
+
+    async smembers(key) {
+      return Array.from(sets.get(key) || []);
+    },
+
+    async zadd(key, score, member) {
+      const json = JSON.stringify(member);
+      const entries = (sortedSets.get(key) || []).filter(entry => entry.member !== json);
+      const at = entries.findIndex(entry => entry.score > score);
+      entries.splice(at === -1 ? entries.length : at, 0, { score, member: json });
+      sortedSets.set(key, entries);
+    },
+
+    async zrem(key, member) {
+      const json = JSON.stringify(member);
+      const entries = (sortedSets.get(key) || []).filter(entry => entry.member !== json);
+      if (entries.length > 0) sortedSets.set(key, entries);
+      else sortedSets.delete(key);
+    },
+
+    async zrangebyscore(key, min, max) {
+      return (sortedSets.get(key) || [])
+        .filter(entry => entry.score >= min && entry.score <= max)
+        .map(entry => JSON.parse(entry.member));
+    },
+
+    async zremrangebyscore(key, min, max) {
+      const entries = sortedSets.get(key) || [];
+      const kept = entries.filter(entry => entry.score < min || entry.score > max);
+      if (kept.length > 0) sortedSets.set(key, kept);
+      else sortedSets.delete(key);
+      return entries.length - kept.length;
+    },
+
+    async del(key) {
+      hashes.delete(key);
+      lists.delete(key);
+      sets.delete(key);
+      counters.delete(key);
+      sortedSets.delete(key);
+    }
+  };
+}
+
+/**
+ * Redis storage, shared by every gateway instance
+ * client: a connected node-redis v4 client (or anything with the same
+ * camelCase commands); keys are namespaced with `prefix`
+ */
+function createRedisStorage(client, { prefix = 'engagement:' } = {}) {
+  const k = key => `${prefix}${key}`;
+  const parse = raw => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+  return {
+    backend: 'redis',
+
+    async hget(key, field) {
+      return parse(await client.hGet(k(key), field));
+    },
+
+    async hset(key, field, value) {
+      await client.hSet(k(key), field, JSON.stringify(value));
+    },
+
+    // One HSET with every field, so the change lands atomically
+    async hmset(key, values) {
+      const fields = Object.entries(values)
+        .filter(([, value]) => value !== undefined)
+        .map(([field, value]) => [field, JSON.stringify(value)]);
+      if (fields.length > 0) {
+        await client.hSet(k(key), Object.fromEntries(fields));
+      }
+    },
+
+    async hsetnx(key, field, value) {
+      return Boolean(await client.hSetNX(k(key), field, JSON.stringify(value)));
+    },
+
+    async hdel(key, field) {
+      return (await client.hDel(k(key), field)) > 0;
+    },
+
+    // Stored as a plain integer, which reads back as JSON
+    async hincrby(key, field, amount) {
+      return client.hIncrBy(k(key), field, amount);
+    },
+
+    async hgetall(key) {
+      const raw = await client.hGetAll(k(key));
+      return Object.fromEntries(Object.entries(raw || {}).map(([field, value]) => [field, parse(value)]));
+    },
+
+    async hlen(key) {
+      return client.hLen(k(key));
+    },
+
+    async incr(key) {
+      return client.incr(k(key));
+    },
+
+    async rpush(key, value) {
+      await client.rPush(k(key), JSON.stringify(value));
+    },
+
+    async lrange(key) {
+      return (await client.lRange(k(key), 0, -1)).map(parse);
+    },
+
+    // Read and delete in one transaction, so no two callers get the same items
+    async ltake(key) {
+      const [items] = await client.multi().lRange(k(key), 0, -1).del(k(key)).exec();
+      return items.map(parse);
+    },
+
+    async sadd(key, member) {
+      await client.sAdd(k(key), String(member));
+    },
+
+    async srem(key, member) {
+      await client.sRem(k(key), String(member));
+    },
+
+    async smembers(key) {
+      return client.sMembers(k(key));
+    },
+
+    async zadd(key, score, member) {
+      await client.zAdd(k(key), { score, value: JSON.stringify(member) });
+    },
+
+    async zrem(key, member) {
+      await client.zRem(k(key), JSON.stringify(member));
+    },
+
+    async zrangebyscore(key, min, max) {
+      return (await client.zRangeByScore(k(key), min, max)).map(parse);
+    },
+
+    async zremrangebyscore(key, min, max) {
+      return client.zRemRangeByScore(k(key), min, max);
+    },
+
+    async del(key) {
+      await client.del(k(key));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStorage,
+  createRedisStorage
+};
@@ -0,0 +1,25 @@
+/**
+ * Shared Storage
+ * The storage backend the stores use for cross-instance state. Starts as
+ * in-memory; server.js switches it to Redis at startup when REDIS_URL is set,
+ * before any client connects.
+ */
+
+const { createMemoryStorage, createRedisStorage } = require('./backends');
+
+let storage = createMemoryStorage();
+
+function getStorage() {
+  return storage;
+}
+
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createMemoryStorage,
+  createRedisStorage
+};
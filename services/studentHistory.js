@@ -0,0 +1,258 @@
+/**
+ * Student History
+ * Follows students across sessions so teachers can spot someone who is
+ * consistently disengaged or absent, not just having one bad class.
+ *
+ * Students are identified by the same studentId used in socket events, which
+ * is the Student document's _id whenever authentication is on. Without a
+ * database there are no Student records, so names come from the samples and
+ * courses from the sessions the student attended.
+ */
+
+const mongoose = require('mongoose');
+const { isDatabaseReady } = require('./database');
+const { Student } = require('../models/User');
+const analyticsStore = require('./analyticsStore');
+const sessionStore = require('./sessionStore');
+const { weighSamples, scoreSamples } = require('./engagementScoring');
+
+// Score change per session (percentage points) below which a trend is steady
+const TREND_THRESHOLD = 2;
+
+function toProfile(doc) {
+  return {
+    studentId: String(doc._id),
+    name: doc.name,
+    email: doc.email,
+    rollNumber: doc.rollNumber,
+    course: doc.course
+  };
+}
+
+async function findProfiles(query) {
+  if (!isDatabaseReady()) return [];
+  const docs = await Student.find(query).select('name email rollNumber course').lean();
+  return docs.map(toProfile);
+}
+
+async function findProfile(studentId) {
+  if (!mongoose.isValidObjectId(studentId)) return null;
+  const [profile] = await findProfiles({ _id: studentId });
+  return profile || null;
+}
+
+function roundTo(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Least-squares slope of the score across consecutive sessions
+ * Returns { direction, slope, change } where direction is improving,
+ * declining, steady or insufficient_data
+ */
+function computeTrend(scores) {
+  if (scores.length < 2) {
+    return { direction: 'insufficient_data', slope: null, change: null };
+  }
+
+  const n = scores.length;
+  const meanX = (n - 1) / 2;
+  const meanY = scores.reduce((sum, y) => sum + y, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  scores.forEach((y, x) => {
+    numerator += (x - meanX) * (y - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  const slope = numerator / denominator;
+
+  let direction = 'steady';
+  if (slope >= TREND_THRESHOLD) direction = 'improving';
+  if (slope <= -TREND_THRESHOLD) direction = 'declining';
+
+  return { direction, slope: roundTo(slope, 2), change: roundTo(scores[n - 1] - scores[0]) };
+}
+
+function sessionTime(entry) {
+  return entry.startedAt || entry.firstSeen || entry.createdAt || 0;
+}
+
+/**
+ * One entry per session the student attended, plus sessions of their
+ * course they missed (when the course is known), oldest first
+ */
+function buildSessionEntries(samples, sessions, scoring, course) {
+  const sessionsByChannel = new Map(sessions.map(session => [session.channelName, session]));
+  const samplesByChannel = new Map();
+  samples.forEach(sample => {
+    if (!samplesByChannel.has(sample.channelName)) samplesByChannel.set(sample.channelName, []);
+    samplesByChannel.get(sample.channelName).push(sample);
+  });
+
+  const entries = Array.from(samplesByChannel.entries()).map(([channelName, channelSamples]) => {
+    const session = sessionsByChannel.get(channelName) || {};
+    const { attendedMs, engagementScore, statePercentages } = scoreSamples(weighSamples(channelSamples, scoring), scoring);
+
+    return {
+      channelName,
+      title: session.title || null,
+      course: session.course || null,
+      startedAt: session.startedAt || null,
+      endedAt: session.endedAt || null,
+      createdAt: session.createdAt || null,
+      attended: true,
+      firstSeen: channelSamples[0].timestamp,
+      lastSeen: channelSamples[channelSamples.length - 1].timestamp,
+      samples: channelSamples.length,
+      attendanceMinutes: roundTo(attendedMs / 60000),
+      engagementScore,
+      engagementPercentage: statePercentages.Engaged,
+      statePercentages
+    };
+  });
+
+  if (course) {
+    sessions
+      .filter(session => session.course === course && session.status !== 'scheduled' && !samplesByChannel.has(session.channelName))
+      .forEach(session => entries.push({
+        channelName: session.channelName,
+        title: session.title,
+        course: session.course,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        createdAt: session.createdAt,
+        attended: false,
+        firstSeen: null,
+        lastSeen: null,
+        samples: 0,
+        attendanceMinutes: 0,
+        engagementScore: null,
+        engagementPercentage: null,
+        statePercentages: null
+      }));
+  }
+
+  return entries
+    .sort((a, b) => sessionTime(a) - sessionTime(b))
+    .map(({ createdAt, ...entry }) => entry);
+}
+
+function summarize(entries) {
+  const attended = entries.filter(entry => entry.attended);
+  const scores = attended.map(entry => entry.engagementScore);
+
+  return {
+    sessionsAttended: attended.length,
+    sessionsMissed: entries.length - attended.length,
+    attendanceMinutes: roundTo(attended.reduce((sum, entry) => sum + entry.attendanceMinutes, 0)),
+    averageEngagementScore: scores.length > 0 ? roundTo(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+    trend: computeTrend(scores)
+  };
+}
+
+// Sessions the students attended, plus every session of the given courses
+async function loadSessions(samples, courses) {
+  const channelNames = [...new Set(samples.map(sample => sample.channelName))];
+  const lists = await Promise.all([
+    channelNames.length > 0 ? sessionStore.listSessions({ channelNames }) : [],
+    ...courses.map(course => sessionStore.listSessions({ course }))
+  ]);
+
+  const byChannel = new Map();
+  lists.flat().forEach(session => byChannel.set(session.channelName, session));
+  return Array.from(byChannel.values());
+}
+
+/**
+ * Engagement history for one student
+ * Returns { student, sessions, summary }, or null if nothing is known about them
+ */
+async function getStudentHistory(studentId, scoring) {
+  const [profile, samples] = await Promise.all([
+    findProfile(studentId),
+    analyticsStore.getStudentSamples([studentId])
+  ]);
+  if (!profile && samples.length === 0) {
+    return null;
+  }
+
+  const course = profile ? profile.course : null;
+  const sessions = await loadSessions(samples, course ? [course] : []);
+  const entries = buildSessionEntries(samples, sessions, scoring, course);
+
+  return {
+    student: profile || {
+      studentId: String(studentId),
+      name: (samples.find(sample => sample.studentName) || {}).studentName || `Student ${studentId}`,
+      email: null,
+      rollNumber: null,
+      course: null
+    },
+    sessions: entries,
+    summary: summarize(entries)
+  };
+}
+
+/**
+ * Engagement history for every student in a course, most disengaged first
+ * Students come from the Student records' course field; without a database,
+ * from the students seen in that course's sessions
+ * Returns { course, students: [{ student, summary, sessions }], summary }
+ */
+async function getCourseHistory(course, scoring) {
+  let profiles = await findProfiles({ course });
+  let samples;
+
+  if (profiles.length > 0) {
+    samples = await analyticsStore.getStudentSamples(profiles.map(p => p.studentId));
+  } else {
+    const courseSessions = await sessionStore.listSessions({ course });
+    const courseChannels = await Promise.all(courseSessions.map(s => analyticsStore.getSamples(s.channelName)));
+    const studentNames = new Map();
+    courseChannels.flat().forEach(sample => {
+      if (!studentNames.has(String(sample.studentId))) studentNames.set(String(sample.studentId), sample.studentName);
+    });
+    profiles = Array.from(studentNames.entries()).map(([studentId, name]) => ({
+      studentId,
+      name: name || `Student ${studentId}`,
+      email: null,
+      rollNumber: null,
+      course
+    }));
+    samples = profiles.length > 0 ? await analyticsStore.getStudentSamples(profiles.map(p => p.studentId)) : [];
+  }
+
+  const sessions = await loadSessions(samples, [course]);
+  const students = profiles.map(profile => {
+    const entries = buildSessionEntries(
+      samples.filter(sample => String(sample.studentId) === profile.studentId),
+      sessions,
+      scoring,
+      course
+    );
+    return { student: profile, summary: summarize(entries), sessions: entries };
+  });
+
+  students.sort((a, b) =>
+    (a.summary.averageEngagementScore ?? Infinity) - (b.summary.averageEngagementScore ?? Infinity)
+  );
+
+  const averages = students.map(s => s.summary.averageEngagementScore).filter(score => score !== null);
+  return {
+    course,
+    students,
+    summary: {
+      students: students.length,
+      sessions: sessions.filter(session => session.course === course && session.status !== 'scheduled').length,
+      averageEngagementScore: averages.length > 0 ? roundTo(averages.reduce((sum, s) => sum + s, 0) / averages.length) : null,
+      declining: students.filter(s => s.summary.trend.direction === 'declining').map(s => s.student.studentId)
+    }
+  };
+}
+
+module.exports = {
+  computeTrend,
+  getStudentHistory,
+  getCourseHistory
+};
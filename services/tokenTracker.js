@@ -0,0 +1,138 @@
+/**
+ * Token Tracker
+ * Remembers which Agora RTC tokens were issued for which channel/UID and
+ * warns the matching socket shortly before its token expires, so clients
+ * can renew over the socket instead of reloading mid-lecture.
+ *
+ * Issued tokens are kept in shared storage, since a token may be issued over
+ * REST by one gateway instance and used by a socket on another. Each
+ * instance times the warnings for its own sockets and checks storage again
+ * when one is due, in case the token was renewed elsewhere meanwhile.
+ */
+
+const { getStorage } = require('./storage');
+
+// How long before expiry to send token:willExpire (seconds)
+const RENEW_BEFORE_SECONDS = parseInt(process.env.AGORA_TOKEN_RENEW_BEFORE_SECONDS, 10) || 120;
+
+// Hash of `${channelName}:${uid}` -> { role, expiresAt }
+const ISSUED_KEY = 'tokens:issued';
+
+// socketId -> { socketId, key, channelName, uid, role, notify, timer }
+const trackedSockets = new Map();
+
+function keyFor(channelName, uid) {
+  return `${channelName}:${uid}`;
+}
+
+// (Re)schedule the expiry warning for a tracked socket
+async function schedule(entry) {
+  const issued = await getStorage().hget(ISSUED_KEY, entry.key);
+  clearTimeout(entry.timer);
+  entry.timer = null;
+
+  if (!issued || trackedSockets.get(entry.socketId) !== entry) {
+    return;
+  }
+
+  const delay = Math.max(0, issued.expiresAt - RENEW_BEFORE_SECONDS * 1000 - Date.now());
+  entry.timer = setTimeout(() => {
+    entry.timer = null;
+    warn(entry, issued).catch(err => {
+      console.warn(`⚠️  Could not check Agora token for uid ${entry.uid}:`, err.message);
+    });
+  }, delay);
+  entry.timer.unref();
+}
+
+// Send the warning, unless the token was renewed on another instance
+async function warn(entry, scheduled) {
+  const issued = await getStorage().hget(ISSUED_KEY, entry.key);
+  if (trackedSockets.get(entry.socketId) !== entry) return;
+  if (issued && issued.expiresAt > scheduled.expiresAt) {
+    await schedule(entry);
+    return;
+  }
+
+  const expiresAt = (issued || scheduled).expiresAt;
+  entry.notify({
+    channelName: entry.channelName,
+    uid: entry.uid,
+    expiresAt,
+    secondsLeft: Math.max(0, Math.round((expiresAt - Date.now()) / 1000))
+  });
+}
+
+/**
+ * Record a freshly issued token and reschedule any socket using it
+ */
+async function recordIssued(channelName, uid, { role, expiresAt }) {
+  const storage = getStorage();
+  const now = Date.now();
+  const issuedTokens = await storage.hgetall(ISSUED_KEY);
+  await Promise.all(Object.entries(issuedTokens)
+    .filter(([, issued]) => issued.expiresAt < now)
+    .map(([key]) => storage.hdel(ISSUED_KEY, key)));
+
+  const key = keyFor(channelName, uid);
+  await storage.hset(ISSUED_KEY, key, { role, expiresAt });
+
+  await Promise.all(Array.from(trackedSockets.values())
+    .filter(entry => entry.key === key)
+    .map(schedule));
+}
+
+/**
+ * Start tracking the token a socket uses for a channel
+ * notify(payload) is called when the token is about to expire
+ */
+async function trackSocket(socketId, { channelName, uid, role }, notify) {
+  untrackSocket(socketId);
+
+  const entry = {
+    socketId,
+    key: keyFor(channelName, uid),
+    channelName,
+    uid,
+    role,
+    notify,
+    timer: null
+  };
+  trackedSockets.set(socketId, entry);
+  await schedule(entry);
+}
+
+/**
+ * Stop tracking a socket (leave / disconnect)
+ */
+function untrackSocket(socketId) {
+  const entry = trackedSockets.get(socketId);
+  if (entry) {
+    clearTimeout(entry.timer);
+    trackedSockets.delete(socketId);
+  }
+}
+
+/**
+ * Get the channel/UID/role a socket is tracked for, plus what was last issued
+ */
+async function getTracked(socketId) {
+  const entry = trackedSockets.get(socketId);
+  if (!entry) {
+    return null;
+  }
+  return {
+    channelName: entry.channelName,
+    uid: entry.uid,
+    role: entry.role,
+    issued: await getStorage().hget(ISSUED_KEY, entry.key)
+  };
+}
+
+module.exports = {
+  RENEW_BEFORE_SECONDS,
+  recordIssued,
+  trackSocket,
+  untrackSocket,
+  getTracked
+};
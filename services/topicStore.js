@@ -0,0 +1,272 @@
+/**
+ * Topic Store
+ * Named spans of a lecture, used to break reports down by topic. Topics can
+ * hold one level of subtopics. Starting a topic closes whatever was running
+ * at the same level, and topics can be renamed, re-timed or deleted after
+ * the fact. Persisted to MongoDB when connected, otherwise kept in shared
+ * storage (memory or Redis, see services/storage).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { TopicSegment } = require('../models/Analytics');
+
+const MAX_TOPIC_NAME_LENGTH = 200;
+
+// Fallback: hash `topics:<channelName>` of
+// topicId -> { topicId, parentId, agendaItemId, topicName, startTime, endTime }
+const topicsKey = channelName => `topics:${channelName}`;
+
+// Convert stored documents to the plain shape the API returns
+function toTopic(doc) {
+  return {
+    topicId: doc.topicId || String(doc._id),
+    parentId: doc.parentId || null,
+    agendaItemId: doc.agendaItemId || null,
+    topicName: doc.topicName,
+    startTime: new Date(doc.startTime).getTime(),
+    endTime: doc.endTime ? new Date(doc.endTime).getTime() : null
+  };
+}
+
+// Match a topic by topicId, or by _id for segments saved before topicIds existed
+function topicQuery(channelName, topicId) {
+  if (mongoose.isValidObjectId(topicId)) {
+    return { channelName, $or: [{ topicId }, { _id: topicId }] };
+  }
+  return { channelName, topicId };
+}
+
+/**
+ * Check a topic name; returns the trimmed name or null if it isn't usable
+ */
+function cleanTopicName(topicName) {
+  if (typeof topicName !== 'string') return null;
+  const name = topicName.trim();
+  return name.length > 0 && name.length <= MAX_TOPIC_NAME_LENGTH ? name : null;
+}
+
+// A fresh copy of the channel's topics in start order
+async function loadTopics(channelName) {
+  if (isDatabaseReady()) {
+    const docs = await TopicSegment.find({ channelName }).sort({ startTime: 1 }).lean();
+    return docs.map(toTopic);
+  }
+  const stored = await getStorage().hgetall(topicsKey(channelName));
+  return Object.values(stored).sort((a, b) => a.startTime - b.startTime);
+}
+
+// Write new or changed topics
+async function saveTopics(channelName, topics) {
+  if (isDatabaseReady()) {
+    await Promise.all(topics.map(topic => TopicSegment.findOneAndUpdate(
+      topicQuery(channelName, topic.topicId),
+      {
+        topicId: topic.topicId,
+        parentId: topic.parentId,
+        agendaItemId: topic.agendaItemId,
+        topicName: topic.topicName,
+        startTime: new Date(topic.startTime),
+        endTime: topic.endTime ? new Date(topic.endTime) : null
+      },
+      { upsert: true }
+    )));
+    return;
+  }
+
+  const storage = getStorage();
+  await Promise.all(topics.map(topic => storage.hset(topicsKey(channelName), topic.topicId, topic)));
+}
+
+// End a topic (and any open subtopics) at `at`; returns every topic it closed
+function closeTopic(topics, topic, at) {
+  const closed = topics.filter(t => t.parentId === topic.topicId && !t.endTime);
+  closed.push(topic);
+  closed.forEach(t => { t.endTime = Math.max(at, t.startTime); });
+  return closed;
+}
+
+/**
+ * Start a topic (or a subtopic when parentId is given)
+ * Whatever is running at the same level is closed first
+ * agendaItemId links the topic to the session agenda item it covers
+ * Returns { topic, closed } or { error }
+ */
+async function startTopic(channelName, { topicName, parentId = null, agendaItemId = null }, at = Date.now()) {
+  const name = cleanTopicName(topicName);
+  if (!name) {
+    return { error: `Topic name must be 1-${MAX_TOPIC_NAME_LENGTH} characters` };
+  }
+
+  const topics = await loadTopics(channelName);
+  if (parentId) {
+    const parent = topics.find(t => t.topicId === parentId);
+    if (!parent) return { error: 'Parent topic not found' };
+    if (parent.parentId) return { error: 'Subtopics cannot have subtopics' };
+    if (parent.endTime) return { error: 'Parent topic has already ended' };
+  }
+
+  const closed = topics
+    .filter(t => t.parentId === (parentId || null) && !t.endTime)
+    .flatMap(t => closeTopic(topics, t, at));
+
+  const topic = {
+    topicId: crypto.randomUUID(),
+    parentId: parentId || null,
+    agendaItemId: agendaItemId || null,
+    topicName: name,
+    startTime: at,
+    endTime: null
+  };
+
+  await saveTopics(channelName, [...closed, topic]);
+  return { topic, closed };
+}
+
+/**
+ * End a topic by ID, or the running top-level topic when topicId is omitted
+ * Its open subtopics end with it
+ * Returns { topic, closed } (topic is null if nothing was running) or { error }
+ */
+async function endTopic(channelName, topicId = null, at = Date.now()) {
+  const topics = await loadTopics(channelName);
+  const topic = topicId
+    ? topics.find(t => t.topicId === topicId)
+    : [...topics].reverse().find(t => !t.parentId && !t.endTime);
+
+  if (!topic) {
+    return topicId ? { error: 'Topic not found' } : { topic: null, closed: [] };
+  }
+  if (topic.endTime) {
+    return { error: 'Topic has already ended' };
+  }
+
+  const closed = closeTopic(topics, topic, at);
+  await saveTopics(channelName, closed);
+  return { topic, closed };
+}
+
+/**
+ * End everything still running (the session ended)
+ */
+async function endAllTopics(channelName, at = Date.now()) {
+  const topics = await loadTopics(channelName);
+  const closed = topics.filter(t => !t.endTime);
+  closed.forEach(t => { t.endTime = Math.max(at, t.startTime); });
+  if (closed.length > 0) {
+    await saveTopics(channelName, closed);
+  }
+  return closed;
+}
+
+/**
+ * Rename a topic or adjust its times after the fact
+ * changes: { topicName, startTime, endTime } (endTime null reopens it)
+ * Topics at the same level may not overlap, and subtopics must stay
+ * inside their parent
+ * Returns { topic } or { error }
+ */
+async function updateTopic(channelName, topicId, changes, now = Date.now()) {
+  const topics = await loadTopics(channelName);
+  const topic = topics.find(t => t.topicId === topicId);
+  if (!topic) return { error: 'Topic not found' };
+
+  const updated = { ...topic };
+  if (changes.topicName !== undefined) {
+    updated.topicName = cleanTopicName(changes.topicName);
+    if (!updated.topicName) {
+      return { error: `Topic name must be 1-${MAX_TOPIC_NAME_LENGTH} characters` };
+    }
+  }
+  if (changes.startTime !== undefined) updated.startTime = changes.startTime;
+  if (changes.endTime !== undefined) updated.endTime = changes.endTime;
+
+  if (updated.startTime > now) {
+    return { error: 'Topics cannot start in the future' };
+  }
+  if (updated.endTime !== null && updated.endTime < updated.startTime) {
+    return { error: 'endTime must be after startTime' };
+  }
+
+  const endOf = t => (t.endTime === null ? Infinity : t.endTime);
+  const sibling = topics.find(t =>
+    t.topicId !== topicId &&
+    t.parentId === updated.parentId &&
+    updated.startTime < endOf(t) &&
+    endOf(updated) > t.startTime
+  );
+  if (sibling) {
+    return { error: `Topic would overlap "${sibling.topicName}"` };
+  }
+
+  if (updated.parentId) {
+    const parent = topics.find(t => t.topicId === updated.parentId);
+    if (parent && (updated.startTime < parent.startTime || endOf(updated) > endOf(parent))) {
+      return { error: `Subtopic must stay within "${parent.topicName}"` };
+    }
+  }
+  const strayChild = topics.find(t =>
+    t.parentId === topicId && (t.startTime < updated.startTime || endOf(t) > endOf(updated))
+  );
+  if (strayChild) {
+    return { error: `Subtopic "${strayChild.topicName}" would fall outside this topic` };
+  }
+
+  Object.assign(topic, updated);
+  await saveTopics(channelName, [topic]);
+  return { topic };
+}
+
+/**
+ * Delete a topic together with its subtopics
+ * Returns { deleted: [topic] } or { error }
+ */
+async function deleteTopic(channelName, topicId) {
+  const topics = await loadTopics(channelName);
+  const topic = topics.find(t => t.topicId === topicId);
+  if (!topic) return { error: 'Topic not found' };
+
+  const deleted = topics.filter(t => t.topicId === topicId || t.parentId === topicId);
+
+  if (isDatabaseReady()) {
+    await Promise.all(deleted.map(t => TopicSegment.deleteOne(topicQuery(channelName, t.topicId))));
+  } else {
+    const storage = getStorage();
+    await Promise.all(deleted.map(t => storage.hdel(topicsKey(channelName), t.topicId)));
+  }
+  return { deleted };
+}
+
+/**
+ * Get all topics for a channel in the order they were started
+ * Subtopics are listed alongside their parents (see parentId)
+ */
+async function getTopics(channelName) {
+  return loadTopics(channelName);
+}
+
+/**
+ * What is running now: { topic, subtopic } (either may be null)
+ */
+async function getCurrentTopics(channelName) {
+  const topics = await getTopics(channelName);
+  const topic = [...topics].reverse().find(t => !t.parentId && !t.endTime) || null;
+  const subtopic = topic
+    ? [...topics].reverse().find(t => t.parentId === topic.topicId && !t.endTime) || null
+    : null;
+  return { topic, subtopic };
+}
+
+module.exports = {
+  MAX_TOPIC_NAME_LENGTH,
+  cleanTopicName,
+  startTopic,
+  endTopic,
+  endAllTopics,
+  updateTopic,
+  deleteTopic,
+  getTopics,
+  getCurrentTopics
+};
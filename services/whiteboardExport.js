@@ -0,0 +1,164 @@
+/**
+ * Whiteboard Export
+ * Renders whiteboard snapshots (see whiteboardStore.getSnapshot) to SVG or
+ * PDF on the server, so teachers can hand out board notes after class.
+ *
+ * Strokes are stored as sent by clients, so a few shapes are understood:
+ * - line segments: { x0, y0, x1, y1 }
+ * - polylines:     { points: [{ x, y }] } or { points: [[x, y]] }
+ * Style comes from color/strokeColor and lineWidth/width/size; eraser
+ * strokes (tool: 'eraser') are drawn in the background color. Coordinates
+ * that all fall within 0..1 are treated as fractions of the page size.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const DEFAULT_WIDTH = 1280;
+const DEFAULT_HEIGHT = 720;
+const BACKGROUND = '#ffffff';
+const PAGE_GAP = 40;
+
+// Boards saved before strokes were checked may hold any number; anything
+// past these is drawn at the limit (PDF can't hold huge numbers)
+const MAX_COORDINATE = 100000;
+const MAX_LINE_WIDTH = 200;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// null for anything that isn't an [x, y] pair or { x, y } object
+function toPoint(p) {
+  if (Array.isArray(p)) return { x: Number(p[0]), y: Number(p[1]) };
+  if (p && typeof p === 'object') return { x: Number(p.x), y: Number(p.y) };
+  return null;
+}
+
+// Pull the polyline(s) out of one stored stroke segment
+function segmentPoints(segment) {
+  if (Array.isArray(segment.points) && segment.points.length > 0) {
+    return segment.points.map(toPoint).filter(Boolean);
+  }
+  if ([segment.x0, segment.y0, segment.x1, segment.y1].every(v => typeof v === 'number')) {
+    return [{ x: segment.x0, y: segment.y0 }, { x: segment.x1, y: segment.y1 }];
+  }
+  return [];
+}
+
+/**
+ * Turn a board's pages into drawable paths:
+ * [[{ points: [{ x, y }], color, width }]] in page pixels
+ */
+function buildPaths(snapshot, { width, height }) {
+  const pages = snapshot.pages.map(page =>
+    page.strokes
+      .map(segment => ({
+        points: segmentPoints(segment)
+          .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+          .map(p => ({ x: clamp(p.x, -MAX_COORDINATE, MAX_COORDINATE), y: clamp(p.y, -MAX_COORDINATE, MAX_COORDINATE) })),
+        color: segment.tool === 'eraser' ? BACKGROUND : (segment.color || segment.strokeColor || '#000000'),
+        width: clamp(Number(segment.lineWidth || segment.width || segment.size) || 2, 0.1, MAX_LINE_WIDTH)
+      }))
+      .filter(path => path.points.length > 0)
+  );
+
+  // Normalized coordinates (0..1) are scaled up to the page size
+  let maxCoordinate = 0;
+  pages.forEach(paths => paths.forEach(path => path.points.forEach(p => {
+    maxCoordinate = Math.max(maxCoordinate, Math.abs(p.x), Math.abs(p.y));
+  })));
+  if (maxCoordinate > 0 && maxCoordinate <= 1) {
+    pages.forEach(paths => paths.forEach(path => {
+      path.points = path.points.map(p => ({ x: p.x * width, y: p.y * height }));
+    }));
+  }
+
+  return pages;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Render every page into one SVG document, stacked top to bottom
+ */
+function renderSvg(snapshot, { width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT } = {}) {
+  const pages = buildPaths(snapshot, { width, height });
+  const totalHeight = pages.length * height + (pages.length - 1) * PAGE_GAP;
+
+  const body = pages.map((paths, index) => {
+    const top = index * (height + PAGE_GAP);
+    const strokes = paths.map(path => {
+      const [first, ...rest] = path.points;
+      const d = `M${round(first.x)} ${round(first.y)}` +
+        (rest.length > 0 ? rest.map(p => ` L${round(p.x)} ${round(p.y)}`).join('') : ' l0 0');
+      return `    <path d="${d}" stroke="${escapeAttribute(path.color)}" stroke-width="${round(path.width)}"/>`;
+    }).join('\n');
+
+    return [
+      `  <g id="page-${index + 1}" transform="translate(0 ${top})">`,
+      `    <rect width="${width}" height="${height}" fill="${BACKGROUND}" stroke="#cccccc"/>`,
+      strokes,
+      '  </g>'
+    ].filter(Boolean).join('\n');
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}">`,
+    `  <title>${escapeAttribute(snapshot.channelName)} whiteboard</title>`,
+    '  <style>path { fill: none; stroke-linecap: round; stroke-linejoin: round; }</style>',
+    body,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render every page as one PDF page
+ * Resolves with the PDF as a Buffer
+ */
+function renderPdf(snapshot, { width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT } = {}) {
+  const pages = buildPaths(snapshot, { width, height });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [width, height], margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.info.Title = `${snapshot.channelName} whiteboard`;
+
+    pages.forEach((paths, index) => {
+      doc.addPage({ size: [width, height], margin: 0 });
+      doc.rect(0, 0, width, height).fill(BACKGROUND);
+      doc.lineCap('round').lineJoin('round');
+
+      paths.forEach(path => {
+        const [first, ...rest] = path.points;
+        doc.moveTo(first.x, first.y);
+        if (rest.length === 0) {
+          doc.lineTo(first.x + 0.01, first.y);
+        }
+        rest.forEach(p => doc.lineTo(p.x, p.y));
+        doc.lineWidth(path.width).strokeColor(path.color).stroke();
+      });
+
+      doc.fontSize(10).fillColor('#999999')
+        .text(`Page ${index + 1} of ${pages.length}`, 0, height - 20, { width: width - 12, align: 'right' });
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  DEFAULT_WIDTH,
+  DEFAULT_HEIGHT,
+  renderSvg,
+  renderPdf
+};
@@ -0,0 +1,416 @@
+/**
+ * Whiteboard Store
+ * Keeps the authoritative page list and stroke history for each channel's
+ * whiteboard so late joiners can be brought up to date. Boards live in
+ * shared storage (Redis when configured) while in use, so every gateway
+ * instance draws on the same board, and are saved to MongoDB (when
+ * connected) shortly after each change, so they survive restarts and can be
+ * fetched after class.
+ *
+ * Every stored stroke segment carries a strokeId and authorId; segments that
+ * share a strokeId form one stroke, which is the unit of undo/redo/removal.
+ * Pen grants and redo stacks only matter during class and are not persisted.
+ */
+
+const { isDatabaseReady } = require('./database');
+const { getStorage } = require('./storage');
+const { Whiteboard } = require('../models/Whiteboard');
+
+// Delay before a changed board is written to the database
+const SAVE_DELAY_MS = parseInt(process.env.WHITEBOARD_SAVE_DELAY_MS, 10) || 2000;
+
+// Safety cap so a runaway client can't grow a page without bound
+const MAX_STROKES_PER_PAGE = parseInt(process.env.WHITEBOARD_MAX_STROKES_PER_PAGE, 10) || 10000;
+const MAX_POINTS_PER_SEGMENT = 1000;
+const MAX_PAGES = parseInt(process.env.WHITEBOARD_MAX_PAGES, 10) || 100;
+
+// What a stored segment keeps of what the client sent; strings longer than
+// MAX_FIELD_LENGTH are dropped
+const STROKE_FIELDS = ['strokeId', 'x0', 'y0', 'x1', 'y1', 'points', 'color', 'strokeColor', 'lineWidth', 'width', 'size', 'tool'];
+const MAX_FIELD_LENGTH = 100;
+
+// Storage keys for a channel's board:
+//   meta    hash { pageCount, currentPage, updatedAt }
+//   page:N  hash of seq -> segment; seq comes from the `seq` counter, so
+//           segments appended on different instances keep their drawing order
+//   pens    set of studentIds holding the pen
+//   redo    hash of authorId -> [{ pageIndex, strokeId, segments }]
+const boardKey = (channelName, part) => `whiteboard:${channelName}:${part}`;
+const pageKey = (channelName, index) => boardKey(channelName, `page:${index}`);
+
+// Boards this instance has changed and will save: channelName -> timer
+const saveTimers = new Map();
+
+// Loads from the database in progress on this instance: channelName -> Promise
+const loading = new Map();
+
+/**
+ * Copy a saved board from the database into storage the first time the
+ * channel is used; if several instances load it at once, the first to
+ * claim the meta hash writes the pages
+ */
+async function loadBoard(channelName) {
+  let pages = [[]];
+  let currentPage = 0;
+  let updatedAt = null;
+
+  if (isDatabaseReady()) {
+    const doc = await Whiteboard.findOne({ channelName }).lean();
+    if (doc) {
+      pages = doc.pages.length > 0 ? doc.pages.map(p => p.strokes || []) : [[]];
+      currentPage = doc.currentPage || 0;
+      updatedAt = new Date(doc.updatedAt).getTime();
+    }
+  }
+
+  const storage = getStorage();
+  if (!(await storage.hsetnx(boardKey(channelName, 'meta'), 'pageCount', pages.length))) return;
+
+  for (const [index, strokes] of pages.entries()) {
+    for (const segment of strokes) {
+      await appendSegment(channelName, index, segment);
+    }
+  }
+  await storage.hmset(boardKey(channelName, 'meta'), { currentPage, updatedAt });
+}
+
+/**
+ * Page count, current page and last change of a channel's board, loading
+ * it from the database if no instance has used it yet
+ */
+async function getMeta(channelName) {
+  const meta = await getStorage().hgetall(boardKey(channelName, 'meta'));
+  if (meta.pageCount !== undefined) {
+    return { pageCount: meta.pageCount, currentPage: meta.currentPage || 0, updatedAt: meta.updatedAt || null };
+  }
+
+  if (!loading.has(channelName)) {
+    loading.set(channelName, loadBoard(channelName)
+      .catch(err => {
+        console.warn(`⚠️  Could not load whiteboard for ${channelName}:`, err.message);
+        return getStorage().hsetnx(boardKey(channelName, 'meta'), 'pageCount', 1);
+      })
+      .finally(() => loading.delete(channelName)));
+  }
+  await loading.get(channelName);
+  return getMeta(channelName);
+}
+
+async function appendSegment(channelName, index, segment) {
+  const seq = await getStorage().incr(boardKey(channelName, 'seq'));
+  await getStorage().hset(pageKey(channelName, index), String(seq), segment);
+}
+
+// A page's segments in drawing order, as [seq, segment]
+async function readPage(channelName, index) {
+  const stored = await getStorage().hgetall(pageKey(channelName, index));
+  return Object.entries(stored).sort(([a], [b]) => Number(a) - Number(b));
+}
+
+// Take every segment matching `predicate` off a page, grouped by strokeId
+async function takeStrokes(channelName, index, predicate) {
+  const removed = new Map(); // strokeId -> [segments]
+  const taken = (await readPage(channelName, index)).filter(([, segment]) => predicate(segment));
+  await Promise.all(taken.map(([seq]) => getStorage().hdel(pageKey(channelName, index), seq)));
+  taken.forEach(([, segment]) => {
+    if (!removed.has(segment.strokeId)) removed.set(segment.strokeId, []);
+    removed.get(segment.strokeId).push(segment);
+  });
+  return removed;
+}
+
+async function saveBoard(channelName) {
+  clearTimeout(saveTimers.get(channelName));
+  saveTimers.delete(channelName);
+  if (!isDatabaseReady()) return;
+
+  const { pages, currentPage } = await getSnapshot(channelName);
+  await Whiteboard.findOneAndUpdate(
+    { channelName },
+    { pages, currentPage },
+    { upsert: true }
+  );
+}
+
+// Mark a board changed and schedule a save
+async function touch(channelName) {
+  await getStorage().hset(boardKey(channelName, 'meta'), 'updatedAt', Date.now());
+  if (saveTimers.has(channelName) || !isDatabaseReady()) return;
+
+  const timer = setTimeout(() => {
+    saveBoard(channelName).catch(err => {
+      console.warn(`⚠️  Could not save whiteboard for ${channelName}:`, err.message);
+    });
+  }, SAVE_DELAY_MS);
+  timer.unref();
+  saveTimers.set(channelName, timer);
+}
+
+// Bounds on numbers a stroke may carry (PDF export can't draw huge ones)
+const MAX_COORDINATE = 100000;
+const MAX_LINE_WIDTH = 200;
+const WIDTH_FIELDS = ['lineWidth', 'width', 'size'];
+
+const isCoordinate = value => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+const isLineWidth = value => value === undefined || (typeof value === 'number' && value > 0 && value <= MAX_LINE_WIDTH);
+
+/**
+ * True if a segment has a shape the board can show and export: a line
+ * ({ x0, y0, x1, y1 }) or a polyline ({ points: [{ x, y }] or [[x, y]] })
+ * with coordinates within ±MAX_COORDINATE, line widths up to MAX_LINE_WIDTH,
+ * and a string strokeId if it names one
+ */
+function isValidStroke(stroke) {
+  if (!stroke || typeof stroke !== 'object') return false;
+  if (!WIDTH_FIELDS.every(field => isLineWidth(stroke[field]))) return false;
+  if (stroke.strokeId !== undefined && (typeof stroke.strokeId !== 'string' || stroke.strokeId.length === 0)) {
+    return false;
+  }
+  if (Array.isArray(stroke.points)) {
+    return stroke.points.length > 0 && stroke.points.length <= MAX_POINTS_PER_SEGMENT &&
+      stroke.points.every(p => (Array.isArray(p)
+        ? isCoordinate(p[0]) && isCoordinate(p[1])
+        : Boolean(p) && typeof p === 'object' && isCoordinate(p.x) && isCoordinate(p.y)));
+  }
+  return [stroke.x0, stroke.y0, stroke.x1, stroke.y1].every(isCoordinate);
+}
+
+/**
+ * The drawing fields of a segment (see STROKE_FIELDS), with points reduced
+ * to their coordinates; everything else a client attaches is left out
+ */
+function strokeFields(stroke) {
+  const fields = {};
+  STROKE_FIELDS.forEach(field => {
+    const value = stroke[field];
+    if (typeof value === 'number' || (typeof value === 'string' && value.length <= MAX_FIELD_LENGTH)) {
+      fields[field] = value;
+    }
+  });
+  if (Array.isArray(stroke.points)) {
+    fields.points = stroke.points.map(p => (Array.isArray(p) ? [p[0], p[1]] : { x: p.x, y: p.y }));
+  }
+  return fields;
+}
+
+function resolvePage(meta, pageIndex) {
+  const index = Number.isInteger(pageIndex) ? pageIndex : meta.currentPage;
+  return index >= 0 && index < meta.pageCount ? index : null;
+}
+
+/**
+ * Append a stroke segment ({ strokeId, authorId, timestamp, ... }) to a page
+ * (the current page unless pageIndex is given), keeping only its drawing
+ * fields. Drawing something new discards the author's redo history.
+ * Returns false if the stroke isn't valid (see isValidStroke) or the page
+ * doesn't exist or is full
+ */
+async function addStroke(channelName, stroke, pageIndex) {
+  if (!isValidStroke(stroke)) return false;
+  const meta = await getMeta(channelName);
+  const index = resolvePage(meta, pageIndex);
+  if (index === null || await getStorage().hlen(pageKey(channelName, index)) >= MAX_STROKES_PER_PAGE) {
+    return false;
+  }
+  await appendSegment(channelName, index, { ...strokeFields(stroke), authorId: stroke.authorId, timestamp: stroke.timestamp });
+  await getStorage().hdel(boardKey(channelName, 'redo'), String(stroke.authorId));
+  await touch(channelName);
+  return true;
+}
+
+/**
+ * Undo the author's most recent stroke on a page
+ * Returns { pageIndex, strokeId } or null if there is nothing to undo
+ */
+async function undo(channelName, authorId, pageIndex) {
+  const meta = await getMeta(channelName);
+  const index = resolvePage(meta, pageIndex);
+  if (index === null) return null;
+
+  const last = (await readPage(channelName, index))
+    .map(([, segment]) => segment)
+    .reverse()
+    .find(segment => segment.authorId === authorId);
+  if (!last) return null;
+
+  const segments = (await takeStrokes(channelName, index, segment => segment.strokeId === last.strokeId)).get(last.strokeId);
+  if (!segments) return null; // undone on another instance meanwhile
+
+  // Only the author's own undo/redo touches their stack
+  const redoKey = boardKey(channelName, 'redo');
+  const stack = (await getStorage().hget(redoKey, String(authorId))) || [];
+  stack.push({ pageIndex: index, strokeId: last.strokeId, segments });
+  await getStorage().hset(redoKey, String(authorId), stack);
+
+  await touch(channelName);
+  return { pageIndex: index, strokeId: last.strokeId };
+}
+
+/**
+ * Redo the author's most recently undone stroke
+ * Returns { pageIndex, strokeId, segments } or null if there is nothing to redo
+ */
+async function redo(channelName, authorId) {
+  const meta = await getMeta(channelName);
+  const redoKey = boardKey(channelName, 'redo');
+  const stack = await getStorage().hget(redoKey, String(authorId));
+  if (!stack || stack.length === 0) return null;
+
+  const entry = stack.pop();
+  await getStorage().hset(redoKey, String(authorId), stack);
+  if (resolvePage(meta, entry.pageIndex) === null) return null;
+
+  for (const segment of entry.segments) {
+    await appendSegment(channelName, entry.pageIndex, segment);
+  }
+  await touch(channelName);
+  return entry;
+}
+
+/**
+ * Remove strokes by strokeId and/or everything drawn by authorId
+ * (a teacher cleaning up a stray scribble without clearing the page)
+ * Returns [{ pageIndex, strokeId }] for what was removed
+ */
+async function removeStrokes(channelName, { strokeId, authorId }, pageIndex) {
+  if (!strokeId && !authorId) return [];
+
+  const meta = await getMeta(channelName);
+  const indexes = Number.isInteger(pageIndex) ? [pageIndex] : Array.from({ length: meta.pageCount }, (_, i) => i);
+  const removed = [];
+
+  for (const i of indexes.filter(index => resolvePage(meta, index) !== null)) {
+    const taken = await takeStrokes(channelName, i, segment =>
+      (!strokeId || segment.strokeId === strokeId) &&
+      (!authorId || segment.authorId === authorId)
+    );
+    taken.forEach((_, id) => removed.push({ pageIndex: i, strokeId: id }));
+  }
+
+  if (removed.length > 0) {
+    await touch(channelName);
+  }
+  return removed;
+}
+
+/**
+ * Remove all strokes from a page (the current page unless pageIndex is given)
+ */
+async function clearPage(channelName, pageIndex) {
+  const meta = await getMeta(channelName);
+  const index = resolvePage(meta, pageIndex);
+  if (index === null) return false;
+  await getStorage().del(pageKey(channelName, index));
+
+  // Strokes from a cleared page can't come back
+  const redoKey = boardKey(channelName, 'redo');
+  const stacks = await getStorage().hgetall(redoKey);
+  await Promise.all(Object.entries(stacks).map(([authorId, stack]) =>
+    getStorage().hset(redoKey, authorId, stack.filter(entry => entry.pageIndex !== index))
+  ));
+  await touch(channelName);
+  return true;
+}
+
+/**
+ * Give or take away a student's right to use the whiteboard
+ * Returns the list of students currently holding the pen
+ */
+async function setPen(channelName, studentId, canDraw) {
+  const pensKey = boardKey(channelName, 'pens');
+  if (canDraw) {
+    await getStorage().sadd(pensKey, studentId);
+  } else {
+    await getStorage().srem(pensKey, studentId);
+  }
+  return getStorage().smembers(pensKey);
+}
+
+/**
+ * True if a student has been granted the pen
+ */
+async function hasPen(channelName, studentId) {
+  return (await getStorage().smembers(boardKey(channelName, 'pens'))).includes(String(studentId));
+}
+
+/**
+ * Add a blank page at the end and make it current
+ * A client that says which index the new page gets must be up to date
+ * (pageIndex equal to the page count)
+ * Returns the new page's index, or null if the board is full or the
+ * client's pageIndex is stale
+ */
+async function addPage(channelName, pageIndex) {
+  const meta = await getMeta(channelName);
+  const target = meta.pageCount;
+  if (target >= MAX_PAGES || (pageIndex !== undefined && pageIndex !== null && pageIndex !== target)) {
+    return null;
+  }
+  await getStorage().hmset(boardKey(channelName, 'meta'), { pageCount: target + 1, currentPage: target });
+  await touch(channelName);
+  return target;
+}
+
+/**
+ * Switch the current page
+ */
+async function setCurrentPage(channelName, pageIndex) {
+  const meta = await getMeta(channelName);
+  if (resolvePage(meta, pageIndex) === null) return false;
+  await getStorage().hset(boardKey(channelName, 'meta'), 'currentPage', pageIndex);
+  await touch(channelName);
+  return true;
+}
+
+/**
+ * Plain snapshot of a board for syncing clients or the REST API
+ */
+async function getSnapshot(channelName) {
+  const meta = await getMeta(channelName);
+  const pages = await Promise.all(Array.from({ length: meta.pageCount }, async (_, index) => ({
+    strokes: (await readPage(channelName, index)).map(([, segment]) => segment)
+  })));
+  return {
+    channelName,
+    pages,
+    currentPage: meta.currentPage,
+    penHolders: await getStorage().smembers(boardKey(channelName, 'pens')),
+    updatedAt: meta.updatedAt
+  };
+}
+
+/**
+ * Write a board to the database now (end of class, shutdown)
+ */
+async function flush(channelName) {
+  const meta = await getStorage().hgetall(boardKey(channelName, 'meta'));
+  if (meta.pageCount === undefined) return;
+  await saveBoard(channelName);
+}
+
+/**
+ * Write every board this instance has pending changes for to the database
+ */
+async function flushAll() {
+  await Promise.allSettled(Array.from(saveTimers.keys()).map(saveBoard));
+}
+
+module.exports = {
+  MAX_PAGES,
+  MAX_COORDINATE,
+  MAX_LINE_WIDTH,
+  isValidStroke,
+  strokeFields,
+  addStroke,
+  undo,
+  redo,
+  removeStrokes,
+  clearPage,
+  setPen,
+  hasPen,
+  addPage,
+  setCurrentPage,
+  getSnapshot,
+  flush,
+  flushAll
+};
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAgenda, createAgendaRunner, MAX_AGENDA_ITEMS, MAX_PLANNED_MINUTES } = require('../services/agendaRunner');
+const { compareAgenda } = require('../services/reportBuilder');
+const sessionStore = require('../services/sessionStore');
+const topicStore = require('../services/topicStore');
+
+const MINUTE = 60000;
+
+test('normalizeAgenda keeps given item IDs and generates missing ones', () => {
+  const { agenda, error } = normalizeAgenda([
+    { itemId: 'intro', topicName: '  Intro ', plannedMinutes: 5 },
+    { topicName: 'Recursion', plannedMinutes: '20' }
+  ]);
+
+  assert.equal(error, undefined);
+  assert.equal(agenda.length, 2);
+  assert.deepEqual(agenda[0], { itemId: 'intro', topicName: 'Intro', plannedMinutes: 5 });
+  assert.equal(agenda[1].topicName, 'Recursion');
+  assert.equal(agenda[1].plannedMinutes, 20);
+  assert.equal(typeof agenda[1].itemId, 'string');
+  assert.notEqual(agenda[1].itemId, '');
+});
+
+test('normalizeAgenda rejects anything that is not a short enough list', () => {
+  assert.ok(normalizeAgenda(null).error);
+  assert.ok(normalizeAgenda({ topicName: 'Intro', plannedMinutes: 5 }).error);
+
+  const tooMany = Array.from({ length: MAX_AGENDA_ITEMS + 1 }, (_, i) => ({ topicName: `T${i}`, plannedMinutes: 1 }));
+  assert.ok(normalizeAgenda(tooMany).error);
+  assert.deepEqual(normalizeAgenda([]), { agenda: [] });
+});
+
+test('normalizeAgenda rejects bad items and says which one', () => {
+  const cases = [
+    [{ topicName: '', plannedMinutes: 5 }],
+    [null],
+    [{ topicName: 'Intro' }],
+    [{ topicName: 'Intro', plannedMinutes: 0 }],
+    [{ topicName: 'Intro', plannedMinutes: -3 }],
+    [{ topicName: 'Intro', plannedMinutes: MAX_PLANNED_MINUTES + 1 }],
+    [{ topicName: 'Intro', plannedMinutes: 'soon' }]
+  ];
+  cases.forEach(items => {
+    assert.match(normalizeAgenda(items).error, /^Item 1:/);
+  });
+
+  const { error } = normalizeAgenda([
+    { itemId: 'a', topicName: 'One', plannedMinutes: 5 },
+    { itemId: 'a', topicName: 'Two', plannedMinutes: 5 }
+  ]);
+  assert.match(error, /^Item 2: duplicate itemId a/);
+});
+
+test('compareAgenda reports done, running, skipped and pending items', () => {
+  const agenda = [
+    { itemId: 'a', topicName: 'Intro', plannedMinutes: 10 },
+    { itemId: 'b', topicName: 'Skipped', plannedMinutes: 5 },
+    { itemId: 'c', topicName: 'Main', plannedMinutes: 30 },
+    { itemId: 'd', topicName: 'Wrap-up', plannedMinutes: 5 }
+  ];
+  const topics = [
+    { topicId: 't1', agendaItemId: 'a', startTime: 0, endTime: 12 * MINUTE },
+    { topicId: 't2', agendaItemId: 'c', startTime: 12 * MINUTE, endTime: null }
+  ];
+
+  const { items, totals } = compareAgenda(agenda, topics, 20 * MINUTE);
+
+  assert.deepEqual(items.map(item => item.status), ['done', 'skipped', 'running', 'pending']);
+  assert.equal(items[0].actualMinutes, 12);
+  assert.equal(items[0].varianceMinutes, 2);
+  assert.equal(items[0].actualEnd, 12 * MINUTE);
+  assert.equal(items[1].actualMinutes, null);
+  // A running item counts up to `now` but has no variance yet
+  assert.equal(items[2].actualMinutes, 8);
+  assert.equal(items[2].varianceMinutes, null);
+  assert.equal(items[2].actualEnd, null);
+
+  assert.deepEqual(totals, {
+    plannedMinutes: 50,
+    actualMinutes: 20,
+    unplannedMinutes: 0,
+    done: 1,
+    skipped: 1
+  });
+});
+
+test('compareAgenda adds up repeat runs of an item and counts unplanned topics', () => {
+  const agenda = [{ itemId: 'a', topicName: 'Intro', plannedMinutes: 10 }];
+  const topics = [
+    { topicId: 't1', agendaItemId: 'a', startTime: 0, endTime: 4 * MINUTE },
+    { topicId: 't2', agendaItemId: null, startTime: 4 * MINUTE, endTime: 7 * MINUTE },
+    // Subtopics don't count on their own
+    { topicId: 't3', parentId: 't2', agendaItemId: 'a', startTime: 5 * MINUTE, endTime: 6 * MINUTE },
+    { topicId: 't4', agendaItemId: 'a', startTime: 7 * MINUTE, endTime: 10 * MINUTE }
+  ];
+
+  const { items, totals } = compareAgenda(agenda, topics, 10 * MINUTE);
+
+  assert.equal(items[0].status, 'done');
+  assert.equal(items[0].actualStart, 0);
+  assert.equal(items[0].actualEnd, 10 * MINUTE);
+  assert.equal(items[0].actualMinutes, 7);
+  assert.equal(items[0].varianceMinutes, -3);
+  assert.equal(totals.unplannedMinutes, 3);
+});
+
+test('several instances asking for the next item at once start it only once', async () => {
+  const channelName = 'agenda-test-next-once';
+  const advanced = [];
+  const onAdvance = (_, result) => advanced.push(result.item && result.item.itemId);
+  const instances = [createAgendaRunner({ onAdvance }), createAgendaRunner({ onAdvance })];
+
+  await sessionStore.createSession({ channelName, title: 'Agenda', teacherId: 't1' });
+  await sessionStore.setAgenda(channelName, [
+    { itemId: 'intro', topicName: 'Intro', plannedMinutes: 5 },
+    { itemId: 'main', topicName: 'Main', plannedMinutes: 20 }
+  ], false);
+  await sessionStore.startSession(channelName);
+
+  assert.equal((await instances[0].advance(channelName)).item.itemId, 'intro');
+
+  const results = await Promise.all(instances.map(runner => runner.advance(channelName)));
+  assert.deepEqual(results.map(r => r.error || r.item.itemId).sort(), ['The agenda has already moved on', 'main']);
+  assert.deepEqual(advanced, ['intro', 'main']);
+
+  const topics = await topicStore.getTopics(channelName);
+  assert.deepEqual(topics.map(t => t.agendaItemId), ['intro', 'main']);
+
+  // Jumping by itemId is always allowed
+  assert.equal((await instances[1].advance(channelName, { itemId: 'intro' })).item.itemId, 'intro');
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertEngine } = require('../services/alertEngine');
+const { getStorage } = require('../services/storage');
+
+// Alerts use shared in-memory storage unless Redis is configured
+let channelCount = 0;
+const newChannel = () => `alert-test-${++channelCount}`;
+
+function createTestEngine(rules) {
+  const raised = [];
+  const cleared = [];
+  const engine = createAlertEngine({ rules, onRaise: a => raised.push(a), onClear: a => cleared.push(a) });
+  return { engine, raised, cleared };
+}
+
+const sample = (timestamp, studentId, engagement) => ({ timestamp, studentId, studentName: `Student ${studentId}`, engagement });
+
+test('a student inattentive for too long raises one alert, cleared when they look back', async () => {
+  const channelName = newChannel();
+  const { engine, raised, cleared } = createTestEngine({ inattentiveSeconds: 30, classMinSamples: 100 });
+
+  await engine.evaluate(channelName, sample(1000, 's1', 'Not Paying Attention'));
+  await engine.evaluate(channelName, sample(20000, 's1', 'Not Paying Attention'));
+  assert.equal(raised.length, 0);
+
+  await engine.evaluate(channelName, sample(31000, 's1', 'Not Paying Attention'));
+  await engine.evaluate(channelName, sample(35000, 's1', 'Not Paying Attention'));
+  assert.equal(raised.length, 1);
+  assert.equal(raised[0].type, 'inattentive');
+  assert.equal(raised[0].studentId, 's1');
+  assert.deepEqual(raised[0].details, { seconds: 30 });
+  assert.deepEqual((await engine.getActive(channelName)).map(a => a.id), [raised[0].id]);
+
+  await engine.evaluate(channelName, sample(36000, 's1', 'Engaged'));
+  assert.deepEqual(cleared.map(a => a.id), [raised[0].id]);
+  assert.deepEqual(await engine.getActive(channelName), []);
+});
+
+test('samples sent at the same moment are evaluated in order', async () => {
+  const channelName = newChannel();
+  const { engine, raised } = createTestEngine({ inattentiveSeconds: 30, classMinSamples: 100 });
+
+  await Promise.all([
+    engine.evaluate(channelName, sample(1000, 's1', 'Engaged')),
+    engine.evaluate(channelName, sample(2000, 's1', 'Not Paying Attention')),
+    engine.evaluate(channelName, sample(40000, 's1', 'Not Paying Attention'))
+  ]);
+
+  assert.equal(raised.length, 1);
+  assert.deepEqual(raised[0].details, { seconds: 38 });
+});
+
+test('low class engagement is raised below the threshold and cleared past the hysteresis', async () => {
+  const channelName = newChannel();
+  const { engine, raised, cleared } = createTestEngine({ classMinSamples: 4, classEngagedMin: 0.5, hysteresis: 0.1 });
+  await engine.setTopic(channelName, 'Fractions');
+
+  const states = ['Engaged', 'Bored', 'Bored', 'Bored'];
+  for (let i = 0; i < states.length; i++) {
+    await engine.evaluate(channelName, sample(1000 + i, `s${i}`, states[i]));
+  }
+  assert.equal(raised.length, 1);
+  assert.equal(raised[0].type, 'low_class_engagement');
+  assert.equal(raised[0].topicName, 'Fractions');
+  assert.deepEqual(raised[0].details, { engagedShare: 0.25, samples: 4 });
+
+  // 3 of 6 engaged: at the threshold but not past the hysteresis
+  await engine.evaluate(channelName, sample(2000, 's1', 'Engaged'));
+  await engine.evaluate(channelName, sample(2001, 's2', 'Engaged'));
+  assert.equal(cleared.length, 0);
+
+  for (let i = 0; i < 4; i++) {
+    await engine.evaluate(channelName, sample(3000 + i, `s${i}`, 'Engaged'));
+  }
+  assert.equal(cleared.length, 1);
+  assert.equal(raised.length, 1);
+});
+
+test('a confusion spike needs enough confused students', async () => {
+  const channelName = newChannel();
+  const { engine, raised } = createTestEngine({ classMinSamples: 100, confusionShareMax: 0.3, confusionMinStudents: 2 });
+
+  await engine.evaluate(channelName, sample(1000, 's1', 'Confused'));
+  await engine.evaluate(channelName, sample(1001, 's1', 'Confused'));
+  assert.equal(raised.length, 0);
+
+  await engine.evaluate(channelName, sample(1002, 's2', 'Confused'));
+  assert.equal(raised.length, 1);
+  assert.equal(raised[0].type, 'confusion_spike');
+  assert.deepEqual(raised[0].details.studentIds, ['s1', 's2']);
+});
+
+test('a threshold of 0 is honoured', async () => {
+  const channelName = newChannel();
+  const { engine, raised } = createTestEngine({ inattentiveSeconds: 0, classMinSamples: 100 });
+
+  await engine.evaluate(channelName, sample(1000, 's1', 'Not Paying Attention'));
+  assert.equal(raised.length, 1);
+});
+
+test('only samples inside the window are kept', async () => {
+  const channelName = newChannel();
+  const { engine } = createTestEngine({ classWindowSeconds: 60, confusionWindowSeconds: 30, classMinSamples: 100 });
+  const stored = () => getStorage().zrangebyscore(`alerts:${channelName}:samples`, -Infinity, Infinity);
+
+  for (let i = 0; i < 10; i++) {
+    await engine.evaluate(channelName, sample((i + 1) * 1000, `s${i % 3}`, 'Engaged'));
+  }
+  assert.equal((await stored()).length, 10);
+
+  await engine.evaluate(channelName, sample(65000, 's1', 'Engaged'));
+  assert.deepEqual((await stored()).map(s => s.timestamp), [6000, 7000, 8000, 9000, 10000, 65000]);
+});
+
+test('a new topic, a leaving student and the end of class clear what they should', async () => {
+  const channelName = newChannel();
+  const { engine, cleared } = createTestEngine({ inattentiveSeconds: 0, classMinSamples: 2, classEngagedMin: 0.9 });
+
+  await engine.evaluate(channelName, sample(1000, 's1', 'Not Paying Attention'));
+  await engine.evaluate(channelName, sample(1001, 's2', 'Not Paying Attention'));
+  const types = async () => (await engine.getActive(channelName)).map(a => a.type).sort();
+  assert.deepEqual(await types(), ['inattentive', 'inattentive', 'low_class_engagement']);
+
+  await engine.setTopic(channelName, 'Decimals');
+  assert.deepEqual(await types(), ['inattentive', 'inattentive']);
+
+  await engine.removeStudent(channelName, 's1');
+  assert.deepEqual((await engine.getActive(channelName)).map(a => a.studentId), ['s2']);
+
+  await engine.resetChannel(channelName);
+  assert.deepEqual(await engine.getActive(channelName), []);
+  assert.equal(cleared.length, 3);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const alertStore = require('../services/alertStore');
+
+// Alerts are kept in shared in-memory storage when MongoDB isn't connected
+test('saved alerts come back oldest first, with their clearing', async () => {
+  const channelName = 'alert-store-test-1';
+  const alert = (id, raisedAt) => ({
+    id, channelName, type: 'inattentive', severity: 'warning', message: id,
+    studentId: 's1', studentName: 'Alice', topicName: null, details: {}, raisedAt, clearedAt: null
+  });
+
+  // Raised and cleared on different instances, in either order
+  await alertStore.clearAlert(channelName, 'a2', 3000);
+  await Promise.all([alertStore.saveAlert(alert('a2', 2000)), alertStore.saveAlert(alert('a1', 1000))]);
+  await alertStore.clearAlert(channelName, 'a1', 1500);
+
+  const alerts = await alertStore.getAlerts(channelName);
+  assert.deepEqual(alerts.map(a => [a.id, a.raisedAt, a.clearedAt]), [['a1', 1000, 1500], ['a2', 2000, 3000]]);
+  assert.deepEqual(await alertStore.getAlerts('alert-store-test-none'), []);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const attendanceStore = require('../services/attendanceStore');
+
+// Attendance lives in shared in-memory storage when MongoDB isn't connected
+let channelCount = 0;
+const newChannel = () => `attendance-test-${++channelCount}`;
+const MINUTE = 60000;
+
+test('joins, leaves and rejoins become intervals with the gaps between them', async () => {
+  const channelName = newChannel();
+  await attendanceStore.recordJoin(channelName, { studentId: 's1', studentName: 'Alice' }, 0);
+  await attendanceStore.recordJoin(channelName, { studentId: 's2' }, MINUTE);
+  await attendanceStore.recordLeave(channelName, 's1', 'disconnect', 10 * MINUTE);
+  await attendanceStore.recordJoin(channelName, { studentId: 's1' }, 12 * MINUTE);
+
+  const [alice, bob] = await attendanceStore.getAttendance(channelName);
+  assert.equal(alice.studentName, 'Alice');
+  assert.equal(alice.present, true);
+  assert.equal(alice.reconnects, 1);
+  assert.deepEqual(alice.gaps, [{ from: 10 * MINUTE, to: 12 * MINUTE, durationMs: 2 * MINUTE, reason: 'disconnect' }]);
+  assert.equal(bob.studentName, 'Student s2');
+  assert.equal(bob.firstJoinedAt, MINUTE);
+});
+
+test('joining while present and leaving twice change nothing, even at the same moment', async () => {
+  const channelName = newChannel();
+  await Promise.all([
+    attendanceStore.recordJoin(channelName, { studentId: 's1' }, 1000),
+    attendanceStore.recordJoin(channelName, { studentId: 's1' }, 1001),
+    attendanceStore.recordJoin(channelName, { studentId: 's1' }, 1002)
+  ]);
+  await Promise.all([
+    attendanceStore.recordLeave(channelName, 's1', 'leave', 5000),
+    attendanceStore.recordLeave(channelName, 's1', 'disconnect', 5001)
+  ]);
+  await attendanceStore.recordLeave(channelName, 's1', 'leave', 9000);
+
+  const [record] = await attendanceStore.getAttendance(channelName);
+  assert.equal(record.present, false);
+  assert.equal(record.intervals.length, 1);
+  const { leftAt, leftReason } = record.intervals[0];
+  assert.ok([[5000, 'leave'], [5001, 'disconnect']].some(([at, reason]) => leftAt === at && leftReason === reason));
+});
+
+test('close-together frames count as camera time while the student is present', async () => {
+  const channelName = newChannel();
+  await attendanceStore.recordFrame(channelName, 's1', 0);
+  await attendanceStore.recordJoin(channelName, { studentId: 's1' }, 0);
+
+  for (let at = 1000; at <= 61000; at += 1000) {
+    await attendanceStore.recordFrame(channelName, 's1', at);
+  }
+  // Camera off for a while
+  await attendanceStore.recordFrame(channelName, 's1', 5 * MINUTE);
+  await attendanceStore.recordFrame(channelName, 's1', 5 * MINUTE + 1000);
+
+  await attendanceStore.recordLeave(channelName, 's1', 'leave', 6 * MINUTE);
+  await attendanceStore.recordFrame(channelName, 's1', 6 * MINUTE + 1000);
+
+  const [record] = await attendanceStore.getAttendance(channelName);
+  assert.equal(record.cameraActiveMinutes, 1);
+});
+
+test('ending the session ends everyone still present', async () => {
+  const channelName = newChannel();
+  await attendanceStore.recordJoin(channelName, { studentId: 's1' }, 0);
+  await attendanceStore.recordJoin(channelName, { studentId: 's2' }, 0);
+  await attendanceStore.recordLeave(channelName, 's2', 'leave', MINUTE);
+
+  await attendanceStore.closeChannel(channelName, 30 * MINUTE);
+
+  const attendance = await attendanceStore.getAttendance(channelName);
+  assert.deepEqual(attendance.map(a => [a.studentId, a.present, a.lastLeftAt, a.intervals[0].leftReason]), [
+    ['s1', false, 30 * MINUTE, 'session_ended'],
+    ['s2', false, MINUTE, 'leave']
+  ]);
+  assert.equal(attendance[0].minutesPresent, 30);
+});
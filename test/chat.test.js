@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chatStore = require('../services/chatStore');
+
+// Stores use shared in-memory storage when MongoDB isn't connected
+let channelCount = 0;
+const newChannel = () => `chat-test-${++channelCount}`;
+
+const alice = { id: 's1', name: 'Alice', role: 'student' };
+const bob = { id: 's2', name: 'Bob', role: 'student' };
+const teacher = { id: 't1', name: 'Ms T', role: 'teacher' };
+
+test('private messages are only seen by their student and the teachers', async () => {
+  const channelName = newChannel();
+  await chatStore.addMessage(channelName, alice, { text: 'Hello all' }, 1000);
+  await chatStore.addMessage(channelName, alice, { text: 'I am lost', private: true }, 1100);
+  await chatStore.addMessage(channelName, teacher, { text: 'See me after', private: true, toStudentId: 's2' }, 1200);
+
+  const texts = messages => messages.map(m => m.text);
+  assert.deepEqual(texts(await chatStore.getMessages(channelName, teacher)), ['Hello all', 'I am lost', 'See me after']);
+  assert.deepEqual(texts(await chatStore.getMessages(channelName, alice)), ['Hello all', 'I am lost']);
+  assert.deepEqual(texts(await chatStore.getMessages(channelName, bob)), ['Hello all', 'See me after']);
+});
+
+test('messages and questions must have usable text', async () => {
+  const channelName = newChannel();
+  assert.ok((await chatStore.addMessage(channelName, alice, { text: '   ' })).error);
+  assert.ok((await chatStore.addMessage(channelName, alice, { text: 'x'.repeat(chatStore.MAX_MESSAGE_LENGTH + 1) })).error);
+  assert.ok((await chatStore.addMessage(channelName, teacher, { text: 'Hi', private: true })).error);
+  assert.ok((await chatStore.askQuestion(channelName, { studentId: 's1', text: 42 })).error);
+  assert.deepEqual(await chatStore.getMessages(channelName), []);
+});
+
+test('students upvote other students\' open questions once', async () => {
+  const channelName = newChannel();
+  const { question } = await chatStore.askQuestion(channelName, { studentId: 's1', studentName: 'Alice', text: ' Why? ' }, 1000);
+  assert.equal(question.text, 'Why?');
+  assert.equal(question.upvotes, 0);
+
+  assert.ok((await chatStore.upvoteQuestion(channelName, question.questionId, 's1')).error);
+  assert.equal((await chatStore.upvoteQuestion(channelName, question.questionId, 's2')).question.upvotes, 1);
+  assert.equal((await chatStore.upvoteQuestion(channelName, question.questionId, 's2')).question.upvotes, 1);
+  assert.ok((await chatStore.upvoteQuestion(channelName, 'missing', 's2')).error);
+
+  await chatStore.updateQuestion(channelName, question.questionId, { answered: true }, 't1', 2000);
+  assert.equal((await chatStore.upvoteQuestion(channelName, question.questionId, 's3')).error, 'Question has already been answered');
+});
+
+test('upvotes and a pin sent at the same moment are all kept', async () => {
+  const channelName = newChannel();
+  const { question } = await chatStore.askQuestion(channelName, { studentId: 's0', text: 'Q' }, 1000);
+  const voters = ['s1', 's2', 's3', 's4', 's5'];
+
+  await Promise.all([
+    ...voters.map(id => chatStore.upvoteQuestion(channelName, question.questionId, id)),
+    chatStore.updateQuestion(channelName, question.questionId, { pinned: true }, 't1')
+  ]);
+
+  const [stored] = await chatStore.getQuestions(channelName);
+  assert.equal(stored.upvotes, voters.length);
+  assert.deepEqual([...stored.upvoterIds].sort(), voters);
+  assert.equal(stored.pinned, true);
+});
+
+test('answering and reopening records who answered and when', async () => {
+  const channelName = newChannel();
+  const { question } = await chatStore.askQuestion(channelName, { studentId: 's1', text: 'Q' }, 1000);
+
+  const answered = (await chatStore.updateQuestion(channelName, question.questionId, { answered: true }, 't1', 2000)).question;
+  assert.equal(answered.answered, true);
+  assert.equal(answered.answeredAt, 2000);
+  assert.equal(answered.answeredBy, 't1');
+
+  const reopened = (await chatStore.updateQuestion(channelName, question.questionId, { answered: false }, 't1', 3000)).question;
+  assert.equal(reopened.answered, false);
+  assert.equal(reopened.answeredAt, null);
+  assert.equal(reopened.answeredBy, null);
+});
+
+test('the queue lists pinned, then open by upvotes, then answered questions', async () => {
+  const channelName = newChannel();
+  const ask = async (text, at) => (await chatStore.askQuestion(channelName, { studentId: 's0', text }, at)).question.questionId;
+  await ask('old', 1000);
+  const popular = await ask('popular', 2000);
+  const pinned = await ask('pinned', 3000);
+  const done = await ask('done', 4000);
+  await ask('newer', 5000);
+
+  await chatStore.upvoteQuestion(channelName, popular, 's1');
+  await chatStore.upvoteQuestion(channelName, popular, 's2');
+  await chatStore.updateQuestion(channelName, pinned, { pinned: true }, 't1');
+  await chatStore.updateQuestion(channelName, done, { answered: true }, 't1', 6000);
+
+  const order = (await chatStore.getQuestions(channelName)).map(q => q.text);
+  assert.deepEqual(order, ['pinned', 'popular', 'old', 'newer', 'done']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATES, isServiceFailure, createCircuitBreaker, withCircuitBreaker } = require('../services/ml/circuitBreaker');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const down = () => Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+const up = () => Promise.resolve('ok');
+
+test('isServiceFailure counts network errors and 5xx, not 4xx', () => {
+  assert.equal(isServiceFailure(new Error('timeout')), true);
+  assert.equal(isServiceFailure({ response: { status: 503 } }), true);
+  assert.equal(isServiceFailure({ response: { status: 400 } }), false);
+});
+
+test('the breaker opens after failureThreshold failures in a row and then fails fast', async () => {
+  const changes = [];
+  const breaker = createCircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 60000, onStateChange: s => changes.push(s.state) });
+
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(breaker.execute(down), { code: 'ECONNREFUSED' });
+  }
+  assert.equal(breaker.getStatus().state, STATES.CLOSED);
+  assert.equal(breaker.getStatus().consecutiveFailures, 2);
+
+  await assert.rejects(breaker.execute(down), { code: 'ECONNREFUSED' });
+  const status = breaker.getStatus();
+  assert.equal(status.state, STATES.OPEN);
+  assert.equal(status.available, false);
+  assert.equal(status.lastError, 'ECONNREFUSED');
+  assert.equal(status.nextProbeAt, status.openedAt + 60000);
+
+  let called = false;
+  await assert.rejects(breaker.execute(() => { called = true; return up(); }), { code: 'CIRCUIT_OPEN' });
+  assert.equal(called, false);
+  assert.deepEqual(changes, [STATES.OPEN]);
+});
+
+test('a success resets the failure count', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 2 });
+  await assert.rejects(breaker.execute(down));
+  assert.equal(await breaker.execute(up), 'ok');
+  await assert.rejects(breaker.execute(down));
+  assert.equal(breaker.getStatus().state, STATES.CLOSED);
+});
+
+test('errors that are not service failures leave the breaker closed', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 1 });
+  const badImage = () => Promise.reject(Object.assign(new Error('Bad image'), { response: { status: 422 } }));
+  await assert.rejects(breaker.execute(badImage), /Bad image/);
+  assert.equal(breaker.getStatus().state, STATES.CLOSED);
+  assert.equal(breaker.getStatus().consecutiveFailures, 0);
+});
+
+test('half-open lets one probe through: success closes, failure re-opens', async () => {
+  const changes = [];
+  const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 20, onStateChange: s => changes.push(s.state) });
+
+  await assert.rejects(breaker.execute(down));
+  await sleep(40);
+  assert.equal(breaker.getStatus().state, STATES.HALF_OPEN);
+
+  // A failed probe re-opens straight away
+  await assert.rejects(breaker.execute(down), { code: 'ECONNREFUSED' });
+  assert.equal(breaker.getStatus().state, STATES.OPEN);
+  await sleep(40);
+
+  // Only one probe at a time
+  let finishProbe;
+  const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+  await assert.rejects(breaker.execute(up), { code: 'CIRCUIT_OPEN' });
+  finishProbe('ok');
+  assert.equal(await probe, 'ok');
+
+  const status = breaker.getStatus();
+  assert.equal(status.state, STATES.CLOSED);
+  assert.equal(status.consecutiveFailures, 0);
+  assert.equal(status.openedAt, null);
+  assert.deepEqual(changes, [STATES.OPEN, STATES.HALF_OPEN, STATES.OPEN, STATES.HALF_OPEN, STATES.CLOSED]);
+});
+
+test('withCircuitBreaker counts a batch where every frame failed as one failure', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 1 });
+  const failing = { name: 'test', predictBatch: async frames => frames.map(() => new Error('down')) };
+  const predictor = withCircuitBreaker(failing, breaker);
+
+  assert.equal(predictor.name, 'test');
+  await assert.rejects(predictor.predictBatch([1, 2]), /down/);
+  assert.equal(breaker.getStatus().state, STATES.OPEN);
+});
+
+test('withCircuitBreaker passes through batches with some results', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 1 });
+  const error = new Error('one bad frame');
+  const partly = { name: 'test', predictBatch: async () => [{ engagement: 'Engaged' }, error] };
+
+  assert.deepEqual(await withCircuitBreaker(partly, breaker).predictBatch([1, 2]), [{ engagement: 'Engaged' }, error]);
+  assert.equal(breaker.getStatus().state, STATES.CLOSED);
+});
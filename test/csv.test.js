@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, toCsv, isoTime } = require('../services/csv');
+
+test('csvCell neutralizes text a spreadsheet would run as a formula', () => {
+  assert.equal(csvCell('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+  assert.equal(csvCell('+1'), "'+1");
+  assert.equal(csvCell('-2'), "'-2");
+  assert.equal(csvCell('@cmd'), "'@cmd");
+  assert.equal(csvCell('\tTab'), "'\tTab");
+  assert.equal(csvCell('\rReturn'), `"'\rReturn"`);
+});
+
+test('csvCell leaves numbers and ordinary text alone', () => {
+  assert.equal(csvCell(-2), '-2');
+  assert.equal(csvCell(0.5), '0.5');
+  assert.equal(csvCell('Alice'), 'Alice');
+  assert.equal(csvCell('a=b'), 'a=b');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+});
+
+test('csvCell quotes cells with commas, quotes or line breaks', () => {
+  assert.equal(csvCell('Smith, Jo'), '"Smith, Jo"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('two\nlines'), '"two\nlines"');
+  // Escaped first, then quoted
+  assert.equal(csvCell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+});
+
+test('toCsv writes a header and rows with CRLF line endings', () => {
+  const csv = toCsv(['name', 'score'], [['Alice', 3], ['=cmd', null]]);
+  assert.equal(csv, "name,score\r\nAlice,3\r\n'=cmd,\r\n");
+});
+
+test('isoTime formats timestamps and leaves missing ones blank', () => {
+  assert.equal(isoTime(0), '');
+  assert.equal(isoTime(null), '');
+  assert.equal(isoTime(Date.UTC(2024, 0, 2, 3, 4, 5)), '2024-01-02T03:04:05.000Z');
+});
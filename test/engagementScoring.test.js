@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRESETS, resolveScoringOptions, weighSamples, scoreSamples, classAverage } = require('../services/engagementScoring');
+
+const sample = (studentId, timestamp, engagement, confidence) => ({ studentId, timestamp, engagement, confidence });
+
+test('resolveScoringOptions starts from the preset and applies flags and weights', () => {
+  const count = resolveScoringOptions({ scoring: 'count' });
+  assert.equal(count.preset, 'count');
+  assert.equal(count.timeWeighted, false);
+  assert.deepEqual(count.stateWeights, PRESETS.count.stateWeights);
+
+  const custom = resolveScoringOptions({ scoring: 'Weighted', confidenceWeighted: 'no', weights: 'Confused: 0.75, Bored:0' });
+  assert.equal(custom.preset, 'weighted');
+  assert.equal(custom.timeWeighted, true);
+  assert.equal(custom.confidenceWeighted, false);
+  assert.deepEqual(custom.stateWeights, { Engaged: 1, Bored: 0, Confused: 0.75, 'Not Paying Attention': 0 });
+});
+
+test('resolveScoringOptions rejects unknown presets, flags, states and weights', () => {
+  const bad = [
+    { scoring: 'median' },
+    { timeWeighted: 'maybe' },
+    { weights: 'Sleepy:0.5' },
+    { weights: 'Confused:1.5' },
+    { weights: 'Confused' }
+  ];
+  bad.forEach(query => assert.throws(() => resolveScoringOptions(query), { code: 'INVALID_SCORING' }));
+});
+
+test('weighSamples gives each sample the time to the next one, capped, and the last the typical gap', () => {
+  const options = { ...resolveScoringOptions({ scoring: 'weighted' }), maxSampleGapMs: 10000 };
+  const weighed = weighSamples([
+    sample('s1', 0, 'Engaged', 0.5),
+    sample('s1', 2000, 'Bored', 1),
+    sample('s1', 60000, 'Engaged', 2),
+    sample('s2', 1000, 'Engaged')
+  ], options);
+
+  assert.deepEqual(weighed.map(s => [s.studentId, s.duration, s.weight]), [
+    ['s1', 2000, 1000], // half confidence
+    ['s2', 1000, 1000], // an only sample counts for a second
+    ['s1', 10000, 10000], // a long gap is capped
+    ['s1', 6000, 6000] // median of the capped gaps; confidence is clamped to 1
+  ]);
+});
+
+test('scoreSamples applies state weights to the weighed samples', () => {
+  const options = resolveScoringOptions({ scoring: 'weighted', timeWeighted: 'false', confidenceWeighted: 'false' });
+  const stats = scoreSamples(weighSamples([
+    sample('s1', 0, 'Engaged'),
+    sample('s1', 1000, 'Confused'),
+    sample('s1', 2000, 'Bored'),
+    sample('s1', 3000, 'Not Paying Attention')
+  ], options), options);
+
+  assert.equal(stats.totalWeight, 4);
+  assert.equal(stats.attendedMs, 4000);
+  assert.equal(stats.engagementScore, 43.8); // (1 + 0.5 + 0.25 + 0) / 4
+  assert.deepEqual(stats.statePercentages, { Engaged: 25, Bored: 25, Confused: 25, 'Not Paying Attention': 25 });
+
+  assert.equal(scoreSamples([], options).engagementScore, 0);
+});
+
+test('classAverage weights students by attendance only when asked', () => {
+  const students = [
+    { engagementScore: 100, attendedMs: 9000 },
+    { engagementScore: 0, attendedMs: 1000 }
+  ];
+  assert.equal(classAverage(students, { attendanceWeighted: false }), 50);
+  assert.equal(classAverage(students, { attendanceWeighted: true }), 90);
+  assert.equal(classAverage([{ engagementScore: 80, attendedMs: 0 }], { attendanceWeighted: true }), 0);
+  assert.equal(classAverage([], { attendanceWeighted: false }), 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { MAX_FRAME_BYTES, detectImageType, normalizeFrame, createFrameRateLimiter } = require('../services/ml/frames');
+const { createHttpPredictor } = require('../services/ml/predictors');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP')]);
+
+test('image types are detected from their magic bytes', () => {
+  assert.equal(detectImageType(JPEG), 'image/jpeg');
+  assert.equal(detectImageType(PNG), 'image/png');
+  assert.equal(detectImageType(WEBP), 'image/webp');
+  assert.equal(detectImageType(Buffer.from('GIF89a')), null);
+  assert.equal(detectImageType(Buffer.alloc(0)), null);
+});
+
+test('binary frames are accepted as Buffers, ArrayBuffers and typed arrays', () => {
+  assert.deepEqual(normalizeFrame(JPEG), { buffer: JPEG, mimeType: 'image/jpeg', original: null });
+
+  const arrayBuffer = PNG.buffer.slice(PNG.byteOffset, PNG.byteOffset + PNG.length);
+  assert.equal(normalizeFrame(arrayBuffer).mimeType, 'image/png');
+
+  // A view into the middle of a larger buffer only covers its own bytes
+  const padded = Buffer.concat([Buffer.from([9, 9]), WEBP, Buffer.from([9])]);
+  const view = new Uint8Array(padded.buffer, padded.byteOffset + 2, WEBP.length);
+  assert.deepEqual(normalizeFrame(view).buffer, WEBP);
+});
+
+test('legacy base64 frames keep the original string to forward', () => {
+  const base64 = JPEG.toString('base64');
+  const dataUrl = `data:image/jpeg;base64,${base64}`;
+  assert.deepEqual(normalizeFrame(base64), { buffer: JPEG, mimeType: 'image/jpeg', original: base64 });
+  assert.deepEqual(normalizeFrame(dataUrl), { buffer: JPEG, mimeType: 'image/jpeg', original: dataUrl });
+});
+
+test('empty, oversized and non-image frames are refused with a code', () => {
+  for (const frame of [undefined, null, 42, '', {}, Buffer.alloc(0)]) {
+    assert.throws(() => normalizeFrame(frame), { code: 'INVALID_FRAME' });
+  }
+
+  const huge = Buffer.concat([JPEG, Buffer.alloc(MAX_FRAME_BYTES)]);
+  assert.throws(() => normalizeFrame(huge), { code: 'FRAME_TOO_LARGE' });
+  // Refused before decoding
+  assert.throws(() => normalizeFrame('A'.repeat(MAX_FRAME_BYTES * 2)), { code: 'FRAME_TOO_LARGE' });
+
+  assert.throws(() => normalizeFrame(Buffer.from('GIF89a')), { code: 'UNSUPPORTED_IMAGE' });
+  assert.throws(() => normalizeFrame(Buffer.from('hello').toString('base64')), { code: 'UNSUPPORTED_IMAGE' });
+});
+
+test('the rate limiter accepts each student up to maxFps, with some jitter', () => {
+  const limiter = createFrameRateLimiter({ maxFps: 2 });
+
+  assert.equal(limiter.allow('s1', 1000), true);
+  assert.equal(limiter.allow('s1', 1300), false);
+  assert.equal(limiter.allow('s2', 1300), true);
+  // 500 ms apart at 2 fps; slightly early still counts
+  assert.equal(limiter.allow('s1', 1450), true);
+
+  limiter.reset('s1');
+  assert.equal(limiter.allow('s1', 1460), true);
+});
+
+test('the HTTP predictor uploads frames as multipart and falls back to base64 JSON', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ url: req.url, type: req.headers['content-type'], body });
+      const multipart = req.headers['content-type'].startsWith('multipart/form-data');
+      if (multipart && requests.length > 1) {
+        res.writeHead(415).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ engagement: 'Engaged', confidence: 0.9 }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  t.mock.method(console, 'warn', () => {});
+
+  const predictor = createHttpPredictor({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+  const frame = normalizeFrame(JPEG);
+
+  assert.deepEqual(await predictor.predictBatch([frame]), [{ engagement: 'Engaged', confidence: 0.9 }]);
+  assert.equal(requests[0].url, '/predict');
+  assert.match(requests[0].type, /^multipart\/form-data; boundary=/);
+  assert.match(requests[0].body.toString('latin1'), /name="file"; filename="frame-0.jpeg"\r\nContent-Type: image\/jpeg/);
+  assert.ok(requests[0].body.includes(JPEG));
+
+  // The service stops taking uploads: the same frame goes again as JSON
+  assert.deepEqual(await predictor.predictBatch([frame]), [{ engagement: 'Engaged', confidence: 0.9 }]);
+  assert.match(requests[2].type, /^application\/json/);
+  assert.deepEqual(JSON.parse(requests[2].body), { image: `data:image/jpeg;base64,${JPEG.toString('base64')}` });
+});
@@ -0,0 +1,64 @@
+/**
+ * Run the real server in a child process for tests of the socket handlers
+ * Demo mode (no MongoDB, in-memory storage) on a free port; env adds or
+ * overrides variables. Returns { baseUrl, request, openSocket, stop }.
+ */
+
+const net = require('node:net');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { io: connect } = require('socket.io-client');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, 'localhost', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), MONGODB_URI: '', REDIS_URL: '', NODE_ENV: 'test', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stderr.resume();
+
+  await new Promise((resolve, reject) => {
+    const exited = code => reject(new Error(`Server exited with code ${code}`));
+    child.once('exit', exited);
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('HTTP Server')) {
+        child.off('exit', exited);
+        resolve();
+      }
+    });
+  });
+
+  async function request(method, url, body) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // A client socket that records every event it is sent in `received`;
+  // closed when the test t ends
+  function openSocket(t) {
+    const socket = connect(baseUrl, { transports: ['websocket'], reconnection: false });
+    socket.received = [];
+    socket.onAny((eventName, payload) => socket.received.push([eventName, payload]));
+    t.after(() => socket.disconnect());
+    return socket;
+  }
+
+  return { baseUrl, request, openSocket, stop: () => child.kill() };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Hosting follows teachers joining and leaving, so run the real server
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ RECONNECT_GRACE_MS: '0' });
+});
+
+test.after(() => {
+  if (server) server.stop();
+});
+
+// A live session owned by t1, with co-teacher t2 and TA t3 all connected;
+// returns their sockets
+async function startClass(t, channelName) {
+  await server.request('POST', '/api/sessions', { channelName, title: 'Host test', teacherId: 't1' });
+  await server.request('PUT', `/api/sessions/${channelName}/staff/t2`, { role: 'co_teacher' });
+  await server.request('PUT', `/api/sessions/${channelName}/staff/t3`, { role: 'ta' });
+  await server.request('POST', `/api/sessions/${channelName}/start`);
+
+  const sockets = {};
+  for (const teacherId of ['t1', 't2', 't3']) {
+    sockets[teacherId] = server.openSocket(t);
+    sockets[teacherId].emit('teacher:join', { channelName, teacherId });
+    await sleep(50);
+  }
+  await sleep(50);
+  return sockets;
+}
+
+const hostChanges = socket => socket.received
+  .filter(([eventName]) => eventName === 'host:changed')
+  .map(([, payload]) => [payload.previousHostId, payload.hostId, payload.reason]);
+
+test('only the host or owner may hand hosting over, and only to someone who can lead', async (t) => {
+  const channelName = 'host-transfer';
+  const { t1, t2, t3 } = await startClass(t, channelName);
+
+  assert.deepEqual(await t1.emitWithAck('host:transfer', { channelName, teacherId: 't3' }), {
+    error: 'Only the owner or a co-teacher can host',
+    channelName
+  });
+  assert.deepEqual(await t3.emitWithAck('host:transfer', { channelName, teacherId: 't2' }), {
+    error: 'Only the host or the session owner can hand over hosting',
+    channelName
+  });
+  assert.deepEqual(await t1.emitWithAck('host:transfer', { channelName, teacherId: 't9' }), {
+    error: 'That teacher is not in the class',
+    channelName
+  });
+
+  assert.deepEqual(await t1.emitWithAck('host:transfer', { channelName, teacherId: 't2' }), {
+    success: true,
+    channelName,
+    hostId: 't2'
+  });
+  await sleep(50);
+  assert.deepEqual(hostChanges(t3), [['t1', 't2', 'transfer']]);
+
+  // The REST route applies the same rule
+  const { status } = await server.request('POST', `/api/sessions/${channelName}/host`, { teacherId: 't3' });
+  assert.equal(status, 400);
+});
+
+test('when the host leaves, the owner takes over and everyone is told', async (t) => {
+  const channelName = 'host-handover';
+  const { t1, t2, t3 } = await startClass(t, channelName);
+  await t1.emitWithAck('host:transfer', { channelName, teacherId: 't2' });
+
+  t2.emit('teacher:leave', { channelName, teacherId: 't2' });
+  await sleep(100);
+
+  const left = t3.received.find(([eventName]) => eventName === 'teacher:left')[1];
+  assert.deepEqual([left.teacherId, left.role, left.reason], ['t2', 'co_teacher', 'leave']);
+  assert.deepEqual(hostChanges(t3), [['t1', 't2', 'transfer'], ['t2', 't1', 'handover']]);
+
+  // With only a TA left, the owner stays host after leaving
+  t1.emit('teacher:leave', { channelName, teacherId: 't1' });
+  await sleep(100);
+  const { body } = await server.request('GET', `/api/sessions/${channelName}`);
+  assert.equal(body.session.hostId, 't1');
+});
+
+test('a host demoted to TA hands back to the owner', async (t) => {
+  const channelName = 'host-demoted';
+  const { t1, t3 } = await startClass(t, channelName);
+  await t1.emitWithAck('host:transfer', { channelName, teacherId: 't2' });
+
+  const { body } = await server.request('PUT', `/api/sessions/${channelName}/staff/t2`, { role: 'ta' });
+  assert.equal(body.session.hostId, 't1');
+  await sleep(50);
+
+  assert.deepEqual(hostChanges(t3).pop(), ['t2', 't1', 'staff_changed']);
+  const updated = t3.received.filter(([eventName]) => eventName === 'staff:updated').pop()[1];
+  assert.deepEqual(updated.staff, [{ userId: 't3', role: 'ta' }, { userId: 't2', role: 'ta' }]);
+});
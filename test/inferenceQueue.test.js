@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInferenceQueue } = require('../services/ml/inferenceQueue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Predictor whose calls wait until the test answers them
+function createHeldPredictor() {
+  const calls = [];
+  return {
+    name: 'held',
+    calls,
+    predictBatch(frames) {
+      return new Promise((resolve, reject) => calls.push({ frames, resolve, reject }));
+    },
+    // Answer a call with one result per frame, named after the frame
+    answer(index, result = frame => ({ engagement: 'Engaged', confidence: 0.9, frame })) {
+      calls[index].resolve(calls[index].frames.map(result));
+    }
+  };
+}
+
+test('frames arriving within the window go out as one batch, results in order', async () => {
+  const predictor = createHeldPredictor();
+  const queue = createInferenceQueue({ predictor, batchWindowMs: 5 });
+
+  const results = ['a', 'b', 'c'].map(frame => queue.enqueue(`s-${frame}`, frame));
+  await sleep(20);
+  assert.equal(predictor.calls.length, 1);
+  assert.deepEqual(predictor.calls[0].frames, ['a', 'b', 'c']);
+
+  predictor.answer(0);
+  assert.deepEqual((await Promise.all(results)).map(r => r.frame), ['a', 'b', 'c']);
+  assert.equal(queue.getStats().processed, 3);
+  assert.equal(queue.getStats().lastBatchSize, 3);
+});
+
+test('a full batch is sent without waiting for the window', async () => {
+  const predictor = createHeldPredictor();
+  const queue = createInferenceQueue({ predictor, maxBatchSize: 2, batchWindowMs: 60000 });
+
+  queue.enqueue('s1', 'a');
+  assert.equal(predictor.calls.length, 0);
+  queue.enqueue('s2', 'b');
+  assert.equal(predictor.calls.length, 1);
+  predictor.answer(0);
+});
+
+test('only the latest frame per student waits; the older one resolves with null', async () => {
+  const predictor = createHeldPredictor();
+  const queue = createInferenceQueue({ predictor, batchWindowMs: 5 });
+
+  const first = queue.enqueue('s1', 'old');
+  const second = queue.enqueue('s1', 'new');
+  assert.equal(await first, null);
+
+  await sleep(20);
+  assert.deepEqual(predictor.calls[0].frames, ['new']);
+  predictor.answer(0);
+  assert.equal((await second).frame, 'new');
+  assert.equal(queue.getStats().dropped, 1);
+});
+
+test('no more than maxConcurrency calls are in flight; the rest wait their turn', async () => {
+  const predictor = createHeldPredictor();
+  const queue = createInferenceQueue({ predictor, maxBatchSize: 1, maxConcurrency: 2, batchWindowMs: 5 });
+
+  const results = ['a', 'b', 'c', 'd'].map(frame => queue.enqueue(`s-${frame}`, frame));
+  await sleep(20);
+  assert.equal(predictor.calls.length, 2);
+  assert.equal(queue.getStats().inFlight, 2);
+  assert.equal(queue.getStats().queueDepth, 2);
+
+  predictor.answer(0);
+  await results[0];
+  assert.equal(predictor.calls.length, 3);
+
+  predictor.answer(1);
+  predictor.answer(2);
+  await Promise.all(results.slice(1, 3));
+  predictor.answer(3);
+  assert.deepEqual((await Promise.all(results)).map(r => r.frame), ['a', 'b', 'c', 'd']);
+  assert.equal(queue.getStats().inFlight, 0);
+});
+
+test('new students are turned away when the queue is full', async () => {
+  const predictor = createHeldPredictor();
+  const queue = createInferenceQueue({ predictor, maxQueueSize: 2, batchWindowMs: 5 });
+
+  const kept = [queue.enqueue('s1', 'a'), queue.enqueue('s2', 'b')];
+  assert.equal(await queue.enqueue('s3', 'c'), null);
+  assert.equal(queue.getStats().rejected, 1);
+
+  await sleep(20);
+  predictor.answer(0);
+  assert.equal((await Promise.all(kept)).length, 2);
+});
+
+test('a failed frame rejects only its own job; a failed call rejects the whole batch', async () => {
+  const predictor = createHeldPredictor();
+  const queue = createInferenceQueue({ predictor, batchWindowMs: 5 });
+
+  const first = [queue.enqueue('s1', 'a'), queue.enqueue('s2', 'bad')];
+  await sleep(20);
+  predictor.answer(0, frame => (frame === 'bad' ? new Error('unreadable image') : { engagement: 'Bored', confidence: 0.7 }));
+  assert.deepEqual(await first[0], { engagement: 'Bored', confidence: 0.7 });
+  await assert.rejects(first[1], /unreadable image/);
+
+  const second = [queue.enqueue('s1', 'a'), queue.enqueue('s2', 'b')];
+  await sleep(20);
+  predictor.calls[1].reject(new Error('ML service down'));
+  await Promise.all(second.map(result => assert.rejects(result, /ML service down/)));
+
+  const stats = queue.getStats();
+  assert.equal(stats.processed, 1);
+  assert.equal(stats.failed, 3);
+  assert.equal(stats.predictor, 'held');
+});
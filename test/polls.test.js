@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pollStore = require('../services/pollStore');
+const { pollEngagement } = require('../services/reportBuilder');
+
+// Stores use shared in-memory storage when MongoDB isn't connected
+let channelCount = 0;
+const newChannel = () => `poll-test-${++channelCount}`;
+
+const student = (id) => ({ studentId: id, studentName: `Student ${id}` });
+
+test('normalizePoll accepts choice polls and numeric quizzes', () => {
+  const { poll } = pollStore.normalizePoll({ format: 'choice', question: ' Pick one ', options: ['A', ' B '] });
+  assert.equal(poll.kind, 'poll');
+  assert.equal(poll.question, 'Pick one');
+  assert.deepEqual(poll.options, ['A', 'B']);
+  assert.equal(poll.anonymous, false);
+
+  const quiz = pollStore.normalizePoll({ kind: 'quiz', format: 'numeric', question: '2 + 2?', correctValue: '4', tolerance: 0.5 }).poll;
+  assert.equal(quiz.correctValue, 4);
+  assert.equal(quiz.tolerance, 0.5);
+});
+
+test('normalizePoll rejects polls it cannot run', () => {
+  const cases = [
+    { format: 'essay', question: 'Why?' },
+    { kind: 'survey', format: 'choice', question: 'Q', options: ['A', 'B'] },
+    { format: 'choice', question: '  ', options: ['A', 'B'] },
+    { format: 'choice', question: 'Q', options: ['A'] },
+    { format: 'choice', question: 'Q', options: ['A', ''] },
+    { kind: 'quiz', format: 'choice', question: 'Q', options: ['A', 'B'], correctOption: 2 },
+    { kind: 'quiz', format: 'numeric', question: 'Q' },
+    { kind: 'quiz', format: 'numeric', question: 'Q', correctValue: 1, tolerance: -1 },
+    { format: 'numeric', question: 'Q', durationSeconds: 1 }
+  ];
+  cases.forEach(input => assert.ok(pollStore.normalizePoll(input).error, JSON.stringify(input)));
+});
+
+test('choice results count each student once, with their latest answer', async () => {
+  const channelName = newChannel();
+  const { poll } = await pollStore.createPoll(channelName, { format: 'choice', question: 'Q', options: ['A', 'B', 'C'] }, 't1', 1000);
+
+  await pollStore.answerPoll(channelName, poll.pollId, student('s1'), { choice: 0 }, 1100);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s2'), { choice: 0 }, 1200);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s1'), { choice: 2 }, 1300);
+  assert.ok((await pollStore.answerPoll(channelName, poll.pollId, student('s3'), { choice: 3 }, 1400)).error);
+
+  const stored = await pollStore.getPoll(channelName, poll.pollId);
+  assert.deepEqual(pollStore.summarizePoll(stored), { responses: 2, counts: [1, 0, 1] });
+});
+
+test('numeric quiz results give the spread and how many were right', async () => {
+  const channelName = newChannel();
+  const { poll } = await pollStore.createPoll(channelName, {
+    kind: 'quiz', format: 'numeric', question: 'Pi?', correctValue: 3.14, tolerance: 0.01
+  }, 't1', 1000);
+
+  for (const [id, value] of [['s1', 3.14], ['s2', 3.15], ['s3', 3], ['s4', '4']]) {
+    await pollStore.answerPoll(channelName, poll.pollId, student(id), { value }, 1100);
+  }
+  assert.ok((await pollStore.answerPoll(channelName, poll.pollId, student('s5'), { value: 'pi' }, 1100)).error);
+
+  const results = pollStore.summarizePoll(await pollStore.getPoll(channelName, poll.pollId));
+  assert.equal(results.responses, 4);
+  assert.deepEqual(results.numeric, { mean: 3.32, median: 3.145, min: 3, max: 4 });
+  assert.equal(results.correct, 2);
+  assert.equal(results.correctPercentage, 50);
+});
+
+test('timed polls stop taking answers when time is up, and closing records when', async () => {
+  const channelName = newChannel();
+  const { poll } = await pollStore.createPoll(channelName, {
+    format: 'choice', question: 'Q', options: ['A', 'B'], durationSeconds: 10
+  }, 't1', 1000);
+  assert.equal(poll.closesAt, 11000);
+
+  assert.equal(pollStore.isOpen(poll, 10999), true);
+  assert.equal(pollStore.isOpen(poll, 11000), false);
+  assert.equal((await pollStore.answerPoll(channelName, poll.pollId, student('s1'), { choice: 0 }, 12000)).error, 'Poll is closed');
+
+  const closed = await pollStore.closePoll(channelName, poll.pollId, 15000);
+  assert.equal(closed.alreadyClosed, false);
+  assert.equal(closed.poll.closedAt, 11000);
+  assert.equal((await pollStore.closePoll(channelName, poll.pollId, 16000)).alreadyClosed, true);
+});
+
+test('students only see their own answer, and the correct one once the quiz closes', async () => {
+  const channelName = newChannel();
+  const { poll } = await pollStore.createPoll(channelName, {
+    kind: 'quiz', format: 'choice', question: 'Q', options: ['A', 'B'], correctOption: 1
+  }, 't1', 1000);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s1'), { choice: 1 }, 1100);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s2'), { choice: 0 }, 1200);
+
+  const open = pollStore.studentView(await pollStore.getPoll(channelName, poll.pollId), 's2', 1300);
+  assert.equal(open.open, true);
+  assert.equal(open.answers, undefined);
+  assert.equal(open.correctOption, undefined);
+  assert.deepEqual(open.answer, { choice: 0, value: null, answeredAt: 1200 });
+
+  const { poll: closed } = await pollStore.closePoll(channelName, poll.pollId, 1400);
+  const after = pollStore.studentView(closed, 's3', 1500);
+  assert.equal(after.open, false);
+  assert.equal(after.correctOption, 1);
+  assert.equal(after.answer, null);
+});
+
+test('anonymous polls show teachers results but no one\'s answers', async () => {
+  const channelName = newChannel();
+  const { poll } = await pollStore.createPoll(channelName, {
+    kind: 'quiz', format: 'choice', question: 'Q', options: ['A', 'B'], correctOption: 0, anonymous: true
+  }, 't1', 1000);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s1'), { choice: 0 }, 1100);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s2'), { choice: 1 }, 1200);
+  const stored = await pollStore.getPoll(channelName, poll.pollId);
+
+  const view = pollStore.teacherView(stored, 1300);
+  assert.deepEqual(view.answers, []);
+  assert.deepEqual(view.results, { responses: 2, counts: [1, 1], correct: 1, correctPercentage: 50 });
+
+  const [report] = pollEngagement([stored], [], [{ studentId: 's1', totalDataPoints: 5, engagementScore: 80, confusedPercentage: 0 }]);
+  assert.deepEqual(report.students, []);
+  assert.equal(report.results.responses, 2);
+  assert.ok(report.byAnswer.every(group => group.students === 0));
+});
+
+test('named polls set each student\'s answer against their engagement', async () => {
+  const channelName = newChannel();
+  const { poll } = await pollStore.createPoll(channelName, {
+    kind: 'quiz', format: 'choice', question: 'Q', options: ['A', 'B'], correctOption: 0
+  }, 't1', 1000);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s1'), { choice: 0 }, 1100);
+  await pollStore.answerPoll(channelName, poll.pollId, student('s2'), { choice: 1 }, 1200);
+  const stored = await pollStore.getPoll(channelName, poll.pollId);
+
+  const view = pollStore.teacherView(stored, 1300);
+  assert.deepEqual(view.answers.map(a => [a.studentId, a.correct]), [['s1', true], ['s2', false]]);
+
+  const overall = [
+    { studentId: 's1', totalDataPoints: 5, engagementScore: 80, confusedPercentage: 10 },
+    { studentId: 's2', totalDataPoints: 0, engagementScore: 0, confusedPercentage: 0 }
+  ];
+  const [report] = pollEngagement([stored], [], overall);
+  assert.deepEqual(report.students.map(s => [s.studentId, s.answer, s.correct, s.engagementScore]), [
+    ['s1', 'A', true, 80],
+    ['s2', 'B', false, null]
+  ]);
+  assert.deepEqual(report.byAnswer, [
+    { answer: 'correct', students: 1, averageEngagementScore: 80, averageConfusedPercentage: 10 },
+    { answer: 'incorrect', students: 1, averageEngagementScore: null, averageConfusedPercentage: null }
+  ]);
+});
+
+test('answers sent at the same moment are all kept', async () => {
+  const channelName = newChannel();
+  const { poll } = await pollStore.createPoll(channelName, { format: 'choice', question: 'Q', options: ['A', 'B'] }, 't1', 1000);
+
+  const ids = ['s1', 's2', 's3', 's4', 's5', 's6'];
+  const results = await Promise.all(ids.map((id, i) =>
+    pollStore.answerPoll(channelName, poll.pollId, student(id), { choice: i % 2 }, 1100 + i)
+  ));
+  results.forEach(result => assert.equal(result.error, undefined));
+
+  const stored = await pollStore.getPoll(channelName, poll.pollId);
+  assert.deepEqual(stored.answers.map(a => a.studentId), ids);
+  assert.deepEqual(pollStore.summarizePoll(stored).counts, [3, 3]);
+
+  // Closing keeps them
+  const { poll: closed } = await pollStore.closePoll(channelName, poll.pollId, 2000);
+  assert.equal(closed.answers.length, ids.length);
+  assert.equal((await pollStore.getPolls(channelName))[0].answers.length, ids.length);
+});
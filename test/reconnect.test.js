@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Reconnect handling lives in the socket handlers, so run the real server
+// with a short grace period
+const GRACE_MS = 400;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ RECONNECT_GRACE_MS: String(GRACE_MS) });
+});
+
+test.after(() => {
+  if (server) server.stop();
+});
+
+// A live session with its teacher connected; returns the teacher's socket
+async function startClass(t, channelName) {
+  await server.request('POST', '/api/sessions', { channelName, title: 'Reconnect test', teacherId: 't1' });
+  await server.request('POST', `/api/sessions/${channelName}/start`);
+
+  const teacher = server.openSocket(t);
+  teacher.emit('teacher:join', { channelName, teacherId: 't1' });
+  await sleep(100);
+  return teacher;
+}
+
+const eventsAbout = (socket, studentId) => socket.received
+  .filter(([eventName, payload]) => eventName.startsWith('student:') && payload && payload.studentId === studentId)
+  .map(([eventName]) => eventName);
+
+const listStudents = async channelName =>
+  (await server.request('GET', `/api/students/${channelName}`)).body.students.map(s => [s.id, s.connected]);
+
+test('a second tab keeps the student in class when the first closes', async (t) => {
+  const channelName = 'reconnect-tabs';
+  const teacher = await startClass(t, channelName);
+
+  const tab1 = server.openSocket(t);
+  const tab2 = server.openSocket(t);
+  tab1.emit('student:join', { channelName, studentId: 's1' });
+  await sleep(100);
+  tab2.emit('student:join', { channelName, studentId: 's1' });
+  await sleep(100);
+
+  const resumed = tab2.received.find(([eventName]) => eventName === 'session:resumed');
+  assert.equal(resumed[1].reconnected, false);
+
+  tab1.disconnect();
+  await sleep(GRACE_MS + 200);
+  assert.deepEqual(await listStudents(channelName), [['s1', true]]);
+  assert.deepEqual(eventsAbout(teacher, 's1'), ['student:joined']);
+
+  // Leaving from the last tab is immediate
+  tab2.emit('student:leave', { channelName, studentId: 's1' });
+  await sleep(100);
+  assert.deepEqual(await listStudents(channelName), []);
+  assert.deepEqual(eventsAbout(teacher, 's1'), ['student:joined', 'student:left']);
+});
+
+test('a student who comes back within the grace period keeps their place', async (t) => {
+  const channelName = 'reconnect-back';
+  const teacher = await startClass(t, channelName);
+
+  const first = server.openSocket(t);
+  first.emit('student:join', { channelName, studentId: 's2' });
+  await sleep(100);
+  first.disconnect();
+  await sleep(100);
+  assert.deepEqual(await listStudents(channelName), [['s2', false]]);
+
+  const second = server.openSocket(t);
+  second.emit('student:join', { channelName, studentId: 's2' });
+  await sleep(GRACE_MS + 200);
+
+  const resumed = second.received.find(([eventName]) => eventName === 'session:resumed');
+  assert.equal(resumed[1].reconnected, true);
+  assert.deepEqual(await listStudents(channelName), [['s2', true]]);
+  assert.deepEqual(eventsAbout(teacher, 's2'), ['student:joined', 'student:reconnecting', 'student:reconnected']);
+
+  // One attendance interval, still open
+  const { attendance } = (await server.request('GET', `/api/sessions/${channelName}/attendance`)).body;
+  assert.equal(attendance[0].intervals.length, 1);
+});
+
+test('a student who stays away past the grace period is removed', async (t) => {
+  const channelName = 'reconnect-gone';
+  const teacher = await startClass(t, channelName);
+
+  const student = server.openSocket(t);
+  student.emit('student:join', { channelName, studentId: 's3' });
+  await sleep(100);
+  student.disconnect();
+  await sleep(GRACE_MS + 200);
+
+  assert.deepEqual(await listStudents(channelName), []);
+  assert.deepEqual(eventsAbout(teacher, 's3'), ['student:joined', 'student:reconnecting', 'student:left']);
+
+  const { attendance } = (await server.request('GET', `/api/sessions/${channelName}/attendance`)).body;
+  assert.equal(attendance[0].intervals[0].leftReason, 'disconnect');
+});
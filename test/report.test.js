@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReport, buildTimeline } = require('../services/reportBuilder');
+const { renderCsv, renderPdf, CSV_TABLES } = require('../services/reportExport');
+const { resolveScoringOptions } = require('../services/engagementScoring');
+
+const MINUTE = 60000;
+const sample = (minute, studentId, engagement) => ({
+  timestamp: minute * MINUTE, studentId, studentName: `Name ${studentId}`, engagement, confidence: 0.9
+});
+
+// Two students over 20 minutes: an intro topic with a subtopic, then practice
+function classReport(extra = {}) {
+  const analytics = [
+    sample(1, 's1', 'Engaged'), sample(1, 's2', 'Bored'),
+    sample(6, 's1', 'Engaged'), sample(6, 's2', 'Confused'),
+    sample(12, 's1', 'Bored'), sample(12, 's2', 'Engaged'),
+    sample(15, 's1', 'Engaged'), sample(15, 's2', 'Engaged')
+  ];
+  const topics = [
+    { topicId: 'intro', topicName: 'Intro', parentId: null, startTime: 0, endTime: 10 * MINUTE },
+    { topicId: 'demo', topicName: 'Demo, part 1', parentId: 'intro', startTime: 5 * MINUTE, endTime: 8 * MINUTE },
+    { topicId: 'practice', topicName: 'Practice', parentId: null, startTime: 10 * MINUTE, endTime: null }
+  ];
+  return buildReport({
+    channelName: 'class-1',
+    session: { title: 'Algebra', course: 'MATH1', startedAt: 0, endedAt: 20 * MINUTE, agenda: [] },
+    analytics,
+    topics,
+    alerts: [{ type: 'confusion_spike', raisedAt: 6 * MINUTE }],
+    questions: [{ askedAt: 12 * MINUTE }, { askedAt: 13 * MINUTE }],
+    scoring: resolveScoringOptions({ scoring: 'count' }),
+    ...extra
+  });
+}
+
+test('the report breaks engagement down by topic, subtopic and student', () => {
+  const report = classReport();
+
+  assert.deepEqual(report.topics.map(t => [t.topicName, t.totalDataPoints, t.classAverageEngagement]), [
+    ['Intro', 4, 50],
+    ['Practice', 4, 75]
+  ]);
+  const [intro, practice] = report.topics;
+  assert.deepEqual(intro.subtopics.map(t => [t.topicName, t.totalDataPoints, t.confusedRate]), [['Demo, part 1', 2, 50]]);
+  assert.deepEqual(intro.studentStats.map(s => [s.studentId, s.engagementPercentage]), [['s1', 100], ['s2', 0]]);
+  assert.equal(intro.alertCount, 1);
+  assert.equal(practice.questionCount, 2);
+  assert.equal(practice.duration, null);
+
+  assert.deepEqual(report.overallStats.map(s => [s.studentName, s.totalDataPoints, s.engagementScore]), [
+    ['Name s1', 4, 75],
+    ['Name s2', 4, 50]
+  ]);
+  assert.equal(report.overallClassAverage, 62.5);
+  assert.equal(report.agenda, null);
+});
+
+test('the timeline splits samples into buckets with the engaged share of each', () => {
+  const timeline = buildTimeline([sample(0, 's1', 'Engaged'), sample(1, 's2', 'Bored'), sample(2, 's1', 'Engaged')], { bucketMs: 2 * MINUTE });
+  assert.deepEqual(timeline.map(b => [b.start, b.samples, b.students, b.engagedPercentage]), [
+    [0, 2, 2, 50],
+    [2 * MINUTE, 1, 1, 100]
+  ]);
+  assert.deepEqual(buildTimeline([]), []);
+});
+
+test('every CSV table has its header and one row per item', () => {
+  const report = classReport();
+  const lines = table => renderCsv(report, table).trim().split(/\r?\n/);
+
+  assert.match(lines('overall')[0], /^studentId,studentName,totalDataPoints,attendedSeconds,engagementScore,engagementPercentage$/);
+  assert.equal(lines('overall').length, 3);
+  // Three topics, counting the subtopic; the comma in its name is quoted
+  assert.equal(lines('topics').length, 4);
+  assert.match(lines('topics')[2], /^"Demo, part 1",Intro,/);
+  assert.equal(lines('students').length, 1 + 3 * 2);
+  assert.equal(lines('agenda').length, 1);
+  assert.equal(lines('polls').length, 1);
+  assert.deepEqual(CSV_TABLES, ['overall', 'students', 'topics', 'agenda', 'polls']);
+});
+
+test('the PDF renders for a full report and for a class with no data', async () => {
+  const pdf = await renderPdf(classReport());
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+
+  const empty = await renderPdf(classReport({ analytics: [], topics: [], alerts: [], questions: [] }));
+  assert.equal(empty.subarray(0, 5).toString(), '%PDF-');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sessionStore = require('../services/sessionStore');
+const { checkStaff, checkOwner, checkLead, checkHost } = require('../middleware/sessionAccess');
+
+// Just enough of express's res to see what was sent
+function fakeResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+test("only a session's teaching staff may read it", async () => {
+  const channelName = 'session-access-test';
+  await sessionStore.createSession({ channelName, title: 'Access', teacherId: 't1' });
+  await sessionStore.setStaff(channelName, [{ userId: 't2', role: 'co_teacher' }, { userId: 't3', role: 'ta' }]);
+
+  const check = async (user, name = channelName) => {
+    const res = fakeResponse();
+    const session = await checkStaff({ params: { channelName: name }, user }, res);
+    return { allowed: Boolean(session), status: res.statusCode };
+  };
+
+  for (const userId of ['t1', 't2', 't3']) {
+    assert.deepEqual(await check({ userId, role: 'teacher' }), { allowed: true, status: 200 }, userId);
+  }
+  assert.deepEqual(await check({ userId: 't4', role: 'teacher' }), { allowed: false, status: 403 });
+  assert.deepEqual(await check({ userId: 't1', role: 'teacher' }, 'no-such-session'), { allowed: false, status: 404 });
+  // Demo mode: no user, nothing to check
+  assert.deepEqual(await check(null), { allowed: true, status: 200 });
+});
+
+test('staffRole and canLead tell owners, co-teachers and TAs apart', async () => {
+  const session = await sessionStore.createSession({ channelName: 'session-roles-test', title: 'Roles', teacherId: 't1' });
+  session.staff = [{ userId: 't2', role: 'co_teacher' }, { userId: 't3', role: 'ta' }];
+
+  assert.deepEqual(['t1', 't2', 't3', 't4'].map(id => sessionStore.staffRole(session, id)), ['owner', 'co_teacher', 'ta', null]);
+  assert.deepEqual(['t1', 't2', 't3', 't4'].map(id => sessionStore.canLead(session, id)), [true, true, false, false]);
+  assert.equal(sessionStore.staffRole(session, null), null);
+});
+
+test('owner, lead and host checks follow the staff roles and the current host', async () => {
+  const channelName = 'session-checks-test';
+  await sessionStore.createSession({ channelName, title: 'Checks', teacherId: 't1' });
+  await sessionStore.setStaff(channelName, [{ userId: 't2', role: 'co_teacher' }, { userId: 't3', role: 'ta' }]);
+  await sessionStore.setHost(channelName, 't2');
+
+  const allowed = async (check, userId) => {
+    const session = await check({ params: { channelName }, user: { userId, role: 'teacher' } }, fakeResponse());
+    return Boolean(session);
+  };
+  const who = async check => {
+    const ids = [];
+    for (const userId of ['t1', 't2', 't3', 't4']) {
+      if (await allowed(check, userId)) ids.push(userId);
+    }
+    return ids;
+  };
+
+  assert.deepEqual(await who(checkOwner), ['t1']);
+  assert.deepEqual(await who(checkLead), ['t1', 't2']);
+  assert.deepEqual(await who(checkHost), ['t1', 't2']);
+
+  await sessionStore.setHost(channelName, 't1');
+  assert.deepEqual(await who(checkHost), ['t1']);
+});
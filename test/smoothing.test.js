@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngagementSmoother } = require('../services/ml/smoothing');
+
+const sample = (engagement, confidence = 0.8, timestamp = 1000) => ({ engagement, confidence, timestamp });
+
+test('majority smoothing ignores a single flicker and changes after a steady run', () => {
+  const smoother = createEngagementSmoother({ method: 'majority', windowSize: 3 });
+
+  assert.deepEqual(smoother.update('s1', sample('Engaged', 0.9)), { engagement: 'Engaged', confidence: 0.9, changed: true });
+  assert.equal(smoother.update('s1', sample('Engaged', 0.7)).changed, false);
+
+  const flicker = smoother.update('s1', sample('Bored'));
+  assert.equal(flicker.engagement, 'Engaged');
+  assert.equal(flicker.changed, false);
+  assert.ok(Math.abs(flicker.confidence - 0.8) < 1e-9);
+
+  // The window is now Engaged, Bored, Bored
+  assert.deepEqual(smoother.update('s1', sample('Bored')), { engagement: 'Bored', confidence: 0.8, changed: true });
+});
+
+test('majority ties go to the label seen most recently', () => {
+  const smoother = createEngagementSmoother({ method: 'majority', windowSize: 5 });
+  ['Engaged', 'Bored', 'Bored', 'Engaged'].forEach(label => smoother.update('s1', sample(label)));
+  assert.equal(smoother.update('s1', sample('Confused')).engagement, 'Engaged');
+});
+
+test('decay smoothing lets old evidence fade with the half-life', () => {
+  const smoother = createEngagementSmoother({ method: 'decay', halfLifeMs: 1000 });
+
+  smoother.update('s1', sample('Engaged', 0.9, 0));
+  // Half a second later the old score still outweighs a weaker new label
+  assert.equal(smoother.update('s1', sample('Confused', 0.5, 500)).engagement, 'Engaged');
+
+  // Much later it has faded away
+  const late = smoother.update('s1', sample('Confused', 0.5, 10000));
+  assert.equal(late.engagement, 'Confused');
+  assert.equal(late.changed, true);
+  assert.ok(late.confidence > 0.99);
+});
+
+test('low-confidence samples are ignored and the last state is kept', () => {
+  const smoother = createEngagementSmoother({ method: 'none', minConfidence: 0.5 });
+
+  assert.equal(smoother.update('s1', sample('Bored', 0.2)), null);
+  assert.equal(smoother.update('s1', { engagement: 'Bored' }), null);
+  smoother.update('s1', sample('Engaged', 0.6));
+  assert.deepEqual(smoother.update('s1', sample('Bored', 0.3)), { engagement: 'Engaged', confidence: 0.6, changed: false });
+  assert.deepEqual(smoother.update('s1', sample('Bored', 0.5)), { engagement: 'Bored', confidence: 0.5, changed: true });
+});
+
+test('students are smoothed separately and reset forgets one', () => {
+  const smoother = createEngagementSmoother({ method: 'majority', windowSize: 5 });
+  smoother.update('s1', sample('Engaged'));
+  smoother.update('s1', sample('Engaged'));
+  assert.equal(smoother.update('s2', sample('Bored')).engagement, 'Bored');
+
+  smoother.reset('s1');
+  assert.deepEqual(smoother.update('s1', sample('Confused')), { engagement: 'Confused', confidence: 0.8, changed: true });
+});
+
+test('an unknown method is refused', () => {
+  assert.throws(() => createEngagementSmoother({ method: 'median' }), /Unknown smoothing method: median/);
+});
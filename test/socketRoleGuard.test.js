@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { JWT_SECRET, EVENT_ROLES, socketAuth, socketRoleGuard } = require('../middleware/auth');
+const { Student, Teacher } = require('../models/User');
+
+// Minimal socket: the authenticated user and what was emitted back
+function fakeSocket(user) {
+  const emitted = [];
+  return {
+    data: { user },
+    emitted,
+    emit: (eventName, payload) => emitted.push([eventName, payload])
+  };
+}
+
+// Run one packet through the guard; true if it was let through
+function send(socket, eventName) {
+  let passed = false;
+  socketRoleGuard(socket)([eventName, {}], () => { passed = true; });
+  return passed;
+}
+
+test('every restricted event names known roles', () => {
+  Object.entries(EVENT_ROLES).forEach(([eventName, roles]) => {
+    assert.ok(roles.length > 0, eventName);
+    roles.forEach(role => assert.ok(['student', 'teacher'].includes(role), `${eventName}: ${role}`));
+  });
+});
+
+test('a connected socket is refused the events its role may not send', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  // Auth is on whenever MongoDB is configured; the token's user is looked up by ID
+  const mongoUri = process.env.MONGODB_URI;
+  process.env.MONGODB_URI = 'mongodb://socket-role-guard-test';
+  t.after(() => {
+    if (mongoUri === undefined) delete process.env.MONGODB_URI;
+    else process.env.MONGODB_URI = mongoUri;
+  });
+  t.mock.method(Student, 'findById', async id => (id === 's1' ? { _id: 's1', email: 's1@example.com', name: 'Sam' } : null));
+  t.mock.method(Teacher, 'findById', async id => (id === 't1' ? { _id: 't1', email: 't1@example.com', name: 'Ms T' } : null));
+
+  // Wired like server.js: authenticate the handshake, then guard every packet
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  const handled = [];
+  io.use(socketAuth);
+  io.on('connection', (socket) => {
+    socket.use(socketRoleGuard(socket));
+    Object.keys(EVENT_ROLES).forEach(eventName => socket.on(eventName, (data, ack) => {
+      handled.push(`${socket.data.user.role} ${eventName}`);
+      if (typeof ack === 'function') ack({ success: true });
+    }));
+  });
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  t.after(() => io.close());
+
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  const open = auth => new Promise((resolve, reject) => {
+    const socket = connect(url, { auth, transports: ['websocket'], reconnection: false });
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', (error) => {
+      socket.close();
+      reject(error);
+    });
+  });
+  const tokenFor = (userId, role) => jwt.sign({ userId, role }, JWT_SECRET);
+
+  await assert.rejects(open({}), { message: 'Authentication required' });
+  await assert.rejects(open({ token: 'forged' }), { message: 'Authentication required' });
+
+  const student = await open({ token: tokenFor('s1', 'student') });
+  const teacher = await open({ token: tokenFor('t1', 'teacher') });
+  t.after(() => {
+    student.close();
+    teacher.close();
+  });
+  const refused = [];
+  student.on('auth:error', ({ error, event }) => refused.push(`student ${event}: ${error}`));
+  teacher.on('auth:error', ({ error, event }) => refused.push(`teacher ${event}: ${error}`));
+
+  student.emit('poll:create', { channelName: 'c1' });
+  student.emit('teacher:join', { channelName: 'c1' });
+  teacher.emit('frame:send', { channelName: 'c1' });
+  // Packets on a socket arrive in order, so once these are answered the refusals are in
+  await student.emitWithAck('poll:answer', { channelName: 'c1' });
+  await teacher.emitWithAck('poll:close', { channelName: 'c1' });
+
+  assert.deepEqual(refused.sort(), [
+    'student poll:create: Not allowed',
+    'student teacher:join: Not allowed',
+    'teacher frame:send: Not allowed'
+  ]);
+  assert.deepEqual(handled.sort(), ['student poll:answer', 'teacher poll:close']);
+});
+
+test('students cannot run teacher-only events', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const teacherOnly = [
+    'teacher:join', 'teacher:leave', 'whiteboard:grantPen', 'whiteboard:revokePen', 'whiteboard:removeStroke',
+    'agenda:advance', 'host:transfer', 'question:answer', 'question:pin', 'poll:create', 'poll:close'
+  ];
+  teacherOnly.forEach(eventName => assert.deepEqual(EVENT_ROLES[eventName], ['teacher'], eventName));
+
+  const socket = fakeSocket({ userId: 's1', role: 'student' });
+  teacherOnly.forEach(eventName => {
+    assert.equal(send(socket, eventName), false, eventName);
+  });
+  assert.deepEqual(socket.emitted[0], ['auth:error', { error: 'Not allowed', event: 'teacher:join' }]);
+  assert.equal(socket.emitted.length, teacherOnly.length);
+});
+
+test('teachers cannot run student-only events', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const studentOnly = ['student:join', 'student:leave', 'frame:send', 'question:ask', 'question:upvote', 'poll:answer'];
+  studentOnly.forEach(eventName => assert.deepEqual(EVENT_ROLES[eventName], ['student'], eventName));
+
+  const socket = fakeSocket({ userId: 't1', role: 'teacher' });
+  studentOnly.forEach(eventName => {
+    assert.equal(send(socket, eventName), false, eventName);
+  });
+  assert.equal(socket.emitted.length, studentOnly.length);
+});
+
+test('allowed, unlisted and demo-mode events go through', () => {
+  const student = fakeSocket({ userId: 's1', role: 'student' });
+  assert.equal(send(student, 'student:join'), true);
+  assert.equal(send(student, 'poll:answer'), true);
+  // Drawing and chat are checked per channel by their handlers
+  assert.equal(send(student, 'whiteboard:draw'), true);
+  assert.equal(send(student, 'chat:message'), true);
+
+  const teacher = fakeSocket({ userId: 't1', role: 'teacher' });
+  assert.equal(send(teacher, 'poll:create'), true);
+
+  // No user: auth is off and clients are trusted
+  assert.equal(send(fakeSocket(null), 'poll:create'), true);
+  assert.deepEqual([...student.emitted, ...teacher.emitted], []);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage, createRedisStorage } = require('../services/storage');
+
+// The same checks run against every backend; Redis only when REDIS_URL is set
+const backends = [['memory', async () => ({ storage: createMemoryStorage(), close: async () => {} })]];
+if (process.env.REDIS_URL) {
+  backends.push(['redis', async () => {
+    const client = require('redis').createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    const storage = createRedisStorage(client, { prefix: `storage-test:${process.pid}:` });
+    return { storage, close: () => client.disconnect() };
+  }]);
+}
+
+for (const [name, connect] of backends) {
+  test(`${name} storage`, async (t) => {
+    const { storage, close } = await connect();
+    t.after(async () => {
+      await Promise.all(['h', 'l', 's', 'z', 'n'].map(key => storage.del(key)));
+      await close();
+    });
+
+    await t.test('hashes hold JSON values and hand back copies', async () => {
+      const value = { a: [1, 2] };
+      await storage.hset('h', 'x', value);
+      value.a.push(3);
+      assert.deepEqual(await storage.hget('h', 'x'), { a: [1, 2] });
+      assert.equal(await storage.hget('h', 'missing'), null);
+
+      await storage.hmset('h', { y: 'two', z: undefined, n: null });
+      assert.deepEqual(await storage.hgetall('h'), { x: { a: [1, 2] }, y: 'two', n: null });
+      assert.equal(await storage.hlen('h'), 3);
+
+      assert.equal(await storage.hsetnx('h', 'y', 'other'), false);
+      assert.equal(await storage.hsetnx('h', 'w', 'new'), true);
+      assert.equal(await storage.hdel('h', 'w'), true);
+      assert.equal(await storage.hdel('h', 'w'), false);
+      assert.deepEqual(await storage.hgetall('nothing'), {});
+    });
+
+    await t.test('counters only move up, even when bumped at once', async () => {
+      await Promise.all([storage.hincrby('h', 'c', 5), storage.hincrby('h', 'c', 7)]);
+      assert.equal(await storage.hget('h', 'c'), 12);
+      assert.equal(await storage.incr('n'), 1);
+      assert.equal(await storage.incr('n'), 2);
+    });
+
+    await t.test('lists keep order and ltake empties them', async () => {
+      await storage.rpush('l', { i: 1 });
+      await storage.rpush('l', { i: 2 });
+      assert.deepEqual(await storage.lrange('l'), [{ i: 1 }, { i: 2 }]);
+      assert.deepEqual(await storage.ltake('l'), [{ i: 1 }, { i: 2 }]);
+      assert.deepEqual(await storage.ltake('l'), []);
+    });
+
+    await t.test('sets hold each member once, as strings', async () => {
+      await storage.sadd('s', 1);
+      await storage.sadd('s', '1');
+      await storage.sadd('s', 'b');
+      await storage.srem('s', 'b');
+      assert.deepEqual(await storage.smembers('s'), ['1']);
+    });
+
+    await t.test('sorted sets return members by score and trim by score', async () => {
+      await storage.zadd('z', 30, { id: 'c' });
+      await storage.zadd('z', 10, { id: 'a' });
+      await storage.zadd('z', 20, { id: 'b' });
+      await storage.zadd('z', 40, { id: 'a' });
+      assert.deepEqual(await storage.zrangebyscore('z', -Infinity, Infinity), [{ id: 'b' }, { id: 'c' }, { id: 'a' }]);
+      assert.deepEqual(await storage.zrangebyscore('z', 25, 40), [{ id: 'c' }, { id: 'a' }]);
+
+      assert.equal(await storage.zremrangebyscore('z', -Infinity, 30), 2);
+      await storage.zrem('z', { id: 'a' });
+      assert.deepEqual(await storage.zrangebyscore('z', -Infinity, Infinity), []);
+    });
+
+    await t.test('del removes a key of any kind', async () => {
+      await storage.hset('h', 'x', 1);
+      await storage.del('h');
+      assert.deepEqual(await storage.hgetall('h'), {});
+    });
+  });
+}
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analyticsStore = require('../services/analyticsStore');
+const sessionStore = require('../services/sessionStore');
+const { resolveScoringOptions } = require('../services/engagementScoring');
+const { computeTrend, getStudentHistory, getCourseHistory } = require('../services/studentHistory');
+
+// Without MongoDB, students are known only from their samples
+const COURSE = 'history-course';
+const scoring = resolveScoringOptions({ scoring: 'count' });
+
+test.before(async () => {
+  // Three sessions of the course, started a second apart
+  for (const [index, channelName] of ['history-1', 'history-2', 'history-3'].entries()) {
+    await sessionStore.createSession({ channelName, title: `Lesson ${index + 1}`, course: COURSE, teacherId: 't1' });
+    const realNow = Date.now;
+    Date.now = () => (index + 1) * 1000;
+    try {
+      await sessionStore.startSession(channelName);
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  const record = (channelName, timestamp, studentId, engagement) =>
+    analyticsStore.recordSample(channelName, { timestamp, studentId, studentName: `Name ${studentId}`, engagement, confidence: 1 });
+
+  // s1: 100 then 50, misses the third lesson
+  await record('history-1', 1100, 's1', 'Engaged');
+  await record('history-1', 1200, 's1', 'Engaged');
+  await record('history-2', 2100, 's1', 'Engaged');
+  await record('history-2', 2200, 's1', 'Bored');
+  // s2: 0, 100, 50
+  await record('history-1', 1100, 's2', 'Bored');
+  await record('history-2', 2100, 's2', 'Engaged');
+  await record('history-3', 3100, 's2', 'Engaged');
+  await record('history-3', 3200, 's2', 'Confused');
+});
+
+test('computeTrend needs two sessions and reads the slope against the threshold', () => {
+  assert.equal(computeTrend([80]).direction, 'insufficient_data');
+  assert.deepEqual(computeTrend([50, 51, 52]), { direction: 'steady', slope: 1, change: 2 });
+  assert.deepEqual(computeTrend([40, 60, 80]), { direction: 'improving', slope: 20, change: 40 });
+  assert.equal(computeTrend([90, 60, 30]).direction, 'declining');
+});
+
+test('a student history lists the sessions they attended, oldest first', async () => {
+  const history = await getStudentHistory('s1', scoring);
+
+  assert.equal(history.student.name, 'Name s1');
+  assert.deepEqual(history.sessions.map(s => [s.channelName, s.attended, s.engagementScore, s.samples]), [
+    ['history-1', true, 100, 2],
+    ['history-2', true, 50, 2]
+  ]);
+  assert.equal(history.sessions[0].title, 'Lesson 1');
+  assert.equal(history.summary.averageEngagementScore, 75);
+  assert.equal(history.summary.trend.direction, 'declining');
+
+  assert.equal(await getStudentHistory('nobody', scoring), null);
+});
+
+test('a course history includes missed sessions and puts the least engaged first', async () => {
+  const history = await getCourseHistory(COURSE, scoring);
+
+  assert.deepEqual(history.students.map(s => [s.student.studentId, s.summary.averageEngagementScore, s.summary.trend.direction]), [
+    ['s2', 50, 'improving'],
+    ['s1', 75, 'declining']
+  ]);
+
+  const s1 = history.students[1];
+  assert.equal(s1.summary.sessionsAttended, 2);
+  assert.equal(s1.summary.sessionsMissed, 1);
+  assert.deepEqual(s1.sessions[2], {
+    channelName: 'history-3',
+    title: 'Lesson 3',
+    course: COURSE,
+    startedAt: 3000,
+    endedAt: null,
+    attended: false,
+    firstSeen: null,
+    lastSeen: null,
+    samples: 0,
+    attendanceMinutes: 0,
+    engagementScore: null,
+    engagementPercentage: null,
+    statePercentages: null
+  });
+
+  assert.deepEqual(history.summary, { students: 2, sessions: 3, averageEngagementScore: 62.5, declining: ['s1'] });
+
+  const empty = await getCourseHistory('no-such-course', scoring);
+  assert.deepEqual(empty.students, []);
+  assert.equal(empty.summary.averageEngagementScore, null);
+});
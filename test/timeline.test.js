@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analyticsStore = require('../services/analyticsStore');
+
+// Samples are buffered in shared in-memory storage when MongoDB isn't connected
+let channelCount = 0;
+const newChannel = () => `timeline-test-${++channelCount}`;
+const MINUTE = 60000;
+
+async function record(channelName, samples) {
+  for (const [at, studentId, engagement, confidence] of samples) {
+    await analyticsStore.recordSample(channelName, { timestamp: at, studentId, studentName: studentId, engagement, confidence });
+  }
+}
+
+test('samples are counted per aligned bucket, with empty buckets filling the gaps', async () => {
+  const channelName = newChannel();
+  await record(channelName, [
+    [MINUTE + 5000, 's1', 'Engaged', 0.9],
+    [MINUTE + 30000, 's2', 'Bored', 0.5],
+    [3 * MINUTE + 1000, 's1', 'Confused', undefined]
+  ]);
+
+  const buckets = await analyticsStore.getTimeline(channelName, { bucketMs: MINUTE });
+  assert.deepEqual(buckets.map(b => [b.start, b.end, b.total, b.meanConfidence]), [
+    [MINUTE, 2 * MINUTE, 2, 0.7],
+    [2 * MINUTE, 3 * MINUTE, 0, null],
+    [3 * MINUTE, 4 * MINUTE, 1, null]
+  ]);
+  assert.deepEqual(buckets[0].counts, { Engaged: 1, Bored: 1, Confused: 0, 'Not Paying Attention': 0 });
+});
+
+test('a student and a time range narrow the timeline', async () => {
+  const channelName = newChannel();
+  await record(channelName, [
+    [0, 's1', 'Engaged', 1],
+    [MINUTE, 's2', 'Bored', 1],
+    [2 * MINUTE, 's1', 'Bored', 1],
+    [5 * MINUTE, 's1', 'Engaged', 1]
+  ]);
+
+  const s1 = await analyticsStore.getTimeline(channelName, { bucketMs: 2 * MINUTE, studentId: 's1' });
+  assert.deepEqual(s1.map(b => [b.start, b.total]), [[0, 1], [2 * MINUTE, 1], [4 * MINUTE, 1]]);
+
+  // from/to set the span even where there is no data
+  const ranged = await analyticsStore.getTimeline(channelName, { bucketMs: MINUTE, from: MINUTE, to: 3 * MINUTE + 10 });
+  assert.deepEqual(ranged.map(b => [b.start, b.total]), [[MINUTE, 1], [2 * MINUTE, 1], [3 * MINUTE, 0]]);
+});
+
+test('no data gives no buckets, and huge ranges are refused', async () => {
+  const channelName = newChannel();
+  assert.deepEqual(await analyticsStore.getTimeline(channelName, { bucketMs: MINUTE }), []);
+  await assert.rejects(
+    analyticsStore.getTimeline(channelName, { bucketMs: 1000, from: 0, to: 365 * 24 * 60 * MINUTE }),
+    { code: 'TOO_MANY_BUCKETS' }
+  );
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const topicStore = require('../services/topicStore');
+
+// Topics live in shared in-memory storage when MongoDB isn't connected
+let channelCount = 0;
+const newChannel = () => `topic-test-${++channelCount}`;
+
+test('cleanTopicName trims names and rejects empty or overlong ones', () => {
+  assert.equal(topicStore.cleanTopicName('  Loops  '), 'Loops');
+  assert.equal(topicStore.cleanTopicName('   '), null);
+  assert.equal(topicStore.cleanTopicName(42), null);
+  assert.equal(topicStore.cleanTopicName('x'.repeat(topicStore.MAX_TOPIC_NAME_LENGTH + 1)), null);
+});
+
+test('starting a topic closes the running one along with its subtopics', async () => {
+  const channelName = newChannel();
+  const { topic: intro } = await topicStore.startTopic(channelName, { topicName: 'Intro' }, 1000);
+  const { topic: sub } = await topicStore.startTopic(channelName, { topicName: 'History', parentId: intro.topicId }, 1500);
+
+  assert.deepEqual(await topicStore.getCurrentTopics(channelName), { topic: intro, subtopic: sub });
+
+  const { topic: loops, closed } = await topicStore.startTopic(channelName, { topicName: 'Loops', agendaItemId: 'item-2' }, 2000);
+  assert.deepEqual(closed.map(t => [t.topicName, t.endTime]).sort(), [['History', 2000], ['Intro', 2000]]);
+  assert.equal(loops.agendaItemId, 'item-2');
+  assert.deepEqual(await topicStore.getCurrentTopics(channelName), { topic: loops, subtopic: null });
+  assert.deepEqual((await topicStore.getTopics(channelName)).map(t => t.topicName), ['Intro', 'History', 'Loops']);
+});
+
+test('subtopics need a running top-level parent', async () => {
+  const channelName = newChannel();
+  const { topic: parent } = await topicStore.startTopic(channelName, { topicName: 'Parent' }, 1000);
+  const { topic: child } = await topicStore.startTopic(channelName, { topicName: 'Child', parentId: parent.topicId }, 1100);
+
+  assert.deepEqual(await topicStore.startTopic(channelName, { topicName: 'x', parentId: 'missing' }), { error: 'Parent topic not found' });
+  assert.deepEqual(await topicStore.startTopic(channelName, { topicName: 'x', parentId: child.topicId }), { error: 'Subtopics cannot have subtopics' });
+  assert.match((await topicStore.startTopic(channelName, { topicName: ' ' })).error, /Topic name/);
+
+  await topicStore.endTopic(channelName, parent.topicId, 1200);
+  assert.deepEqual(await topicStore.startTopic(channelName, { topicName: 'x', parentId: parent.topicId }), { error: 'Parent topic has already ended' });
+});
+
+test('endTopic ends the running topic, or a given one, and never twice', async () => {
+  const channelName = newChannel();
+  assert.deepEqual(await topicStore.endTopic(channelName), { topic: null, closed: [] });
+
+  const { topic } = await topicStore.startTopic(channelName, { topicName: 'Only' }, 5000);
+  // An end time before the start is clamped to the start
+  const { topic: ended } = await topicStore.endTopic(channelName, null, 4000);
+  assert.equal(ended.endTime, 5000);
+
+  assert.deepEqual(await topicStore.endTopic(channelName, topic.topicId), { error: 'Topic has already ended' });
+  assert.deepEqual(await topicStore.endTopic(channelName, 'missing'), { error: 'Topic not found' });
+});
+
+test('updateTopic renames and re-times topics within their level and parent', async () => {
+  const channelName = newChannel();
+  const { topic: first } = await topicStore.startTopic(channelName, { topicName: 'First' }, 1000);
+  const { topic: child } = await topicStore.startTopic(channelName, { topicName: 'Child', parentId: first.topicId }, 1200);
+  const { topic: second } = await topicStore.startTopic(channelName, { topicName: 'Second' }, 2000);
+  const now = 10000;
+
+  const renamed = await topicStore.updateTopic(channelName, second.topicId, { topicName: ' Renamed ', endTime: 3000 }, now);
+  assert.deepEqual([renamed.topic.topicName, renamed.topic.endTime], ['Renamed', 3000]);
+
+  const errors = [
+    [second.topicId, { startTime: 20000 }, 'Topics cannot start in the future'],
+    [second.topicId, { endTime: 1500 }, 'endTime must be after startTime'],
+    [second.topicId, { startTime: 1500 }, 'Topic would overlap "First"'],
+    [child.topicId, { startTime: 900 }, 'Subtopic must stay within "First"'],
+    [first.topicId, { startTime: 1300 }, 'Subtopic "Child" would fall outside this topic'],
+    ['missing', { topicName: 'x' }, 'Topic not found']
+  ];
+  for (const [topicId, changes, error] of errors) {
+    assert.deepEqual(await topicStore.updateTopic(channelName, topicId, changes, now), { error });
+  }
+
+  // Reopening the last topic is fine
+  const reopened = await topicStore.updateTopic(channelName, second.topicId, { endTime: null }, now);
+  assert.equal(reopened.topic.endTime, null);
+});
+
+test('deleting a topic deletes its subtopics too', async () => {
+  const channelName = newChannel();
+  const { topic: parent } = await topicStore.startTopic(channelName, { topicName: 'Parent' }, 1000);
+  await topicStore.startTopic(channelName, { topicName: 'Child', parentId: parent.topicId }, 1100);
+  const { topic: other } = await topicStore.startTopic(channelName, { topicName: 'Other' }, 2000);
+
+  const { deleted } = await topicStore.deleteTopic(channelName, parent.topicId);
+  assert.deepEqual(deleted.map(t => t.topicName).sort(), ['Child', 'Parent']);
+  assert.deepEqual(await topicStore.getTopics(channelName), [other]);
+  assert.deepEqual(await topicStore.deleteTopic(channelName, parent.topicId), { error: 'Topic not found' });
+});
+
+test('endAllTopics closes everything still running', async () => {
+  const channelName = newChannel();
+  const { topic: parent } = await topicStore.startTopic(channelName, { topicName: 'Parent' }, 1000);
+  await topicStore.startTopic(channelName, { topicName: 'Child', parentId: parent.topicId }, 1100);
+
+  assert.equal((await topicStore.endAllTopics(channelName, 3000)).length, 2);
+  assert.ok((await topicStore.getTopics(channelName)).every(t => t.endTime === 3000));
+  assert.deepEqual(await topicStore.getCurrentTopics(channelName), { topic: null, subtopic: null });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderSvg, renderPdf, DEFAULT_WIDTH, DEFAULT_HEIGHT } = require('../services/whiteboardExport');
+
+const board = (...pages) => ({ channelName: 'class-1', pages: pages.map(strokes => ({ strokes })) });
+const paths = svg => svg.match(/<path [^>]*\/>/g) || [];
+
+test('lines and polylines become SVG paths on their page', () => {
+  const svg = renderSvg(board(
+    [{ x0: 10, y0: 20, x1: 30, y1: 40, color: '#ff0000', lineWidth: 4 }],
+    [{ points: [[1, 2], { x: 3, y: 4 }, [5, 6]] }]
+  ));
+
+  assert.match(svg, /<svg [^>]*width="1280" height="1480"/);
+  assert.match(svg, /<g id="page-2" transform="translate\(0 760\)">/);
+  assert.deepEqual(paths(svg), [
+    '<path d="M10 20 L30 40" stroke="#ff0000" stroke-width="4"/>',
+    '<path d="M1 2 L3 4 L5 6" stroke="#000000" stroke-width="2"/>'
+  ]);
+});
+
+test('coordinates within 0..1 are scaled to the page', () => {
+  const svg = renderSvg(board([{ x0: 0, y0: 0, x1: 1, y1: 0.5 }]));
+  assert.deepEqual(paths(svg), [`<path d="M0 0 L${DEFAULT_WIDTH} ${DEFAULT_HEIGHT / 2}" stroke="#000000" stroke-width="2"/>`]);
+});
+
+test('eraser strokes use the background and text is escaped', () => {
+  const svg = renderSvg({ channelName: '<b>&', pages: [{ strokes: [
+    { x0: 2, y0: 2, x1: 3, y1: 3, tool: 'eraser', color: '#123456' },
+    { x0: 2, y0: 2, x1: 3, y1: 3, color: '"><script>' }
+  ] }] });
+
+  assert.match(svg, /<title>&lt;b&gt;&amp; whiteboard<\/title>/);
+  assert.match(paths(svg)[0], /stroke="#ffffff"/);
+  assert.match(paths(svg)[1], /stroke="&quot;&gt;&lt;script&gt;"/);
+});
+
+test('malformed points and shapeless strokes are skipped', () => {
+  const svg = renderSvg(board([
+    { points: [null, 5, 'a', [2, 3], { x: 'n', y: 1 }, { x: 4, y: 5 }] },
+    { points: [null] },
+    { x0: 1 },
+    { text: 'hello' }
+  ]));
+  assert.deepEqual(paths(svg), ['<path d="M2 3 L4 5" stroke="#000000" stroke-width="2"/>']);
+});
+
+test('huge coordinates and widths are drawn at the limit instead of breaking the PDF', async () => {
+  const snapshot = board([
+    { x0: 1e300, y0: 0, x1: 1, y1: -1e300, lineWidth: 1e300 },
+    { points: [[0, 0], [1e25, 2]] }
+  ]);
+
+  const pdf = await renderPdf(snapshot);
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.match(paths(renderSvg(snapshot))[0], /^<path d="M100000 0 L1 -100000" stroke="#000000" stroke-width="200"\/>$/);
+});
+
+test('a PDF has one page per board page', async () => {
+  const pdf = (await renderPdf(board([], [{ x0: 1, y0: 1, x1: 2, y1: 2 }], []))).toString('latin1');
+  assert.equal((pdf.match(/\/Type \/Page\b/g) || []).length, 3);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const whiteboardStore = require('../services/whiteboardStore');
+
+// Boards live in shared in-memory storage when Redis isn't configured
+let channelCount = 0;
+const newChannel = () => `wb-test-${++channelCount}`;
+
+const line = (strokeId, authorId = 't1', extra = {}) => ({
+  strokeId, authorId, timestamp: 1000, x0: 0, y0: 0, x1: 10, y1: 10, ...extra
+});
+
+test('a new board has one empty page', async () => {
+  const snapshot = await whiteboardStore.getSnapshot(newChannel());
+  assert.deepEqual(snapshot.pages, [{ strokes: [] }]);
+  assert.equal(snapshot.currentPage, 0);
+  assert.deepEqual(snapshot.penHolders, []);
+});
+
+test('strokes are kept in drawing order on the page they were drawn on', async () => {
+  const channelName = newChannel();
+  assert.equal(await whiteboardStore.addStroke(channelName, line('a')), true);
+  assert.equal(await whiteboardStore.addPage(channelName), 1);
+  assert.equal(await whiteboardStore.addStroke(channelName, line('b')), true);
+  assert.equal(await whiteboardStore.addStroke(channelName, line('c'), 0), true);
+  assert.equal(await whiteboardStore.addStroke(channelName, line('d'), 5), false);
+
+  const { pages, currentPage } = await whiteboardStore.getSnapshot(channelName);
+  assert.equal(currentPage, 1);
+  assert.deepEqual(pages.map(page => page.strokes.map(s => s.strokeId)), [['a', 'c'], ['b']]);
+});
+
+test('only drawing fields of a stroke are stored', async () => {
+  const channelName = newChannel();
+  await whiteboardStore.addStroke(channelName, line('a', 't1', {
+    color: '#ff0000',
+    lineWidth: 3,
+    junk: 'x'.repeat(10000),
+    tool: { nested: true },
+    points: [{ x: 1, y: 2, extra: 'no' }, [3, 4, 5]]
+  }));
+
+  const [stroke] = (await whiteboardStore.getSnapshot(channelName)).pages[0].strokes;
+  assert.deepEqual(stroke, {
+    strokeId: 'a', x0: 0, y0: 0, x1: 10, y1: 10, color: '#ff0000', lineWidth: 3,
+    points: [{ x: 1, y: 2 }, [3, 4]],
+    authorId: 't1', timestamp: 1000
+  });
+});
+
+test('strokes without a drawable shape are refused', async () => {
+  const channelName = newChannel();
+  assert.equal(whiteboardStore.isValidStroke({ x0: 1 }), false);
+  assert.equal(whiteboardStore.isValidStroke({ points: [] }), false);
+  assert.equal(whiteboardStore.isValidStroke({ points: [null] }), false);
+  assert.equal(whiteboardStore.isValidStroke({ points: [[1, 'a']] }), false);
+  assert.equal(whiteboardStore.isValidStroke({ strokeId: 7, x0: 0, y0: 0, x1: 1, y1: 1 }), false);
+  assert.equal(whiteboardStore.isValidStroke({ points: [[1, 2], { x: 3, y: 4 }] }), true);
+
+  assert.equal(await whiteboardStore.addStroke(channelName, { strokeId: 'a', authorId: 't1', x0: 1 }), false);
+  assert.deepEqual((await whiteboardStore.getSnapshot(channelName)).pages[0].strokes, []);
+});
+
+test('strokes with out-of-range coordinates or widths are rejected', () => {
+  const line = { x0: 0, y0: 0, x1: 1, y1: 1 };
+  assert.equal(whiteboardStore.isValidStroke({ ...line, x0: 1e300 }), false);
+  assert.equal(whiteboardStore.isValidStroke({ points: [[0, 0], [-1e25, 2]] }), false);
+  assert.equal(whiteboardStore.isValidStroke({ ...line, lineWidth: 1e300 }), false);
+  assert.equal(whiteboardStore.isValidStroke({ ...line, width: 0 }), false);
+  assert.equal(whiteboardStore.isValidStroke({ ...line, size: '4' }), false);
+  assert.equal(whiteboardStore.isValidStroke({ ...line, x1: whiteboardStore.MAX_COORDINATE, lineWidth: whiteboardStore.MAX_LINE_WIDTH }), true);
+});
+
+test('pages are only added one at a time at the end', async () => {
+  const channelName = newChannel();
+  assert.equal(await whiteboardStore.addPage(channelName, 300000), null);
+  assert.equal(await whiteboardStore.addPage(channelName, 0), null);
+  assert.equal(await whiteboardStore.addPage(channelName, 1), 1);
+  assert.equal(await whiteboardStore.addPage(channelName), 2);
+  assert.equal((await whiteboardStore.getSnapshot(channelName)).pages.length, 3);
+});
+
+test('a board stops growing at MAX_PAGES pages', async () => {
+  const channelName = newChannel();
+  for (let i = 1; i < whiteboardStore.MAX_PAGES; i++) {
+    assert.equal(await whiteboardStore.addPage(channelName), i);
+  }
+  assert.equal(await whiteboardStore.addPage(channelName), null);
+  assert.equal((await whiteboardStore.getSnapshot(channelName)).pages.length, whiteboardStore.MAX_PAGES);
+});
+
+test('switching pages only accepts pages that exist', async () => {
+  const channelName = newChannel();
+  await whiteboardStore.addPage(channelName);
+  assert.equal(await whiteboardStore.setCurrentPage(channelName, 0), true);
+  assert.equal(await whiteboardStore.setCurrentPage(channelName, 2), false);
+  assert.equal(await whiteboardStore.setCurrentPage(channelName, -1), false);
+  assert.equal((await whiteboardStore.getSnapshot(channelName)).currentPage, 0);
+});
+
+test('clearing a page removes its strokes only', async () => {
+  const channelName = newChannel();
+  await whiteboardStore.addStroke(channelName, line('a'));
+  await whiteboardStore.addPage(channelName);
+  await whiteboardStore.addStroke(channelName, line('b'));
+
+  assert.equal(await whiteboardStore.clearPage(channelName), true);
+  assert.equal(await whiteboardStore.clearPage(channelName, 9), false);
+  const { pages } = await whiteboardStore.getSnapshot(channelName);
+  assert.deepEqual(pages.map(page => page.strokes.length), [1, 0]);
+});
+
+test('strokes drawn at the same moment are all kept', async () => {
+  const channelName = newChannel();
+  await Promise.all(Array.from({ length: 20 }, (_, i) => whiteboardStore.addStroke(channelName, line(`s${i}`))));
+  assert.equal((await whiteboardStore.getSnapshot(channelName)).pages[0].strokes.length, 20);
+});
+
+test('pens are granted and revoked per student', async () => {
+  const channelName = newChannel();
+  assert.deepEqual(await whiteboardStore.setPen(channelName, 's1', true), ['s1']);
+  assert.deepEqual((await whiteboardStore.setPen(channelName, 's2', true)).sort(), ['s1', 's2']);
+  assert.equal(await whiteboardStore.hasPen(channelName, 's1'), true);
+
+  assert.deepEqual(await whiteboardStore.setPen(channelName, 's1', false), ['s2']);
+  assert.equal(await whiteboardStore.hasPen(channelName, 's1'), false);
+  assert.equal(await whiteboardStore.hasPen(newChannel(), 's2'), false);
+  assert.deepEqual((await whiteboardStore.getSnapshot(channelName)).penHolders, ['s2']);
+});
+
+test('undo takes back the author\'s latest whole stroke, and redo puts it back', async () => {
+  const channelName = newChannel();
+  await whiteboardStore.addStroke(channelName, line('a', 's1'));
+  await whiteboardStore.addStroke(channelName, line('b', 's1'));
+  await whiteboardStore.addStroke(channelName, line('b', 's1', { x0: 5 }));
+  await whiteboardStore.addStroke(channelName, line('c', 's2'));
+
+  assert.deepEqual(await whiteboardStore.undo(channelName, 's1'), { pageIndex: 0, strokeId: 'b' });
+  const ids = async () => (await whiteboardStore.getSnapshot(channelName)).pages[0].strokes.map(s => s.strokeId);
+  assert.deepEqual(await ids(), ['a', 'c']);
+
+  const redone = await whiteboardStore.redo(channelName, 's1');
+  assert.equal(redone.strokeId, 'b');
+  assert.equal(redone.segments.length, 2);
+  assert.deepEqual(await ids(), ['a', 'c', 'b', 'b']);
+
+  assert.equal(await whiteboardStore.redo(channelName, 's1'), null);
+  assert.equal(await whiteboardStore.undo(channelName, 's3'), null);
+});
+
+test('drawing something new or clearing the page drops the redo history', async () => {
+  const channelName = newChannel();
+  await whiteboardStore.addStroke(channelName, line('a', 's1'));
+  await whiteboardStore.undo(channelName, 's1');
+  await whiteboardStore.addStroke(channelName, line('b', 's1'));
+  assert.equal(await whiteboardStore.redo(channelName, 's1'), null);
+
+  await whiteboardStore.undo(channelName, 's1');
+  await whiteboardStore.clearPage(channelName);
+  assert.equal(await whiteboardStore.redo(channelName, 's1'), null);
+});
+
+test('teachers remove strokes by ID or by author across pages', async () => {
+  const channelName = newChannel();
+  await whiteboardStore.addStroke(channelName, line('a', 's1'));
+  await whiteboardStore.addStroke(channelName, line('b', 's2'));
+  await whiteboardStore.addPage(channelName);
+  await whiteboardStore.addStroke(channelName, line('c', 's1'));
+
+  assert.deepEqual(await whiteboardStore.removeStrokes(channelName, {}), []);
+  assert.deepEqual(await whiteboardStore.removeStrokes(channelName, { authorId: 's1' }), [
+    { pageIndex: 0, strokeId: 'a' },
+    { pageIndex: 1, strokeId: 'c' }
+  ]);
+  assert.deepEqual(await whiteboardStore.removeStrokes(channelName, { strokeId: 'b' }, 1), []);
+  assert.deepEqual(await whiteboardStore.removeStrokes(channelName, { strokeId: 'b' }), [{ pageIndex: 0, strokeId: 'b' }]);
+  const { pages } = await whiteboardStore.getSnapshot(channelName);
+  assert.deepEqual(pages.map(page => page.strokes.length), [0, 0]);
+});